@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+// Command-line client: manage watches and run one-off checks (see lib/cli.js)
+//
+//   EDM_SERVER_URL=https://... EDM_TOKEN=edm_... edm add <url> --sizes M,L
+//   DATABASE_URL=postgres://... edm list
+
+const { runCli } = require('../lib/cli');
+
+runCli(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
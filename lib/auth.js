@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getTimestamp } = require('./utils');
+
+const scrypt = promisify(crypto.scrypt);
+
+// ============== AUTHENTICATION ==============
+//
+// Dashboard users log in with a password and get a session cookie.
+// Scripts use bearer API tokens. Both carry scopes:
+//   read   - GET routes
+//   manage - everything that changes state (add/remove products, start/stop monitoring...)
+//
+// Auth is enabled when ADMIN_PASSWORD is set; the admin account is (re)created from it at startup.
+// Without it the server refuses to start, unless auth is turned off on purpose
+// (AUTH_DISABLED=1, `disabled`): then the admin account still exists (without a
+// usable password) and every request acts as the admin, so watchlists always belong to a user.
+
+const SCOPES = ['read', 'manage'];
+const SESSION_COOKIE = 'edm_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_LOGIN_FAILURES = 10;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt:${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const hash = await scrypt(password, salt, 64);
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+}
+
+// A malformed cookie (e.g. set by another app on the same host) must not break auth
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (e) {
+      // Not valid URI encoding: skip it
+    }
+  }
+  return cookies;
+}
+
+function createAuth({ store, adminUsername = 'admin', adminPassword = '', disabled = false }) {
+  const enabled = !!adminPassword;
+
+  // Failed logins per IP: { count, since }
+  const loginFailures = new Map();
+
+  // Set by bootstrap()
+  let adminUser = null;
+
+  // Public shape of a user
+  function toUser(user) {
+    return { id: user.id, username: user.username, isAdmin: !!user.isAdmin, discordId: user.discordId || null };
+  }
+
+  function saveUser(username, passwordHash, isAdmin = false) {
+    return store.users.save({ username, passwordHash, isAdmin });
+  }
+
+  // Create the admin account, or update its password if ADMIN_PASSWORD changed.
+  // Throws when there is no password and auth was not turned off on purpose.
+  async function bootstrap() {
+    if (!enabled && !disabled) {
+      throw new Error('ADMIN_PASSWORD is not set - set it, or set AUTH_DISABLED=1 to run without authentication');
+    }
+
+    const existing = await store.users.findByName(adminUsername);
+
+    if (!enabled) {
+      console.log('⚠️ AUTH_DISABLED: authentication is off - anyone who can reach the dashboard or the API acts as the admin');
+      // An empty hash never verifies: the account exists but can't log in
+      adminUser = toUser(existing && existing.isAdmin ? existing : await saveUser(adminUsername, existing ? existing.passwordHash : '', true));
+      return adminUser;
+    }
+
+    if (existing && existing.isAdmin && await verifyPassword(adminPassword, existing.passwordHash)) {
+      adminUser = toUser(existing);
+      return adminUser;
+    }
+
+    adminUser = toUser(await saveUser(adminUsername, await hashPassword(adminPassword), true));
+    console.log(`🔐 Admin account "${adminUsername}" ${existing ? 'password updated' : 'created'}`);
+    return adminUser;
+  }
+
+  function getAdminUser() {
+    return adminUser;
+  }
+
+  // Returns the new user, or null if the username is taken
+  async function createUser(username, password, isAdmin = false) {
+    if (await store.users.findByName(username)) return null;
+    return toUser(await saveUser(username, await hashPassword(password), isAdmin));
+  }
+
+  async function listUsers() {
+    return (await store.users.list()).map(toUser);
+  }
+
+  async function getUser(id) {
+    const user = await store.users.findById(id);
+    return user ? toUser(user) : null;
+  }
+
+  // The bootstrap admin can't be deleted. Sessions and tokens go with the user.
+  async function deleteUser(id) {
+    if (adminUser && id === adminUser.id) return false;
+    return store.users.delete(id);
+  }
+
+  // ---- Discord account links (used by the interactions endpoint) ----
+
+  async function findUserByDiscordId(discordId) {
+    const user = await store.users.findByDiscordId(discordId);
+    return user ? toUser(user) : null;
+  }
+
+  // Link a user to a Discord account (null unlinks). Returns false if another user has it.
+  async function setDiscordId(userId, discordId) {
+    if (discordId) {
+      const owner = await findUserByDiscordId(discordId);
+      if (owner && owner.id !== userId) return false;
+    }
+    await store.users.setDiscordId(userId, discordId);
+    if (adminUser && adminUser.id === userId) adminUser.discordId = discordId;
+    return true;
+  }
+
+  function isLoginBlocked(ip) {
+    const failures = loginFailures.get(ip);
+    if (!failures) return false;
+    if (Date.now() - failures.since > LOGIN_WINDOW_MS) {
+      loginFailures.delete(ip);
+      return false;
+    }
+    return failures.count >= MAX_LOGIN_FAILURES;
+  }
+
+  function recordLoginFailure(ip) {
+    const failures = loginFailures.get(ip);
+    if (!failures || Date.now() - failures.since > LOGIN_WINDOW_MS) {
+      loginFailures.set(ip, { count: 1, since: Date.now() });
+    } else {
+      failures.count++;
+    }
+  }
+
+  // Returns { token, user, expiresAt } or null when the credentials are wrong
+  async function login(username, password) {
+    const user = await store.users.findByName(username);
+    if (!user || !await verifyPassword(password, user.passwordHash)) return null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+    await store.sessions.create({ tokenHash: sha256(token), userId: user.id, expiresAt });
+
+    return { token, user: toUser(user), expiresAt };
+  }
+
+  async function logout(token) {
+    if (!token) return;
+    await store.sessions.delete(sha256(token));
+  }
+
+  async function findSession(token) {
+    const user = await store.sessions.findUser(sha256(token));
+    return user ? toUser(user) : null;
+  }
+
+  async function findApiToken(token) {
+    const apiToken = await store.apiTokens.use(sha256(token));
+    return apiToken ? { user: toUser(apiToken.user), scopes: apiToken.scopes } : null;
+  }
+
+  // Returns the plain token, which is only shown once
+  async function createApiToken(userId, name, scopes) {
+    const token = `edm_${crypto.randomBytes(24).toString('hex')}`;
+    const tokenPrefix = token.slice(0, 12);
+    const id = await store.apiTokens.create({ userId, name, tokenHash: sha256(token), tokenPrefix, scopes });
+    return { id, name, scopes, tokenPrefix, token };
+  }
+
+  function listApiTokens(userId) {
+    return store.apiTokens.list(userId);
+  }
+
+  // Returns false if the token does not exist or belongs to someone else
+  function revokeApiToken(userId, id) {
+    return store.apiTokens.delete(userId, id);
+  }
+
+  // Express middleware: sets req.auth = { user, scopes, via } from a bearer token or the session cookie
+  async function authenticate(req, res, next) {
+    req.auth = null;
+    if (!enabled) {
+      req.auth = { user: adminUser, scopes: SCOPES, via: 'open' };
+      return next();
+    }
+
+    try {
+      const header = req.headers.authorization || '';
+      if (header.startsWith('Bearer ')) {
+        const apiToken = await findApiToken(header.slice(7).trim());
+        if (!apiToken) {
+          return res.status(401).json({ error: 'Invalid API token' });
+        }
+        req.auth = { user: apiToken.user, scopes: apiToken.scopes, via: 'token' };
+        return next();
+      }
+
+      const sessionToken = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+      if (sessionToken) {
+        const user = await findSession(sessionToken);
+        if (user) {
+          req.auth = { user, scopes: SCOPES, via: 'session' };
+        }
+      }
+      next();
+    } catch (error) {
+      console.error(`[${getTimestamp()}] ❌ Authentication error:`, error.message);
+      res.status(500).json({ error: 'Authentication error' });
+    }
+  }
+
+  // Express middleware factory: 401 when not logged in, 403 when the scope is missing
+  function requireScope(scope) {
+    return (req, res, next) => {
+      if (!req.auth) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!req.auth.scopes.includes(scope)) {
+        return res.status(403).json({ error: `Missing scope: ${scope}` });
+      }
+      next();
+    };
+  }
+
+  // User management and instance-wide views
+  function requireAdmin(req, res, next) {
+    if (!req.auth || !req.auth.user || !req.auth.user.isAdmin) {
+      return res.status(403).json({ error: 'Admin only' });
+    }
+    next();
+  }
+
+  function setSessionCookie(req, res, token, expiresAt) {
+    const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+    res.setHeader('Set-Cookie', [
+      `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Expires=${expiresAt.toUTCString()}`,
+      secure ? 'Secure' : null
+    ].filter(Boolean).join('; '));
+  }
+
+  function clearSessionCookie(res) {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Expires=Thu, 01 Jan 1970 00:00:00 GMT`);
+  }
+
+  function getSessionToken(req) {
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+  }
+
+  return {
+    enabled,
+    bootstrap,
+    getAdminUser,
+    createUser,
+    listUsers,
+    getUser,
+    deleteUser,
+    findUserByDiscordId,
+    setDiscordId,
+    login,
+    logout,
+    isLoginBlocked,
+    recordLoginFailure,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    authenticate,
+    requireScope,
+    requireAdmin,
+    setSessionCookie,
+    clearSessionCookie,
+    getSessionToken
+  };
+}
+
+module.exports = {
+  SCOPES,
+  createAuth,
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,417 @@
+const { parseArgs } = require('util');
+const { formatPrice } = require('./utils');
+const { DEFAULT_SITE_URL, parseProductUrl, getParseIssues } = require('./parser');
+const { matchSizes } = require('./sizes');
+const { createHttpClient } = require('./http-client');
+const { createProductFetcher } = require('./product-fetcher');
+const { createStoreFromEnv } = require('./storage');
+
+// ============== COMMAND-LINE CLIENT ==============
+//
+// `edm` (bin/edm.js) manages a watchlist from a terminal or a script. With
+// EDM_SERVER_URL (or --server) it goes through that server's REST API, with an
+// API token from EDM_TOKEN (or --token, see POST /api/tokens). Otherwise, or with
+// --db, it works directly on the server's storage (DATABASE_URL or DATA_FILE) as
+// EDM_USER (or --user, default: the admin). A running server only reads the
+// storage at startup: while it runs, go through its API.
+//
+// Both ways are clients with the same methods: list, add, remove, check, monitor
+// and close. `inspect` only reads the product page.
+
+const USAGE = `Usage: edm <command> [options]
+
+Commands:
+  list                              Your watchlist
+  add <url> [--sizes M,L] [--priority hot]
+                                    Watch a product (without --sizes: your size profiles, else every size)
+  remove <id>                       Stop watching a product
+  check <id>                        Check a product now
+  inspect <url>                     Read a product page (sizes and stock) without watching it
+  monitor start|stop                Start or stop the monitoring (server API only, admin)
+
+Options:
+  --server <url>   Server to use (EDM_SERVER_URL)
+  --token <token>  API token for the server (EDM_TOKEN)
+  --db             Use the storage directly (DATABASE_URL or DATA_FILE), even if a server is set
+  --user <name>    User whose watchlist is used with --db (EDM_USER, default: the admin)
+  --json           Print the results as JSON
+  -h, --help       Show this help`;
+
+const CLI_OPTIONS = {
+  sizes: { type: 'string' },
+  priority: { type: 'string' },
+  server: { type: 'string' },
+  token: { type: 'string' },
+  db: { type: 'boolean' },
+  user: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const PRIORITIES = ['normal', 'hot'];
+const STOCK_ICONS = { out: '❌', low: '🔥', in_stock: '✅' };
+
+// Through the REST API of a running server
+function createApiClient({ serverUrl, token, fetch = globalThis.fetch }) {
+  async function request(method, path, body) {
+    const response = await fetch(new URL(path, serverUrl), {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data;
+  }
+
+  return {
+    async list() {
+      return (await request('GET', '/api/products')).products;
+    },
+
+    async add({ url, sizes, priority }) {
+      return (await request('POST', '/api/products', { url, watchedSizes: sizes, priority })).product;
+    },
+
+    async remove(id) {
+      await request('DELETE', `/api/products/${encodeURIComponent(id)}`);
+    },
+
+    async check(id) {
+      const result = await request('POST', `/api/products/${encodeURIComponent(id)}/check`);
+      if (!result.success) {
+        throw new Error(result.error || 'Check failed');
+      }
+      return { sizes: result.sizes };
+    },
+
+    async monitor(action) {
+      return (await request('POST', `/api/monitoring/${action}`)).message;
+    },
+
+    async close() {}
+  };
+}
+
+// Directly on the storage. Watches are added the way the server adds them;
+// checks read the page and compare it with the stored stock, but neither save
+// nor notify (the server does on its next check).
+function createDirectClient({ store, username, fetchProductInfo, env = process.env }) {
+  let user = null;
+
+  async function getUser() {
+    if (!user) {
+      await store.init();
+      user = await store.users.findByName(username);
+      if (!user) {
+        throw new Error(`Unknown user "${username}"`);
+      }
+    }
+    return user;
+  }
+
+  async function findWatch(id) {
+    const { id: userId } = await getUser();
+    const record = (await store.products.list()).find(product => product.id === id);
+    const subscription = record && record.subscriptions.find(item => item.userId === userId);
+    if (!subscription) {
+      throw new Error('Product not found');
+    }
+    return { record, subscription };
+  }
+
+  function toWatch(record, subscription) {
+    return {
+      id: record.id,
+      url: record.url,
+      title: record.title,
+      brand: record.brand,
+      price: record.price,
+      originalPrice: record.originalPrice,
+      watchedSizes: subscription.watchedSizes,
+      previousStock: record.previousStock,
+      state: subscription.state,
+      priority: record.priority
+    };
+  }
+
+  // Like the server: sizes written the way the page labels them; without
+  // sizes, those of the user's size profiles, else every size
+  async function resolveSizes(sizes, labels) {
+    if (sizes === undefined) {
+      const profiles = await store.sizeProfiles.list(user.id);
+      return matchSizes(profiles.flatMap(profile => profile.sizes), labels);
+    }
+    return Array.from(new Set(sizes.flatMap(size => {
+      const matches = matchSizes([size], labels);
+      return matches.length > 0 ? matches : [size];
+    })));
+  }
+
+  return {
+    async list() {
+      const { id: userId } = await getUser();
+      return (await store.products.list()).flatMap(record => record.subscriptions
+        .filter(subscription => subscription.userId === userId)
+        .map(subscription => toWatch(record, subscription)));
+    },
+
+    async add({ url, sizes, priority = 'normal' }) {
+      const { id: userId } = await getUser();
+      const productUrl = parseProductUrl(url, env.SITE_URL || DEFAULT_SITE_URL);
+      if (!productUrl) {
+        throw new Error('Invalid URL - must be an Espace des Marques product URL');
+      }
+      if (!PRIORITIES.includes(priority)) {
+        throw new Error(`Invalid priority - must be ${PRIORITIES.join(' or ')}`);
+      }
+
+      const productId = productUrl.id;
+      let record = (await store.products.list()).find(product => product.id === productId);
+      if (record && record.subscriptions.some(subscription => subscription.userId === userId)) {
+        throw new Error('Product already in your watchlist');
+      }
+
+      const now = new Date().toISOString();
+      if (record) {
+        if (priority === 'hot') record.priority = 'hot';
+      } else {
+        const productInfo = await fetchProductInfo(productUrl.url);
+        const parseIssues = getParseIssues(productInfo);
+        record = {
+          id: productId,
+          url: productInfo.url,
+          title: productInfo.title,
+          brand: productInfo.brand,
+          price: productInfo.price,
+          originalPrice: productInfo.originalPrice,
+          imageUrl: productInfo.imageUrl,
+          previousStock: productInfo.sizes,
+          priority,
+          parserStatus: parseIssues.critical
+            ? { broken: true, missing: parseIssues.missing, since: now }
+            : { broken: false, missing: parseIssues.missing },
+          health: { lastCheckAt: now, lastSuccessAt: now, consecutiveErrors: 0 },
+          subscriptions: []
+        };
+      }
+
+      // New watches expire like on the server (WATCH_EXPIRY_DAYS, WATCH_EXPIRE_AFTER_RESTOCK)
+      const expiryDays = parseInt(env.WATCH_EXPIRY_DAYS, 10) || null;
+      const subscription = {
+        userId,
+        watchedSizes: await resolveSizes(sizes, Object.keys(record.previousStock || {})),
+        notifiedSizes: [],
+        priceAlert: {},
+        notifiedPriceAlerts: [],
+        lowStockThreshold: null,
+        notifiedLowStock: [],
+        channels: [],
+        mentions: [],
+        state: 'active',
+        snoozedUntil: null,
+        expiresAt: expiryDays ? new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000).toISOString() : null,
+        expireAfterRestock: env.WATCH_EXPIRE_AFTER_RESTOCK === 'true',
+        createdAt: now
+      };
+      record.subscriptions.push(subscription);
+      await store.products.save(record);
+      return toWatch(record, subscription);
+    },
+
+    async remove(id) {
+      const { record } = await findWatch(id);
+      if (record.subscriptions.length > 1) {
+        await store.products.deleteSubscription(id, user.id);
+        return;
+      }
+      await store.products.delete(id);
+      await store.history.delete(id);
+    },
+
+    async check(id) {
+      const { record } = await findWatch(id);
+      const productInfo = await fetchProductInfo(record.url);
+      return { sizes: productInfo.sizes, previousStock: record.previousStock };
+    },
+
+    async monitor() {
+      throw new Error('monitor needs a running server: set EDM_SERVER_URL (or --server)');
+    },
+
+    close: () => store.close()
+  };
+}
+
+// "  ✅ M      Plus que 2 en stock (was out of stock)"
+function formatStock(sizes, previousStock = null) {
+  const entries = Object.values(sizes || {});
+  if (entries.length === 0) return ['  (no sizes found)'];
+  const width = Math.max(...entries.map(entry => entry.size.length));
+
+  return entries.map(entry => {
+    const before = previousStock && previousStock[entry.size];
+    const change = before && before.inStock !== entry.inStock
+      ? ` (was ${before.inStock ? 'in stock' : 'out of stock'})`
+      : '';
+    const label = entry.stockLabel || (entry.inStock ? 'In stock' : 'Out of stock');
+    return `  ${STOCK_ICONS[entry.level] || (entry.inStock ? '✅' : '❌')} ${entry.size.padEnd(width)}  ${label}${change}`;
+  });
+}
+
+function formatWatch(watch) {
+  const inStock = Object.values(watch.previousStock || {})
+    .filter(entry => entry.inStock)
+    .map(entry => entry.size);
+  const watched = watch.watchedSizes.length > 0 ? watch.watchedSizes.join(', ') : 'all sizes';
+  return [
+    `${watch.id}  ${watch.title} — ${formatPrice(watch.price)}${watch.state && watch.state !== 'active' ? ` [${watch.state}]` : ''}`,
+    `    watching: ${watched} | in stock: ${inStock.join(', ') || 'none'}`
+  ].join('\n');
+}
+
+function formatProductInfo(productInfo) {
+  const { missing } = getParseIssues(productInfo);
+  const price = typeof productInfo.originalPrice === 'number' && productInfo.originalPrice > productInfo.price
+    ? `${formatPrice(productInfo.price)} (was ${formatPrice(productInfo.originalPrice)})`
+    : formatPrice(productInfo.price);
+  return [
+    `${productInfo.title}${productInfo.brand ? ` (${productInfo.brand})` : ''}`,
+    price,
+    productInfo.url,
+    'Sizes:',
+    ...formatStock(productInfo.sizes),
+    ...(missing.length > 0 ? [`⚠️ Not found on the page: ${missing.join(', ')}`] : [])
+  ].join('\n');
+}
+
+function createFetcherFromEnv(env) {
+  const httpClient = createHttpClient({
+    proxies: (env.PROXY_URLS || '').split(',').map(proxy => proxy.trim()).filter(Boolean)
+  });
+  return createProductFetcher({ httpClient, quiet: true });
+}
+
+function createClientFromOptions(options, env) {
+  const serverUrl = options.server || env.EDM_SERVER_URL;
+  if (serverUrl && !options.db) {
+    const token = options.token || env.EDM_TOKEN;
+    if (!token) {
+      throw new Error('EDM_TOKEN (or --token) is required to use the server API');
+    }
+    return createApiClient({ serverUrl, token });
+  }
+
+  return createDirectClient({
+    store: createStoreFromEnv(env),
+    username: options.user || env.EDM_USER || env.ADMIN_USERNAME || 'admin',
+    fetchProductInfo: createFetcherFromEnv(env).fetchProductInfo,
+    env
+  });
+}
+
+// Run one command. Resolves with the exit code.
+async function runCli(argv, { env = process.env, createClient = createClientFromOptions } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  const { values: options, positionals: [command, argument] } = parsed;
+  if (!command || options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const print = (result, text) => console.log(options.json ? JSON.stringify(result, null, 2) : text);
+
+  if (command === 'inspect') {
+    if (!argument) {
+      console.error('❌ Usage: edm inspect <url>');
+      return 1;
+    }
+    try {
+      const productInfo = await createFetcherFromEnv(env).fetchProductInfo(argument);
+      print(productInfo, formatProductInfo(productInfo));
+      return 0;
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return 1;
+    }
+  }
+
+  const needsArgument = { add: '<url>', remove: '<id>', check: '<id>', monitor: 'start|stop' };
+  if (command !== 'list' && !needsArgument[command]) {
+    console.error(`❌ Unknown command: ${command}\n\n${USAGE}`);
+    return 1;
+  }
+  if (needsArgument[command] && !argument) {
+    console.error(`❌ Usage: edm ${command} ${needsArgument[command]}`);
+    return 1;
+  }
+  if (command === 'monitor' && !['start', 'stop'].includes(argument)) {
+    console.error('❌ Usage: edm monitor start|stop');
+    return 1;
+  }
+
+  let client = null;
+  try {
+    client = createClient(options, env);
+
+    switch (command) {
+      case 'list': {
+        const watches = await client.list();
+        print(watches, watches.length > 0 ? watches.map(formatWatch).join('\n') : 'Your watchlist is empty');
+        break;
+      }
+
+      case 'add': {
+        const sizes = options.sizes !== undefined
+          ? options.sizes.split(',').map(size => size.trim()).filter(Boolean)
+          : undefined;
+        const watch = await client.add({ url: argument, sizes, priority: options.priority });
+        print(watch, `✅ Now watching:\n${formatWatch(watch)}`);
+        break;
+      }
+
+      case 'remove':
+        await client.remove(argument);
+        print({ success: true }, `🗑️ Removed ${argument}`);
+        break;
+
+      case 'check': {
+        const result = await client.check(argument);
+        print(result, ['🔍 Stock now:', ...formatStock(result.sizes, result.previousStock)].join('\n'));
+        break;
+      }
+
+      case 'monitor': {
+        const message = await client.monitor(argument);
+        print({ success: true, message }, `✅ ${message}`);
+        break;
+      }
+    }
+    return 0;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  } finally {
+    if (client) await client.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  runCli,
+  createApiClient,
+  createDirectClient,
+  formatStock,
+  USAGE
+};
@@ -0,0 +1,84 @@
+// ============== CSV ==============
+//
+// Minimal RFC 4180 CSV: comma-separated, fields quoted with " when they contain
+// a comma, a quote or a line break, "" for a literal quote.
+
+function escapeField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: ['url', 'title', ...], rows: [{ url, title, ... }]
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Parse CSV text into an array of rows (arrays of strings). Blank lines are skipped.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // Excel adds a byte order mark
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Parse CSV text with a header line into objects keyed by column name
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  toCsv,
+  parseCsv,
+  parseCsvRows
+};
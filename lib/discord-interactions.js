@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { getTimestamp } = require('./utils');
+const { postJson } = require('./notifiers');
+
+// ============== DISCORD INTERACTIONS ==============
+//
+// Discord POSTs slash commands and button clicks to one HTTP endpoint, signed
+// with the application's Ed25519 key:
+//   X-Signature-Ed25519:  hex signature of (timestamp + raw body)
+//   X-Signature-Timestamp: timestamp
+// Requests that don't verify must get a 401 (Discord checks this when the
+// endpoint URL is saved). So do requests signed more than MAX_REQUEST_AGE_MS
+// ago, so a captured request can't be replayed. The reply is due within
+// 3 seconds, so slow handlers are answered with a deferred response and the
+// message is edited afterwards.
+
+const DISCORD_API = 'https://discord.com/api/v10';
+
+const InteractionType = {
+  PING: 1,
+  APPLICATION_COMMAND: 2,
+  MESSAGE_COMPONENT: 3
+};
+
+const ResponseType = {
+  PONG: 1,
+  CHANNEL_MESSAGE: 4,
+  DEFERRED_CHANNEL_MESSAGE: 5
+};
+
+// Replies are only shown to the user who ran the command
+const EPHEMERAL = 64;
+
+const MAX_REQUEST_AGE_MS = 5 * 60 * 1000;
+
+// Option types: 3 = string
+const COMMANDS = [
+  {
+    name: 'watch',
+    description: 'Surveiller un produit Espace des Marques',
+    options: [
+      { type: 3, name: 'url', description: 'URL du produit', required: true },
+      { type: 3, name: 'sizes', description: 'Tailles à surveiller, séparées par des espaces (par défaut : vos profils de tailles, sinon toutes)' }
+    ]
+  },
+  {
+    name: 'unwatch',
+    description: 'Ne plus surveiller un produit',
+    options: [
+      { type: 3, name: 'product', description: 'URL ou ID du produit', required: true }
+    ]
+  },
+  {
+    name: 'list',
+    description: 'Lister les produits surveillés'
+  },
+  {
+    name: 'check',
+    description: 'Vérifier un produit maintenant',
+    options: [
+      { type: 3, name: 'product', description: 'URL ou ID du produit', required: true }
+    ]
+  }
+];
+
+function publicKeyFromHex(publicKeyHex) {
+  return crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKeyHex, 'hex').toString('base64url') },
+    format: 'jwk'
+  });
+}
+
+function verifySignature(publicKey, signatureHex, timestamp, rawBody) {
+  if (!signatureHex || !timestamp || !rawBody) return false;
+  const signature = Buffer.from(signatureHex, 'hex');
+  if (signature.length !== 64) return false;
+  try {
+    const key = typeof publicKey === 'string' ? publicKeyFromHex(publicKey) : publicKey;
+    return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), rawBody]), key, signature);
+  } catch (error) {
+    return false;
+  }
+}
+
+// X-Signature-Timestamp is in seconds; a little clock drift either way is fine
+function isRecentTimestamp(timestamp, now = Date.now()) {
+  const seconds = Number(timestamp);
+  return Number.isFinite(seconds) && Math.abs(now - seconds * 1000) <= MAX_REQUEST_AGE_MS;
+}
+
+// Options of a slash command as { name: value }
+function getOptions(interaction) {
+  const options = {};
+  for (const option of (interaction.data && interaction.data.options) || []) {
+    options[option.name] = option.value;
+  }
+  return options;
+}
+
+// The Discord user behind an interaction (guild interactions carry a member)
+function getDiscordUser(interaction) {
+  return (interaction.member && interaction.member.user) || interaction.user || null;
+}
+
+// onCommand(interaction) and onComponent(interaction) resolve with the reply,
+// { content, embeds }. The express.json() `verify` hook must keep req.rawBody.
+function createInteractionsHandler({ publicKey, applicationId, onCommand, onComponent, deferAfterMs = 2500, apiBase = DISCORD_API }) {
+  const key = publicKeyFromHex(publicKey);
+
+  async function editOriginal(token, message) {
+    const response = await postJson(
+      `${apiBase}/webhooks/${applicationId}/${token}/messages/@original`,
+      message,
+      {},
+      'PATCH'
+    );
+    if (response.statusCode >= 300) {
+      throw new Error(`Discord responded HTTP ${response.statusCode}: ${String(response.body).slice(0, 200)}`);
+    }
+  }
+
+  function failureMessage(error) {
+    console.error(`[${getTimestamp()}] ❌ Discord interaction error:`, error.message);
+    return { content: '❌ Une erreur est survenue, réessaie plus tard.' };
+  }
+
+  return async function handleInteraction(req, res) {
+    const valid = verifySignature(
+      key,
+      req.get('X-Signature-Ed25519'),
+      req.get('X-Signature-Timestamp'),
+      req.rawBody
+    );
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid request signature' });
+    }
+    if (!isRecentTimestamp(req.get('X-Signature-Timestamp'))) {
+      return res.status(401).json({ error: 'Request timestamp too old' });
+    }
+
+    const interaction = req.body;
+
+    if (interaction.type === InteractionType.PING) {
+      return res.json({ type: ResponseType.PONG });
+    }
+
+    let handler = null;
+    if (interaction.type === InteractionType.APPLICATION_COMMAND) handler = onCommand;
+    if (interaction.type === InteractionType.MESSAGE_COMPONENT) handler = onComponent;
+    if (!handler) {
+      return res.status(400).json({ error: 'Unsupported interaction type' });
+    }
+
+    const reply = Promise.resolve()
+      .then(() => handler(interaction))
+      .catch(failureMessage);
+
+    let timer = null;
+    const deferred = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), deferAfterMs);
+    });
+
+    const message = await Promise.race([reply, deferred]);
+    clearTimeout(timer);
+
+    if (message) {
+      return res.json({ type: ResponseType.CHANNEL_MESSAGE, data: { ...message, flags: EPHEMERAL } });
+    }
+
+    // Too slow: acknowledge now ("is thinking..."), edit the reply when done
+    res.json({ type: ResponseType.DEFERRED_CHANNEL_MESSAGE, data: { flags: EPHEMERAL } });
+    try {
+      await editOriginal(interaction.token, await reply);
+    } catch (error) {
+      console.error(`[${getTimestamp()}] ❌ Discord follow-up error:`, error.message);
+    }
+  };
+}
+
+// Register the slash commands, globally or for one guild (instant, handy while testing)
+async function registerCommands({ applicationId, botToken, guildId = null, apiBase = DISCORD_API }) {
+  const path = guildId
+    ? `/applications/${applicationId}/guilds/${guildId}/commands`
+    : `/applications/${applicationId}/commands`;
+  const response = await postJson(`${apiBase}${path}`, COMMANDS, { Authorization: `Bot ${botToken}` }, 'PUT');
+  if (response.statusCode >= 300) {
+    throw new Error(`Discord responded HTTP ${response.statusCode}: ${String(response.body).slice(0, 500)}`);
+  }
+  return JSON.parse(response.body);
+}
+
+module.exports = {
+  COMMANDS,
+  EPHEMERAL,
+  InteractionType,
+  ResponseType,
+  verifySignature,
+  getOptions,
+  getDiscordUser,
+  createInteractionsHandler,
+  registerCommands
+};
@@ -0,0 +1,85 @@
+const { getTimestamp } = require('./utils');
+
+// ============== LIVE EVENTS (Server-Sent Events) ==============
+//
+// Dashboards keep one GET /api/events stream open. Every message is an SSE event:
+//   event: <type>
+//   data: <JSON>
+//
+// An event goes to one user (userId) or to everyone (userId null). Admins also
+// receive events sent to other users when `includeAdmins` is set, and are the only
+// recipients with `adminsOnly`.
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+function createEventHub() {
+  // Open streams: { res, user }
+  const clients = new Set();
+  let nextEventId = 1;
+  let heartbeatInterval = null;
+
+  function write(client, id, type, data) {
+    client.res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Express handler: keep the response open and stream events to the caller
+  function stream(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Don't let reverse proxies buffer the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    // Reconnect quickly after a restart
+    res.write('retry: 3000\n\n');
+
+    const client = { res, user: req.auth.user };
+    clients.add(client);
+    write(client, nextEventId++, 'hello', { user: client.user, timestamp: new Date().toISOString() });
+
+    if (!heartbeatInterval) {
+      // Comments keep idle connections from being closed by proxies
+      heartbeatInterval = setInterval(() => {
+        for (const { res: clientRes } of clients) clientRes.write(': ping\n\n');
+      }, HEARTBEAT_INTERVAL_MS);
+    }
+
+    req.on('close', () => {
+      clients.delete(client);
+      if (clients.size === 0) {
+        clearInterval(heartbeatInterval);
+        heartbeatInterval = null;
+      }
+    });
+  }
+
+  function publish(type, data, { userId = null, includeAdmins = false, adminsOnly = false } = {}) {
+    if (clients.size === 0) return;
+    const id = nextEventId++;
+
+    for (const client of clients) {
+      const isRecipient = adminsOnly
+        ? client.user.isAdmin
+        : userId === null || client.user.id === userId || (includeAdmins && client.user.isAdmin);
+      if (!isRecipient) continue;
+
+      try {
+        write(client, id, type, data);
+      } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Error streaming ${type} event:`, error.message);
+      }
+    }
+  }
+
+  return {
+    stream,
+    publish,
+    clientCount: () => clients.size
+  };
+}
+
+module.exports = {
+  createEventHub
+};
@@ -0,0 +1,390 @@
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const zlib = require('zlib');
+const { getTimestamp } = require('./utils');
+
+// ============== HTTP CLIENT ==============
+//
+// GET pages from the shop like a browser would:
+// - follows redirects (the final URL is returned as `url`)
+// - accepts gzip, deflate and brotli
+// - rotates the User-Agent and, when configured, the proxy (http:// or https:// proxies)
+// - keeps the cookies the site sets (session, consent...)
+// - revalidates pages with ETag / Last-Modified: a 304 resolves with the cached body
+// - retries network errors, 429 and 5xx with backoff
+// - throws a BotChallengeError for anti-bot pages (Cloudflare, DataDome...)
+//   instead of handing them to the parser
+
+const DEFAULT_USER_AGENTS = [
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:146.0) Gecko/20100101 Firefox/146.0',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:146.0) Gecko/20100101 Firefox/146.0',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/142.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.6 Safari/605.1.15'
+];
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+// Pages kept for conditional requests
+const MAX_CACHED_PAGES = 200;
+
+// Markers of anti-bot interstitials, checked on 403/429/503 and on suspiciously small pages
+const CHALLENGE_MARKERS = [
+  /<title>\s*Just a moment\.\.\.\s*<\/title>/i,
+  /cf-chl-|challenge-platform|cf_chl_opt/i,
+  /<title>\s*Attention Required! \| Cloudflare/i,
+  /captcha-delivery\.com|datadome/i,
+  /Pardon Our Interruption|_Incapsula_Resource/i
+];
+const CHALLENGE_STATUSES = [403, 429, 503];
+const CHALLENGE_MAX_PAGE_SIZE = 50 * 1024;
+
+class BotChallengeError extends Error {
+  constructor(url, statusCode) {
+    super(`Bot challenge page (HTTP ${statusCode})`);
+    this.name = 'BotChallengeError';
+    this.url = url;
+    this.statusCode = statusCode;
+  }
+}
+
+function isBotChallenge(statusCode, body) {
+  if (!CHALLENGE_STATUSES.includes(statusCode) && body.length > CHALLENGE_MAX_PAGE_SIZE) return false;
+  return CHALLENGE_MARKERS.some(marker => marker.test(body));
+}
+
+// Transient failures worth another attempt
+function isRetryableStatus(statusCode) {
+  return statusCode === 429 || statusCode >= 500;
+}
+
+function getRetryAfterMs(headers) {
+  const value = headers['retry-after'];
+  if (!value) return 0;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(value).getTime() - Date.now();
+  return Math.min(Math.max(ms || 0, 0), MAX_RETRY_AFTER_MS);
+}
+
+function decompress(buffer, encoding) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.gunzipSync(buffer);
+    case 'deflate':
+      return zlib.inflateSync(buffer);
+    case 'br':
+      return zlib.brotliDecompressSync(buffer);
+    default:
+      return buffer;
+  }
+}
+
+// ---- Cookies ----
+
+// In-memory cookie jar: { name, value, domain, path, hostOnly, expiresAt }
+function createCookieJar() {
+  const cookies = new Map();
+
+  function store(url, setCookieHeaders) {
+    for (const header of setCookieHeaders || []) {
+      const [pair, ...attributes] = header.split(';');
+      const separator = pair.indexOf('=');
+      if (separator <= 0) continue;
+
+      const cookie = {
+        name: pair.slice(0, separator).trim(),
+        value: pair.slice(separator + 1).trim(),
+        domain: url.hostname,
+        path: '/',
+        hostOnly: true,
+        expiresAt: null
+      };
+      let foreign = false;
+
+      for (const attribute of attributes) {
+        const [rawName, ...rest] = attribute.split('=');
+        const name = rawName.trim().toLowerCase();
+        const value = rest.join('=').trim();
+        if (name === 'domain' && value) {
+          const domain = value.replace(/^\./, '').toLowerCase();
+          // Ignore cookies set for another site
+          if (url.hostname !== domain && !url.hostname.endsWith(`.${domain}`)) foreign = true;
+          cookie.domain = domain;
+          cookie.hostOnly = false;
+        } else if (name === 'path' && value.startsWith('/')) {
+          cookie.path = value;
+        } else if (name === 'max-age') {
+          cookie.expiresAt = Date.now() + Number(value) * 1000;
+        } else if (name === 'expires' && cookie.expiresAt === null) {
+          cookie.expiresAt = new Date(value).getTime() || null;
+        }
+      }
+
+      if (foreign) continue;
+
+      const key = `${cookie.domain}|${cookie.path}|${cookie.name}`;
+      if (cookie.expiresAt !== null && cookie.expiresAt <= Date.now()) {
+        cookies.delete(key);
+      } else {
+        cookies.set(key, cookie);
+      }
+    }
+  }
+
+  // Value of the Cookie header for a request to url, or null
+  function header(url) {
+    const now = Date.now();
+    const matching = [];
+    for (const [key, cookie] of cookies) {
+      if (cookie.expiresAt !== null && cookie.expiresAt <= now) {
+        cookies.delete(key);
+        continue;
+      }
+      const domainMatches = cookie.hostOnly
+        ? url.hostname === cookie.domain
+        : url.hostname === cookie.domain || url.hostname.endsWith(`.${cookie.domain}`);
+      if (domainMatches && url.pathname.startsWith(cookie.path)) {
+        matching.push(`${cookie.name}=${cookie.value}`);
+      }
+    }
+    return matching.length > 0 ? matching.join('; ') : null;
+  }
+
+  return {
+    store,
+    header,
+    clear: () => cookies.clear()
+  };
+}
+
+// ---- Transport ----
+
+function parseProxy(proxyUrl) {
+  const url = new URL(proxyUrl);
+  return {
+    url: proxyUrl,
+    protocol: url.protocol,
+    hostname: url.hostname,
+    port: url.port || (url.protocol === 'https:' ? 443 : 80),
+    authorization: url.username
+      ? `Basic ${Buffer.from(`${decodeURIComponent(url.username)}:${decodeURIComponent(url.password)}`).toString('base64')}`
+      : null
+  };
+}
+
+// Open a tunnel to host:port through the proxy (CONNECT), resolves with the socket
+function connectThroughProxy(proxy, host, port, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const client = proxy.protocol === 'https:' ? https : http;
+    const headers = { Host: `${host}:${port}` };
+    if (proxy.authorization) headers['Proxy-Authorization'] = proxy.authorization;
+
+    const req = client.request({
+      hostname: proxy.hostname,
+      port: proxy.port,
+      method: 'CONNECT',
+      path: `${host}:${port}`,
+      headers
+    });
+    req.on('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        reject(new Error(`Proxy ${proxy.hostname} refused CONNECT (HTTP ${res.statusCode})`));
+        return;
+      }
+      // The request's timeout stays on the socket: the GET sets its own
+      socket.setTimeout(0);
+      resolve(socket);
+    });
+    req.on('error', reject);
+    req.setTimeout(timeoutMs, () => {
+      req.destroy();
+      reject(new Error('Proxy connection timeout'));
+    });
+    req.end();
+  });
+}
+
+// One GET, no redirects or retries. Resolves with { statusCode, headers, body }
+async function sendRequest(url, headers, { proxy, timeoutMs }) {
+  const isHttps = url.protocol === 'https:';
+  const port = url.port || (isHttps ? 443 : 80);
+  const options = {
+    hostname: url.hostname,
+    port,
+    path: url.pathname + url.search,
+    method: 'GET',
+    headers
+  };
+
+  if (proxy && isHttps) {
+    const socket = await connectThroughProxy(proxy, url.hostname, port, timeoutMs);
+    options.createConnection = () => tls.connect({ socket, servername: url.hostname });
+    options.agent = false;
+  } else if (proxy) {
+    // Plain HTTP goes to the proxy with the absolute URL
+    options.hostname = proxy.hostname;
+    options.port = proxy.port;
+    options.path = url.href;
+    if (proxy.authorization) options.headers = { ...headers, 'Proxy-Authorization': proxy.authorization };
+  }
+
+  const client = isHttps || (proxy && proxy.protocol === 'https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(options, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('error', reject);
+      res.on('end', () => {
+        try {
+          const body = decompress(Buffer.concat(chunks), res.headers['content-encoding']).toString('utf8');
+          resolve({ statusCode: res.statusCode, headers: res.headers, body });
+        } catch (error) {
+          reject(new Error(`Could not decompress response: ${error.message}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(timeoutMs, () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+    req.end();
+  });
+}
+
+// ---- Client ----
+
+// onResponse(statusCode) is called for every response, onError(error) for every
+// network error (metrics).
+function createHttpClient({
+  userAgents = DEFAULT_USER_AGENTS,
+  proxies = [],
+  retries = 2,
+  retryDelayMs = 1000,
+  timeoutMs = 30000,
+  onResponse = () => {},
+  onError = () => {}
+} = {}) {
+  const cookieJar = createCookieJar();
+  const proxyList = proxies.map(parseProxy);
+  // URL -> { etag, lastModified, body }
+  const pageCache = new Map();
+  let requestCount = 0;
+
+  // Next User-Agent and proxy, round-robin
+  function pickIdentity() {
+    const index = requestCount++;
+    return {
+      userAgent: userAgents[index % userAgents.length],
+      proxy: proxyList.length > 0 ? proxyList[index % proxyList.length] : null
+    };
+  }
+
+  function buildHeaders(url, userAgent) {
+    const headers = {
+      'User-Agent': userAgent,
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'fr,fr-FR;q=0.8,en-US;q=0.5,en;q=0.3',
+      'Accept-Encoding': 'gzip, deflate, br',
+      'Connection': 'keep-alive',
+      'Upgrade-Insecure-Requests': '1'
+    };
+    const cookie = cookieJar.header(url);
+    if (cookie) headers['Cookie'] = cookie;
+
+    const cached = pageCache.get(url.href);
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+    return headers;
+  }
+
+  function rememberPage(url, response) {
+    const etag = response.headers['etag'];
+    const lastModified = response.headers['last-modified'];
+    if (!etag && !lastModified) {
+      pageCache.delete(url.href);
+      return;
+    }
+    // Oldest first: drop the least recently stored page
+    pageCache.delete(url.href);
+    pageCache.set(url.href, { etag, lastModified, body: response.body });
+    if (pageCache.size > MAX_CACHED_PAGES) {
+      pageCache.delete(pageCache.keys().next().value);
+    }
+  }
+
+  // Follow redirects from url. Resolves with { statusCode, headers, body, url, redirected, notModified }
+  async function fetchFollowingRedirects(startUrl, identity) {
+    let url = new URL(startUrl);
+
+    for (let redirects = 0; ; redirects++) {
+      const response = await sendRequest(url, buildHeaders(url, identity.userAgent), { proxy: identity.proxy, timeoutMs });
+      onResponse(response.statusCode);
+      cookieJar.store(url, response.headers['set-cookie']);
+
+      if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+        if (redirects >= MAX_REDIRECTS) {
+          throw new Error(`Too many redirects (last: ${url.href})`);
+        }
+        url = new URL(response.headers.location, url);
+        continue;
+      }
+
+      const redirected = url.href !== new URL(startUrl).href;
+
+      if (response.statusCode === 304 && pageCache.has(url.href)) {
+        return { ...response, statusCode: 200, body: pageCache.get(url.href).body, url: url.href, redirected, notModified: true };
+      }
+
+      if (isBotChallenge(response.statusCode, response.body)) {
+        throw new BotChallengeError(url.href, response.statusCode);
+      }
+
+      if (response.statusCode === 200) rememberPage(url, response);
+      return { ...response, url: url.href, redirected, notModified: false };
+    }
+  }
+
+  // GET a page. Resolves with { statusCode, headers, body, url, redirected, notModified }
+  // for any final status; network errors are thrown after the last retry.
+  async function get(targetUrl) {
+    for (let attempt = 0; ; attempt++) {
+      const identity = pickIdentity();
+      let response;
+      try {
+        response = await fetchFollowingRedirects(targetUrl, identity);
+      } catch (error) {
+        if (error instanceof BotChallengeError) throw error;
+        onError(error);
+        if (attempt >= retries) throw error;
+        console.error(`[${getTimestamp()}] ⚠️ ${targetUrl} failed (${error.message}), retrying${identity.proxy ? ' with another proxy' : ''}`);
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** attempt));
+        continue;
+      }
+
+      if (!isRetryableStatus(response.statusCode) || attempt >= retries) return response;
+
+      const delayMs = Math.max(retryDelayMs * 2 ** attempt, getRetryAfterMs(response.headers));
+      console.error(`[${getTimestamp()}] ⚠️ ${targetUrl} answered HTTP ${response.statusCode}, retrying in ${Math.round(delayMs / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+
+  return {
+    get,
+    cookieJar
+  };
+}
+
+module.exports = {
+  DEFAULT_USER_AGENTS,
+  BotChallengeError,
+  isBotChallenge,
+  createCookieJar,
+  createHttpClient
+};
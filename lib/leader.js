@@ -0,0 +1,123 @@
+const { getTimestamp } = require('./utils');
+
+// ============== LEADER ELECTION ==============
+//
+// Several instances can run against the same database (during a redeploy, or
+// when scaled). Only one of them, the leader, checks products and sends
+// notifications; the others serve the API. The leader is the instance holding
+// the store's leader lock (a PostgreSQL advisory lock, released by the database
+// if the leader dies).
+//
+// Every `checkMs` each instance makes sure it still holds the lock, or tries to
+// take it. `onElected({ initial })` is called when the instance becomes leader
+// (`initial`: on its first try, right after start), `onDemoted()` when it stops
+// being leader: the lock was lost, or stop() was called. Both are awaited
+// before the next check, and stop() releases the lock only after onDemoted.
+
+// Lock key, next to MIGRATION_LOCK_ID (storage/migrations.js)
+const LEADER_LOCK_ID = 4211973;
+
+function createLeaderElection({
+  locks,
+  lockId = LEADER_LOCK_ID,
+  checkMs = 10 * 1000,
+  onElected = () => {},
+  onDemoted = () => {}
+}) {
+  let leader = false;
+  let leaderSince = null;
+  let lastCheckAt = null;
+  let checks = 0;
+  let checking = null;
+  let checkTimeout = null;
+  let running = false;
+
+  async function callHandler(name, handler, ...args) {
+    try {
+      await handler(...args);
+    } catch (error) {
+      console.error(`[${getTimestamp()}] ❌ Leader election ${name} failed:`, error.message);
+    }
+  }
+
+  async function check() {
+    let held = false;
+    try {
+      held = await locks.acquire(lockId);
+    } catch (error) {
+      // Can't tell whether the lock is still ours: step down
+      console.error(`[${getTimestamp()}] ❌ Leader lock check failed:`, error.message);
+    }
+    lastCheckAt = new Date();
+    checks++;
+
+    if (held && !leader) {
+      leader = true;
+      leaderSince = new Date();
+      console.log(`[${getTimestamp()}] 👑 This instance is now the leader`);
+      await callHandler('onElected', onElected, { initial: checks === 1 });
+    } else if (!held && leader) {
+      leader = false;
+      leaderSince = null;
+      console.log(`[${getTimestamp()}] 🪑 This instance lost the leadership`);
+      await callHandler('onDemoted', onDemoted);
+    }
+  }
+
+  function runCheck() {
+    checking = check().finally(() => {
+      checking = null;
+      if (running) {
+        checkTimeout = setTimeout(runCheck, checkMs);
+      }
+    });
+    return checking;
+  }
+
+  // Resolves after the first check, once onElected is done if it won
+  function start() {
+    if (running) return checking || Promise.resolve();
+    running = true;
+    return runCheck();
+  }
+
+  // Stop competing: if leader, call onDemoted (finish the work in progress,
+  // save) then release the lock for another instance
+  async function stop() {
+    running = false;
+    clearTimeout(checkTimeout);
+    checkTimeout = null;
+    await checking;
+
+    if (!leader) return;
+    leader = false;
+    leaderSince = null;
+    await callHandler('onDemoted', onDemoted);
+    try {
+      await locks.release(lockId);
+      console.log(`[${getTimestamp()}] 🪑 Leadership released`);
+    } catch (error) {
+      console.error(`[${getTimestamp()}] ❌ Error releasing the leader lock:`, error.message);
+    }
+  }
+
+  function getState() {
+    return {
+      leader,
+      leaderSince: leaderSince ? leaderSince.toISOString() : null,
+      lastCheckAt: lastCheckAt ? lastCheckAt.toISOString() : null
+    };
+  }
+
+  return {
+    start,
+    stop,
+    isLeader: () => leader,
+    getState
+  };
+}
+
+module.exports = {
+  createLeaderElection,
+  LEADER_LOCK_ID
+};
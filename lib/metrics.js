@@ -0,0 +1,144 @@
+// ============== METRICS ==============
+//
+// Just enough of the Prometheus text format (version 0.0.4) for GET /metrics:
+// counters, histograms and gauges whose value is read when scraped.
+//
+//   const checks = metrics.counter('edm_checks_total', 'Checks run', ['result']);
+//   checks.inc({ result: 'success' });
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Series are keyed by their labels, in the order the metric declares them
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  for (const name of labelNames) picked[name] = labels[name] ?? '';
+  return picked;
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc(labels = {}, amount = 1) {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      },
+      samples() {
+        return Array.from(series.values()).map(({ labels, value }) => ({ suffix: '', labels, value }));
+      }
+    });
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+
+    function observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    }
+
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe,
+      // Start a timer; calling the returned function records the elapsed seconds
+      startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+      },
+      samples() {
+        const samples = [];
+        for (const entry of series.values()) {
+          buckets.forEach((bound, index) => {
+            samples.push({ suffix: '_bucket', labels: { ...entry.labels, le: formatValue(bound) }, value: entry.counts[index] });
+          });
+          samples.push({ suffix: '_bucket', labels: { ...entry.labels, le: '+Inf' }, value: entry.count });
+          samples.push({ suffix: '_sum', labels: entry.labels, value: entry.sum });
+          samples.push({ suffix: '_count', labels: entry.labels, value: entry.count });
+        }
+        return samples;
+      }
+    });
+  }
+
+  // collect() returns a number, or [{ labels, value }] for labelled series
+  function gauge(name, help, collect) {
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      samples() {
+        const value = collect();
+        const series = Array.isArray(value) ? value : [{ labels: {}, value }];
+        return series.map(({ labels, value: sampleValue }) => ({ suffix: '', labels, value: sampleValue }));
+      }
+    });
+  }
+
+  // Exposition text for every metric
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const sample of metric.samples()) {
+        lines.push(`${metric.name}${sample.suffix}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    counter,
+    histogram,
+    gauge,
+    render
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  createMetrics
+};
@@ -0,0 +1,668 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const nodemailer = require('nodemailer');
+const { formatPrice, getTimestamp } = require('./utils');
+const {
+  DEFAULT_LANGUAGE,
+  TEMPLATE_TYPES,
+  DEFAULT_FOOTER,
+  getStrings,
+  describePriceRule,
+  getDefaultTemplate,
+  getEventSizes,
+  renderTemplate
+} = require('./templates');
+
+// ============== EVENTS ==============
+//
+// Every notifier receives the same machine-readable event:
+// {
+//   type: 'restock' | 'sold_out' | 'low_stock' | 'price_alert' | 'new_product' | 'admin_alert' | 'digest' | 'daily_summary',
+//   timestamp: ISO string,
+//   product: { id, url, title, brand, price, originalPrice, discount, imageUrl },  // not on digest/daily_summary
+//   mentions: ['<@&id>', '<@id>'],            // Discord roles and users to ping (subscription events)
+//   test, template, language,                 // test notification; the unsaved template { title,
+//                                             //   description, color, footer } and the language to try
+//   sizes: [{ size, stockLabel }],            // restock: every size back in the same check
+//   size, stockLabel,                         //   the first of them
+//   sizes: [{ size, stockLabel }],            // sold_out: notified sizes out of stock again
+//   sizes: [{ size, stockLabel, quantity }],  // low_stock: watched sizes down to the threshold
+//   threshold,                                //   (quantity null when the label gives no number)
+//   rule, threshold,         // price_alert ('maxPrice' | 'minDiscount' | 'anyDrop')
+//   previousPrice,
+//   listing: { id, name, url }, autoWatched,  // new_product
+//   kind, message,                            // admin_alert ('parser_broken' | 'parser_recovered' |
+//                                             //   'product_removed' | 'product_back')
+//   events: [event],                          // digest: what was held during quiet hours
+//   items: [{ product, sizes }]               // daily_summary: watched sizes in stock, per product
+// }
+//
+// Notifiers take the language and the templates to render with as a second
+// argument: send(event, { language, templates }), see lib/templates.js.
+
+// Digests and daily summaries list at most this many products
+const MAX_LISTED_ITEMS = 20;
+
+function formatSizes(sizes) {
+  return sizes.map(({ size, stockLabel }) => stockLabel ? `${size} (${stockLabel})` : size).join(', ');
+}
+
+// One line of a digest
+function describeDigestItem(event, language) {
+  const strings = getStrings(language);
+  const product = event.product || {};
+  const title = product.title || product.id || strings.product;
+  const line = { name: title, value: '', inline: false, url: product.url };
+
+  switch (event.type) {
+    case 'restock': {
+      const sizes = getEventSizes(event);
+      return { ...line, name: `🚨 ${title}`, value: `${strings.digestSizes(sizes.length, formatSizes(sizes))} · ${formatPrice(product.price)}` };
+    }
+    case 'sold_out':
+      return { ...line, name: `😞 ${title}`, value: strings.digestSoldOut(getEventSizes(event).map(({ size }) => size).join(', ')) };
+    case 'low_stock':
+      return { ...line, name: `⏳ ${title}`, value: `${strings.digestLowStock(formatSizes(event.sizes))} · ${formatPrice(product.price)}` };
+    case 'price_alert': {
+      const rule = describePriceRule(event, language);
+      return { ...line, name: `💸 ${title}`, value: `${formatPrice(product.price)}${rule ? ` · ${rule}` : ''}` };
+    }
+    case 'new_product':
+      return { ...line, name: `🆕 ${title}`, value: `${strings.digestNewProduct(event.listing.name)} · ${formatPrice(product.price)}` };
+    case 'admin_alert':
+      return { ...line, name: `⚠️ ${title}`, value: event.message };
+    case 'daily_summary':
+      return {
+        ...line,
+        name: strings.dailySummaryItem,
+        value: event.items.map(item => `${item.product.title || item.product.id} : ${item.sizes.map(({ size }) => size).join(', ')}`).join('\n').slice(0, 1000)
+      };
+    default:
+      return { ...line, value: event.type };
+  }
+}
+
+function getListedCountNote(count, strings) {
+  return count > MAX_LISTED_ITEMS ? strings.listedFirst(MAX_LISTED_ITEMS) : '';
+}
+
+// Channel-independent summary of an event: title, description, color, footer and
+// fields. Fields may have a `url` (digests and summaries: the product page).
+// Restocks, price alerts and sold-out sizes come from their template in `language`
+// (`templates`: see createTemplates, the defaults without it; a test event can
+// bring its own template), the rest from the texts of `language`.
+function describeEvent(event, { language = DEFAULT_LANGUAGE, templates = null } = {}) {
+  if (TEMPLATE_TYPES.includes(event.type)) {
+    const template = event.template
+      ? { type: event.type, language, ...event.template }
+      : templates ? templates.get(event.type, language) : getDefaultTemplate(event.type, language);
+    return { ...renderTemplate(template, event, language), fields: [] };
+  }
+
+  return { footer: DEFAULT_FOOTER, ...describeBuiltInEvent(event, language) };
+}
+
+function describeBuiltInEvent(event, language) {
+  const strings = getStrings(language);
+
+  if (event.type === 'digest') {
+    const count = event.events.length;
+    return {
+      title: strings.digestTitle,
+      description: `${strings.digestDescription(count)}${getListedCountNote(count, strings)}`,
+      color: 0x9b59b6,
+      fields: event.events.slice(0, MAX_LISTED_ITEMS).map(item => describeDigestItem(item, language))
+    };
+  }
+
+  if (event.type === 'daily_summary') {
+    const count = event.items.length;
+    return {
+      title: strings.dailySummaryTitle,
+      description: `${strings.dailySummaryDescription(count)}${getListedCountNote(count, strings)}`,
+      color: 0xf1c40f,
+      fields: event.items.slice(0, MAX_LISTED_ITEMS).map(item => ({
+        name: item.product.title || item.product.id,
+        value: `${formatSizes(item.sizes)} · ${formatPrice(item.product.price)}`,
+        inline: false,
+        url: item.product.url
+      }))
+    };
+  }
+
+  const { product } = event;
+  const fields = [
+    { name: strings.productField, value: product.title || strings.product, inline: false },
+    { name: strings.brandField, value: product.brand || strings.notAvailable, inline: true }
+  ];
+
+  if (event.type === 'low_stock') {
+    fields.push(
+      { name: strings.sizesField(event.sizes.length), value: formatSizes(event.sizes), inline: false },
+      { name: strings.priceField, value: formatPrice(product.price), inline: true }
+    );
+    return {
+      title: strings.lowStockTitle,
+      description: strings.lowStockDescription(event.threshold),
+      color: 0xe67e22,
+      fields
+    };
+  }
+
+  if (event.type === 'admin_alert') {
+    return {
+      title: strings.adminAlertTitle,
+      description: event.message,
+      color: 0xe74c3c,
+      fields
+    };
+  }
+
+  // new_product
+  fields.push({ name: strings.priceField, value: formatPrice(product.price), inline: true });
+  if (product.discount > 0) {
+    fields.push({ name: strings.discountField, value: `-${product.discount}%`, inline: true });
+  }
+  return {
+    title: strings.newProductTitle,
+    description: strings.newProductDescription(event.listing.name, event.autoWatched),
+    color: 0x3498db,
+    fields
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ============== HTTP ==============
+
+// Failed delivery. `retryAfterMs` is set when the service asked us to slow down,
+// `permanent` when retrying the same payload cannot succeed (e.g. 404 webhook).
+class DeliveryError extends Error {
+  constructor(message, { statusCode = null, retryAfterMs = null, permanent = false } = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.statusCode = statusCode;
+    this.retryAfterMs = retryAfterMs;
+    this.permanent = permanent;
+  }
+}
+
+// Delay requested by a 429 response: Discord and Telegram put it in the body
+// (seconds, possibly fractional), Slack and most others in the Retry-After header
+function getRetryAfterMs(response) {
+  try {
+    const body = JSON.parse(response.body);
+    const seconds = body.retry_after ?? body.parameters?.retry_after;
+    if (typeof seconds === 'number') return Math.ceil(seconds * 1000);
+  } catch (e) {
+    // Not JSON, fall back to the header
+  }
+  
+  const header = parseFloat(response.headers?.['retry-after']);
+  return Number.isFinite(header) ? Math.ceil(header * 1000) : null;
+}
+
+// Throw a DeliveryError unless the response is a 2xx
+function assertDelivered(channel, response) {
+  const { statusCode } = response;
+  if (statusCode >= 200 && statusCode < 300) return response;
+  
+  // The body only goes to the log: the error is shown on the dashboard, and a
+  // user's webhook can answer anything
+  console.error(`[${getTimestamp()}] ${channel} responded HTTP ${statusCode}:`, String(response.body).slice(0, 200));
+  const message = `${channel} responded HTTP ${statusCode}`;
+  if (statusCode === 429) {
+    throw new DeliveryError(message, { statusCode, retryAfterMs: getRetryAfterMs(response) });
+  }
+  // 408 and 5xx are transient, other 4xx mean the request itself is wrong
+  throw new DeliveryError(message, { statusCode, permanent: statusCode >= 400 && statusCode < 500 && statusCode !== 408 });
+}
+
+// Send a JSON payload (POST by default), resolves with { statusCode, headers, body }
+function postJson(targetUrl, payload, extraHeaders = {}, method = 'POST') {
+  return new Promise((resolve, reject) => {
+    const url = new URL(targetUrl);
+    const postData = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const client = url.protocol === 'http:' ? http : https;
+
+    const options = {
+      hostname: url.hostname,
+      port: url.port || (url.protocol === 'http:' ? 80 : 443),
+      path: url.pathname + url.search,
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData),
+        ...extraHeaders
+      }
+    };
+
+    const req = client.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: data }));
+    });
+
+    req.on('error', reject);
+    req.setTimeout(15000, () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+    req.write(postData);
+    req.end();
+  });
+}
+
+// ============== CHANNELS ==============
+
+// Discord mentions: role IDs (<@&id>) and user IDs (<@id>)
+const MENTION_PATTERN = /^<@(&?)(\d{5,25})>$/;
+const MAX_MENTIONS = 10;
+
+// Mentions of a product from the API: an array or a comma/space separated string of
+// "role:<id>", "user:<id>" or Discord's own "<@&id>" / "<@id>" syntax.
+// Returns { mentions: ['<@&id>', '<@id>'] } or { error }
+function parseMentions(input) {
+  if (input === undefined || input === null || input === '') return { mentions: [] };
+  const items = (Array.isArray(input) ? input : String(input).split(/[\s,]+/))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+  const mentions = [];
+  for (const item of items) {
+    const match = item.match(/^(role|user):(\d{5,25})$/i) || item.match(/^<@([&!]?)(\d{5,25})>$/);
+    if (!match) {
+      return { error: `Invalid mention "${item}" - use role:<id>, user:<id>, <@&id> or <@id>` };
+    }
+    const isRole = match[1].toLowerCase() === 'role' || match[1] === '&';
+    mentions.push(isRole ? `<@&${match[2]}>` : `<@${match[2]}>`);
+  }
+
+  const unique = Array.from(new Set(mentions));
+  if (unique.length > MAX_MENTIONS) {
+    return { error: `At most ${MAX_MENTIONS} mentions` };
+  }
+  return { mentions: unique };
+}
+
+// Mentions of an event; a digest pings everyone its events would have
+function getMentions(event) {
+  const mentions = event.type === 'digest'
+    ? event.events.flatMap(item => item.mentions || [])
+    : event.mentions || [];
+  return Array.from(new Set(mentions)).filter(mention => MENTION_PATTERN.test(mention));
+}
+
+// `content` and `allowed_mentions` of a Discord message: only the listed roles and
+// users are pinged, never @everyone or anything written in a template
+function getDiscordMentions(event) {
+  const mentions = getMentions(event);
+  const roles = [];
+  const users = [];
+  for (const mention of mentions) {
+    const [, isRole, id] = mention.match(MENTION_PATTERN);
+    (isRole ? roles : users).push(id);
+  }
+  return {
+    content: mentions.length > 0 ? mentions.join(' ') : undefined,
+    allowed_mentions: { parse: [], roles, users }
+  };
+}
+
+// `interactive` adds a "stop watching this size" button to restocks, handled by the
+// interactions endpoint. Discord only shows it for webhooks created by the application.
+function createDiscordNotifier({ webhookUrl, interactive = false }) {
+  return {
+    name: 'discord',
+    async send(event, options = {}) {
+      const strings = getStrings(options.language);
+      const summary = describeEvent(event, options);
+      const embed = {
+        title: summary.title,
+        description: summary.description || undefined,
+        color: summary.color,
+        thumbnail: event.product?.imageUrl ? { url: event.product.imageUrl } : undefined,
+        fields: summary.fields.map(({ name, value, inline, url }) => ({
+          name,
+          value: url ? `${value}\n[${strings.viewProduct}](${url})` : value,
+          inline
+        })),
+        footer: summary.footer ? { text: summary.footer } : undefined,
+        timestamp: event.timestamp
+      };
+      const message = { ...getDiscordMentions(event), embeds: [embed] };
+
+      // Add URL button (digests link each product in the embed instead)
+      if (!event.product) {
+        return assertDelivered('Discord', await postJson(webhookUrl, message));
+      }
+      const components = [{
+        type: 1,
+        components: [{
+          type: 2,
+          style: 5,
+          label: strings.viewProduct,
+          url: event.product.url
+        }]
+      }];
+      if (interactive && event.type === 'restock') {
+        // A row holds 5 buttons: the link and up to 4 sizes
+        const sizes = getEventSizes(event);
+        for (const { size } of sizes.slice(0, 4)) {
+          components[0].components.push({
+            type: 2,
+            style: 2,
+            label: sizes.length > 1 ? strings.unwatchNamedSize(size).slice(0, 80) : strings.unwatchSize,
+            custom_id: `unwatch_size:${event.product.id}:${size}`.slice(0, 100)
+          });
+        }
+      }
+
+      return assertDelivered('Discord', await postJson(webhookUrl, { ...message, components }));
+    }
+  };
+}
+
+function createTelegramNotifier({ botToken, chatId }) {
+  return {
+    name: 'telegram',
+    async send(event, options = {}) {
+      const strings = getStrings(options.language);
+      const summary = describeEvent(event, options);
+      const lines = [`<b>${escapeHtml(summary.title)}</b>`];
+      if (summary.description) lines.push(escapeHtml(summary.description));
+      if (summary.fields.length > 0) lines.push('');
+      for (const field of summary.fields) {
+        const link = field.url ? ` · <a href="${escapeHtml(field.url)}">${strings.view}</a>` : '';
+        lines.push(`${escapeHtml(field.name)} : ${escapeHtml(field.value)}${link}`);
+      }
+      if (event.product) {
+        lines.push('', `<a href="${escapeHtml(event.product.url)}">${strings.viewProduct}</a>`);
+      }
+      if (summary.footer) {
+        lines.push('', `<i>${escapeHtml(summary.footer)}</i>`);
+      }
+
+      return assertDelivered('Telegram', await postJson(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+        chat_id: chatId,
+        text: lines.join('\n'),
+        parse_mode: 'HTML'
+      }));
+    }
+  };
+}
+
+function createSlackNotifier({ webhookUrl }) {
+  return {
+    name: 'slack',
+    async send(event, options = {}) {
+      const strings = getStrings(options.language);
+      const summary = describeEvent(event, options);
+      // Templated events have no fields: their text is the description
+      const text = summary.fields.length > 0
+        ? summary.fields.map(field => `*${field.name}* : ${field.value}${field.url ? ` · <${field.url}|${strings.view}>` : ''}`).join('\n')
+        : summary.description || summary.title;
+      const section = { type: 'section', text: { type: 'mrkdwn', text } };
+      if (event.product?.imageUrl) {
+        section.accessory = { type: 'image', image_url: event.product.imageUrl, alt_text: event.product.title || strings.product };
+      }
+
+      const blocks = [
+        { type: 'header', text: { type: 'plain_text', text: summary.title } },
+        section
+      ];
+      if (event.product) {
+        blocks.push({
+          type: 'actions',
+          elements: [{ type: 'button', text: { type: 'plain_text', text: strings.viewProduct }, url: event.product.url }]
+        });
+      }
+      if (summary.description && summary.fields.length > 0) {
+        blocks.splice(1, 0, { type: 'context', elements: [{ type: 'mrkdwn', text: summary.description }] });
+      }
+      if (summary.footer) {
+        blocks.push({ type: 'context', elements: [{ type: 'plain_text', text: summary.footer }] });
+      }
+
+      return assertDelivered('Slack', await postJson(webhookUrl, { text: summary.title, blocks }));
+    }
+  };
+}
+
+function createEmailNotifier({ host, port, secure, user, pass, from, to }) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'email',
+    async send(event, options = {}) {
+      const strings = getStrings(options.language);
+      const summary = describeEvent(event, options);
+      const { product } = event;
+      const sizes = ['restock', 'low_stock', 'sold_out'].includes(event.type) ? ` (${getEventSizes(event).map(({ size }) => size).join(', ')})` : '';
+      const subject = product ? `${summary.title} - ${product.title || strings.product}${sizes}` : summary.title;
+      const text = [
+        summary.description,
+        ...summary.fields.map(field => `${field.name} : ${field.value}${field.url ? ` - ${field.url}` : ''}`),
+        '',
+        product ? product.url : undefined,
+        summary.footer ? `\n${summary.footer}` : undefined
+      ].filter(line => line !== undefined).join('\n');
+      const html = `
+        <h2>${escapeHtml(summary.title)}</h2>
+        ${summary.description ? `<p>${escapeHtml(summary.description).replace(/\n/g, '<br>')}</p>` : ''}
+        ${product?.imageUrl ? `<img src="${escapeHtml(product.imageUrl)}" alt="" width="160">` : ''}
+        ${summary.fields.length > 0 ? `<ul>${summary.fields.map(field => `<li><strong>${escapeHtml(field.name)}</strong> : ${escapeHtml(field.value)}${field.url ? ` · <a href="${escapeHtml(field.url)}">${strings.view}</a>` : ''}</li>`).join('')}</ul>` : ''}
+        ${product ? `<p><a href="${escapeHtml(product.url)}">${strings.viewProduct}</a></p>` : ''}
+        ${summary.footer ? `<p><small>${escapeHtml(summary.footer)}</small></p>` : ''}
+      `;
+
+      return transport.sendMail({ from, to, subject, text, html });
+    }
+  };
+}
+
+// Generic JSON webhook: the raw event, signed with HMAC-SHA256 over "<timestamp>.<body>"
+function createWebhookNotifier({ url, secret }) {
+  return {
+    name: 'webhook',
+    async send(event) {
+      const body = JSON.stringify(event);
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const headers = { 'X-EDM-Event': event.type, 'X-EDM-Timestamp': timestamp };
+      if (secret) {
+        headers['X-EDM-Signature'] = `sha256=${signPayload(secret, timestamp, body)}`;
+      }
+      return assertDelivered('Webhook', await postJson(url, body, headers));
+    }
+  };
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// ============== CONFIGURATION ==============
+
+const CHANNELS = ['discord', 'telegram', 'slack', 'email', 'webhook'];
+
+// Build the enabled notifiers from environment variables, keyed by channel name
+function createNotifiersFromEnv(env = process.env) {
+  const notifiers = new Map();
+  const add = (notifier) => notifiers.set(notifier.name, notifier);
+
+  if (env.DISCORD_WEBHOOK) {
+    add(createDiscordNotifier({ webhookUrl: env.DISCORD_WEBHOOK, interactive: !!env.DISCORD_PUBLIC_KEY }));
+  }
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    add(createTelegramNotifier({ botToken: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID }));
+  }
+  if (env.SLACK_WEBHOOK) {
+    add(createSlackNotifier({ webhookUrl: env.SLACK_WEBHOOK }));
+  }
+  if (env.SMTP_HOST && env.EMAIL_TO) {
+    add(createEmailNotifier({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT, 10) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.EMAIL_FROM || env.SMTP_USER,
+      to: env.EMAIL_TO
+    }));
+  }
+  if (env.WEBHOOK_URL) {
+    add(createWebhookNotifier({ url: env.WEBHOOK_URL, secret: env.WEBHOOK_SECRET }));
+  }
+
+  return notifiers;
+}
+
+// ============== USER TARGETS ==============
+//
+// Users can add their own destinations on top of the channels configured on the
+// server. Telegram and email targets reuse the server's bot and SMTP server.
+
+const TARGET_FIELDS = {
+  discord: { required: ['webhookUrl'] },
+  telegram: { required: ['chatId'] },
+  slack: { required: ['webhookUrl'] },
+  email: { required: ['to'] },
+  webhook: { required: ['url'], optional: ['secret'] }
+};
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Loopback, private, link-local and unspecified addresses (IPv4 and IPv6)
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16]
+];
+const privateAddresses = new net.BlockList();
+for (const [address, prefix] of PRIVATE_IPV4_RANGES) privateAddresses.addSubnet(address, prefix, 'ipv4');
+privateAddresses.addAddress('::', 'ipv6');
+privateAddresses.addAddress('::1', 'ipv6');
+privateAddresses.addSubnet('fc00::', 7, 'ipv6');
+privateAddresses.addSubnet('fe80::', 10, 'ipv6');
+
+// Does the URL point at this machine or its network? Only literal addresses and
+// localhost names are recognized: the URL parser has already normalized forms
+// like http://2130706433/ to 127.0.0.1.
+function isPrivateUrl(value) {
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+
+  const version = net.isIP(host);
+  if (version === 4) return privateAddresses.check(host, 'ipv4');
+  if (version !== 6) return false;
+  // IPv4-mapped (::ffff:7f00:1 once parsed): check the IPv4 address
+  const mapped = host.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const [high, low] = mapped.slice(1).map(part => parseInt(part, 16));
+    return privateAddresses.check([high >> 8, high & 255, low >> 8, low & 255].join('.'), 'ipv4');
+  }
+  return privateAddresses.check(host, 'ipv6');
+}
+
+// Validate a target's settings coming from the API
+// Returns { config } or { error }
+// Only admins (allowPrivateHosts) may send to the server's own network: for anyone
+// else a webhook there would let them make requests from inside it.
+function parseTargetConfig(channel, input, { allowPrivateHosts = false } = {}) {
+  const fields = TARGET_FIELDS[channel];
+  if (!fields) {
+    return { error: `Unknown channel: ${channel} - available: ${CHANNELS.join(', ')}` };
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'config must be an object' };
+  }
+
+  const config = {};
+  for (const field of [...fields.required, ...(fields.optional || [])]) {
+    const value = input[field] === undefined || input[field] === null ? '' : String(input[field]).trim();
+    if (!value) {
+      if (fields.required.includes(field)) return { error: `config.${field} is required for ${channel}` };
+      continue;
+    }
+    config[field] = value;
+  }
+
+  if ((config.webhookUrl && !isHttpUrl(config.webhookUrl)) || (config.url && !isHttpUrl(config.url))) {
+    return { error: 'Invalid URL - must start with http:// or https://' };
+  }
+  if (!allowPrivateHosts && [config.webhookUrl, config.url].some(url => url && isPrivateUrl(url))) {
+    return { error: 'Invalid URL - local and private network addresses are not allowed' };
+  }
+  if (config.to && !/^[^\s@]+@[^\s@]+$/.test(config.to)) {
+    return { error: 'Invalid email address' };
+  }
+
+  return { config };
+}
+
+// Build the notifier for a user target.
+// Returns null when the server lacks what the channel needs (Telegram bot, SMTP server).
+function createTargetNotifier(channel, config, env = process.env) {
+  switch (channel) {
+    case 'discord':
+      return createDiscordNotifier({ webhookUrl: config.webhookUrl, interactive: !!env.DISCORD_PUBLIC_KEY });
+    case 'telegram':
+      return env.TELEGRAM_BOT_TOKEN ? createTelegramNotifier({ botToken: env.TELEGRAM_BOT_TOKEN, chatId: config.chatId }) : null;
+    case 'slack':
+      return createSlackNotifier({ webhookUrl: config.webhookUrl });
+    case 'email':
+      return env.SMTP_HOST ? createEmailNotifier({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT, 10) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from: env.EMAIL_FROM || env.SMTP_USER,
+        to: config.to
+      }) : null;
+    case 'webhook':
+      return createWebhookNotifier({ url: config.url, secret: config.secret });
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  CHANNELS,
+  DeliveryError,
+  createNotifiersFromEnv,
+  parseTargetConfig,
+  createTargetNotifier,
+  createDiscordNotifier,
+  createTelegramNotifier,
+  createSlackNotifier,
+  createEmailNotifier,
+  createWebhookNotifier,
+  describeEvent,
+  parseMentions,
+  signPayload,
+  postJson
+};
@@ -0,0 +1,248 @@
+const { getTimestamp } = require('./utils');
+
+// ============== NOTIFICATION OUTBOX ==============
+//
+// Every notification is stored before it is sent, one entry per channel:
+// { id, productId, userId, channel, event, status, attempts, nextAttemptAt, lastError, createdAt, updatedAt, sentAt }
+//
+// `channel` is a key understood by resolveNotifier: a server channel name or a
+// user target (`target:<id>`). `userId` is the user the notification is for
+// (null for admin alerts).
+//
+// `onUpdate(entry)` is called whenever an entry is stored or changes status,
+// `onAttempt(entry, outcome)` after each delivery attempt ('sent', 'failed' or 'dead').
+// `getHoldUntil(channel)` returns when the channel's quiet hours end, or null
+// when it can be notified now. `getSendOptions(channel, event)` returns what the
+// notifier renders with: { language, templates } (see lib/notifiers.js).
+//
+// status: 'pending' (waiting for a first or new attempt), 'sending' (claimed by
+// a delivery until nextAttemptAt, after which another one can take it over), 'sent', 'dead'
+// (gave up after MAX_ATTEMPTS or a permanent error; can be re-sent from the API),
+// 'held' (waiting for the end of the channel's quiet hours, in nextAttemptAt) or
+// 'digested' (released with others as a single digest entry)
+
+const STATUSES = ['pending', 'sending', 'held', 'sent', 'dead', 'digested'];
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 5 * 1000;
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+// How long a delivery keeps its claim: past it, the sender is assumed dead
+const SEND_LEASE_MS = 5 * 60 * 1000;
+
+// Exponential backoff (5s, 10s, 20s... capped at 30min), never shorter than
+// the delay the service asked for with retry_after
+function getRetryDelayMs(attempts, retryAfterMs) {
+  const backoff = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+  return Math.max(backoff, retryAfterMs || 0);
+}
+
+// Event sent for several entries held during quiet hours:
+// { type: 'digest', timestamp, events: [the held events, oldest first] }
+function createDigestEvent(entries) {
+  return {
+    type: 'digest',
+    timestamp: new Date().toISOString(),
+    events: entries.map(entry => entry.event)
+  };
+}
+
+function createOutbox({ store, resolveNotifier, onUpdate = () => {}, onAttempt = () => {}, getHoldUntil = () => null, getSendOptions = () => ({}) }) {
+  let pollInterval = null;
+  let processing = null;
+
+  function insert(productId, userId, channel, event, { status = 'pending', nextAttemptAt = new Date() } = {}) {
+    return store.outbox.insert({ productId, userId, channel, event, status, nextAttemptAt });
+  }
+
+  async function update(entry, changes) {
+    Object.assign(entry, changes, { updatedAt: new Date() });
+    await store.outbox.update(entry);
+    onUpdate(entry);
+    return entry;
+  }
+
+  function get(id) {
+    return store.outbox.get(id);
+  }
+
+  // List entries, newest first. Filters: status, productId, userId, limit
+  function list({ status, productId, userId, limit = 100 } = {}) {
+    return store.outbox.list({ status, productId, userId, limit });
+  }
+
+  // Counts per status, for /health (all users) and the dashboard (one user)
+  async function stats({ userId } = {}) {
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    return { ...counts, ...await store.outbox.countByStatus({ userId }) };
+  }
+
+  function findDue() {
+    return store.outbox.findDue(50);
+  }
+
+  // Held entries whose quiet hours are over
+  function findReleasable() {
+    return store.outbox.findDue(500, 'held');
+  }
+
+  // Entries whose delivery never finished (the instance stopped while sending)
+  function findAbandoned() {
+    return store.outbox.findDue(50, 'sending');
+  }
+
+  // Try to send one entry and record the outcome. The entry is claimed first, so
+  // a copy read before it was sent (by a delivery round here or on another
+  // instance) is skipped: then the entry is returned as it is now.
+  async function deliver(entry) {
+    const claimed = await store.outbox.claim(entry.id, new Date(Date.now() + SEND_LEASE_MS));
+    if (!claimed) return (await get(entry.id)) || entry;
+    onUpdate(claimed);
+
+    const notifier = resolveNotifier(claimed.channel);
+    const attempts = claimed.attempts + 1;
+
+    if (!notifier) {
+      onAttempt(claimed, 'dead');
+      return update(claimed, { status: 'dead', attempts, lastError: `Channel ${claimed.channel} is not configured` });
+    }
+
+    try {
+      await notifier.send(claimed.event, getSendOptions(claimed.channel, claimed.event));
+      onAttempt(claimed, 'sent');
+      return await update(claimed, { status: 'sent', attempts, lastError: null, sentAt: new Date() });
+    } catch (error) {
+      if (error.permanent || attempts >= MAX_ATTEMPTS) {
+        console.error(`[${getTimestamp()}] ☠️ ${claimed.channel} notification #${claimed.id} dead after ${attempts} attempt(s):`, error.message);
+        onAttempt(claimed, 'dead');
+        return update(claimed, { status: 'dead', attempts, lastError: error.message });
+      }
+
+      onAttempt(claimed, 'failed');
+      const delayMs = getRetryDelayMs(attempts, error.retryAfterMs);
+      console.error(`[${getTimestamp()}] ⚠️ ${claimed.channel} notification #${claimed.id} failed (attempt ${attempts}), retrying in ${Math.round(delayMs / 1000)}s:`, error.message);
+      return update(claimed, {
+        status: 'pending',
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + delayMs)
+      });
+    }
+  }
+
+  // Store one entry per channel, then try to deliver them right away, except on
+  // channels in their quiet hours. Resolves with the entries (in the order of
+  // `channels`) once delivered or held. Throws if the entries could not be stored.
+  async function enqueue(productId, channels, event, { userId = null } = {}) {
+    const entries = [];
+    for (const channel of channels) {
+      const holdUntil = getHoldUntil(channel);
+      if (holdUntil) {
+        const held = await insert(productId, userId, channel, event, { status: 'held', nextAttemptAt: holdUntil });
+        onUpdate(held);
+        entries.push(held);
+      } else {
+        entries.push(await insert(productId, userId, channel, event));
+      }
+    }
+
+    return Promise.all(entries.map(entry => (entry.status === 'held' ? entry : deliver(entry).catch(error => {
+      console.error(`[${getTimestamp()}] ❌ Error delivering notification #${entry.id}:`, error.message);
+      return entry;
+    }))));
+  }
+
+  // At the end of quiet hours, send what was held on each channel: a lone entry
+  // as is, several as one digest
+  async function releaseHeld() {
+    const byChannel = new Map();
+    for (const entry of await findReleasable()) {
+      if (!byChannel.has(entry.channel)) byChannel.set(entry.channel, []);
+      byChannel.get(entry.channel).push(entry);
+    }
+
+    for (const [channel, held] of byChannel) {
+      if (held.length === 1) {
+        await update(held[0], { status: 'pending', nextAttemptAt: new Date() });
+        continue;
+      }
+
+      held.sort((a, b) => a.id - b.id);
+      const userIds = new Set(held.map(entry => entry.userId));
+      const productIds = new Set(held.map(entry => entry.productId));
+      const digest = await insert(
+        productIds.size === 1 ? held[0].productId : null,
+        userIds.size === 1 ? held[0].userId : null,
+        channel,
+        createDigestEvent(held)
+      );
+      for (const entry of held) {
+        await update(entry, { status: 'digested' });
+      }
+      console.log(`[${getTimestamp()}] 🌅 ${held.length} notifications held for ${channel} grouped in digest #${digest.id}`);
+    }
+  }
+
+  // Deliver every entry whose retry time has come (one round at a time: a call
+  // during a round waits for it)
+  function processDue() {
+    if (processing) return processing;
+
+    processing = (async () => {
+      try {
+        await releaseHeld();
+        const due = [...await findAbandoned(), ...await findDue()];
+        for (const entry of due) {
+          await deliver(entry);
+        }
+      } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Error processing notification outbox:`, error.message);
+      } finally {
+        processing = null;
+      }
+    })();
+    return processing;
+  }
+
+  // Put an entry (usually dead) back in the queue and send it now. An entry
+  // being sent is left to its delivery.
+  async function resend(id) {
+    const entry = await get(id);
+    if (!entry) return null;
+    if (entry.status === 'sending') return entry;
+
+    await update(entry, { status: 'pending', attempts: 0, lastError: null, nextAttemptAt: new Date() });
+    return deliver(entry);
+  }
+
+  function start() {
+    if (pollInterval) return;
+    pollInterval = setInterval(processDue, POLL_INTERVAL_MS);
+    processDue();
+  }
+
+  // Resolves once the delivery round in progress is over
+  async function stop() {
+    clearInterval(pollInterval);
+    pollInterval = null;
+    await processing;
+  }
+
+  return {
+    enqueue,
+    list,
+    get,
+    stats,
+    resend,
+    processDue,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createOutbox,
+  createDigestEvent,
+  getRetryDelayMs,
+  STATUSES,
+  MAX_ATTEMPTS
+};
@@ -0,0 +1,331 @@
+// ============== PAGE PARSING ==============
+//
+// Pure functions turning Espace des Marques HTML into data. No network access here:
+// the server fetches pages, and test/fixtures holds saved pages for the test suite.
+
+// The shop; SITE_URL can point the server elsewhere (e.g. scripts/mock-shop.js)
+const DEFAULT_SITE_URL = 'https://www.espace-des-marques.com';
+// Product stock is read from the French pages ("Épuisé", "Plus que 2 en stock")
+const CANONICAL_LOCALE = 'fr';
+
+// Product paths: /fr/116527/slug, any other locale (/en/..., /fr-be/...), with or
+// without the slug, and the short shared form /p/116527
+const PRODUCT_PATH = /^\/(?:[a-z]{2}(?:[-_][a-z]{2})?|p)\/(\d+)(?:\/([^/]*))?/i;
+
+// The URL as a URL object if it is on the shop at `siteUrl`: same host, with or
+// without "www.", or the mobile "m." host (and the same port, if siteUrl has one).
+// The scheme can be left out ("www.espace-des-marques.com/fr/..."). null otherwise.
+function toSiteUrl(input, siteUrl = DEFAULT_SITE_URL) {
+  let text = String(input || '').trim();
+  if (!text) return null;
+  if (!/^[a-z][a-z\d+.-]*:\/\//i.test(text)) text = `https://${text}`;
+
+  let url;
+  try {
+    url = new URL(text);
+  } catch (e) {
+    return null;
+  }
+
+  const site = new URL(siteUrl);
+  const host = site.hostname.replace(/^www\./, '');
+  if (!['http:', 'https:'].includes(url.protocol)) return null;
+  if (![host, `www.${host}`, `m.${host}`].includes(url.hostname)) return null;
+  if (site.port && url.port !== site.port) return null;
+  return url;
+}
+
+// Is the URL a page of the shop at `siteUrl`? See toSiteUrl
+function isSiteUrl(url, siteUrl = DEFAULT_SITE_URL) {
+  return toSiteUrl(url, siteUrl) !== null;
+}
+
+// Extract product ID from URL (or path), whatever the host; see parseProductUrl
+// to validate a URL given by a user
+function extractProductId(url) {
+  // URL format: https://www.espace-des-marques.com/fr/116527/pantalon-de-ski-noir-femme-o-neill-gore-tex-madness
+  let pathname;
+  try {
+    pathname = new URL(String(url || ''), DEFAULT_SITE_URL).pathname;
+  } catch (e) {
+    return null;
+  }
+  const match = pathname.match(PRODUCT_PATH);
+  return match ? match[1] : null;
+}
+
+// A product URL given by a user: { id, url } where url is the canonical URL of
+// the product (French page on siteUrl, no query string or fragment), or null
+// when it is not a product page of the shop.
+function parseProductUrl(input, siteUrl = DEFAULT_SITE_URL) {
+  const url = toSiteUrl(input, siteUrl);
+  const match = url && url.pathname.match(PRODUCT_PATH);
+  if (!match) return null;
+
+  const slug = match[2] ? match[2].toLowerCase() : '';
+  return {
+    id: match[1],
+    url: `${new URL(siteUrl).origin}/${CANONICAL_LOCALE}/${match[1]}/${slug}`
+  };
+}
+
+// Parse a price as displayed on the site ("1 299,99 €", "89.90", 89.9) into a number
+function parsePrice(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (!value) return null;
+
+  let cleaned = String(value).replace(/[^\d,.]/g, '');
+  if (!cleaned) return null;
+
+  // The last separator is the decimal one, the other is a thousands separator
+  const decimalSeparator = cleaned.lastIndexOf(',') > cleaned.lastIndexOf('.') ? ',' : '.';
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+  cleaned = cleaned.split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+
+  const price = parseFloat(cleaned);
+  return Number.isFinite(price) ? price : null;
+}
+
+function decodeHtmlEntities(text) {
+  return String(text || '')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// A size with this many items left or fewer is running low
+const LOW_STOCK_QUANTITY = 3;
+
+// What a variant's labelStock says about how many are left: { quantity, level }.
+// quantity is the number of items when the label gives one ("Plus que 2 en stock",
+// "Dernier article"), null otherwise. level is 'out', 'low' or 'in_stock'; labels
+// without a number can still be low ("Derniers articles", "Stock limité").
+function parseStockLabel(label, inStock = true) {
+  if (!inStock) return { quantity: 0, level: 'out' };
+
+  const text = String(label || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  let quantity = null;
+  const countMatch = text.match(/(?:plus que|reste|seulement|encore)\s+(\d+)/)
+    || text.match(/(\d+)\s+(?:en stock|articles?|pieces?|exemplaires?|restants?|disponibles?)/);
+  if (countMatch) {
+    quantity = parseInt(countMatch[1], 10);
+  } else if (/\b(?:dernier|derniere)\s+(?:article|piece|exemplaire|taille)/.test(text)) {
+    quantity = 1;
+  }
+
+  if (quantity !== null) {
+    return { quantity, level: quantity <= LOW_STOCK_QUANTITY ? 'low' : 'in_stock' };
+  }
+  const low = /\b(?:derniers|dernieres)\b|stock (?:limite|faible)|quantite limitee|bientot epuise/.test(text);
+  return { quantity: null, level: low ? 'low' : 'in_stock' };
+}
+
+// Parse a product page.
+// `markers` records which parts of the expected markup were found, see getParseIssues.
+function parseProductHtml(html) {
+  const markers = { jsonLd: false, variants: false, title: false, price: false };
+
+  // Extract product info from JSON-LD
+  const jsonLdMatch = html.match(/<script[^>]*type="application\/ld\+json"[^>]*>\s*(\[[\s\S]*?\])\s*<\/script>/);
+  let productData = {};
+
+  if (jsonLdMatch) {
+    try {
+      const jsonLd = JSON.parse(jsonLdMatch[1]);
+      const product = jsonLd.find(item => item['@type'] === 'Product') || jsonLd[0];
+      if (product) {
+        markers.jsonLd = true;
+        productData = {
+          title: product.name || '',
+          brand: product.brand?.name || '',
+          description: product.description || '',
+          sku: product.sku || '',
+          image: product.image?.[0] || '',
+          price: product.offers?.price || '',
+          availability: product.offers?.availability || ''
+        };
+      }
+    } catch (e) {
+      console.log('Could not parse JSON-LD:', e.message);
+    }
+  }
+
+  // Extract title from meta or HTML
+  if (!productData.title) {
+    const titleMatch = html.match(/<title>([^<]+)<\/title>/);
+    productData.title = titleMatch ? titleMatch[1].replace(' | Espace des marques', '').trim() : '';
+  }
+  markers.title = !!productData.title;
+  if (!productData.title) {
+    productData.title = 'Unknown Product';
+  }
+
+  // Extract variants/sizes from data-variants attribute
+  const variantsMatch = html.match(/data-variants="([^"]+)"/);
+  const sizes = {};
+
+  if (variantsMatch) {
+    try {
+      // Decode HTML entities
+      const variantsJson = variantsMatch[1]
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&')
+        .replace(/&#039;/g, "'");
+
+      const variants = JSON.parse(variantsJson);
+
+      for (const variant of variants) {
+        const sizeName = variant.labelAddCart || 'Unknown';
+        const inStock = variant.hasStock === true;
+        const stockLabel = variant.labelStock || '';
+        sizes[sizeName] = {
+          size: sizeName,
+          inStock,
+          stockLabel,
+          ...parseStockLabel(stockLabel, inStock),
+          variantCode: variant.codeAlerting || variant.actionAddCart || ''
+        };
+      }
+      markers.variants = Array.isArray(variants);
+    } catch (e) {
+      console.log('Could not parse variants:', e.message);
+    }
+  }
+
+  // Extract image from og:image or product image
+  if (!productData.image) {
+    const ogImageMatch = html.match(/<meta[^>]*property="og:image"[^>]*content="([^"]+)"/);
+    productData.image = ogImageMatch ? ogImageMatch[1] : '';
+  }
+
+  // Extract price from page if not found in JSON-LD
+  if (!productData.price) {
+    const priceMatch = html.match(/class="[^"]*product-price[^"]*"[^>]*>([^<]+)</);
+    productData.price = priceMatch ? priceMatch[1].trim() : '';
+  }
+
+  // Extract original price
+  const originalPriceMatch = html.match(/class="[^"]*original-price[^"]*"[^>]*>([^<]+)</);
+  productData.originalPrice = originalPriceMatch ? originalPriceMatch[1].trim() : '';
+
+  const price = parsePrice(productData.price);
+  markers.price = price !== null;
+
+  return {
+    title: productData.title,
+    brand: productData.brand,
+    price,
+    originalPrice: parsePrice(productData.originalPrice),
+    imageUrl: productData.image,
+    availability: productData.availability,
+    sizes: sizes,
+    markers
+  };
+}
+
+// Markup the monitor cannot work without. A page missing one of these has most
+// likely changed layout: its sizes must not be read as "out of stock".
+const REQUIRED_MARKERS = ['variants', 'title'];
+
+// List what is missing from a parsed product page, e.g. ['variants', 'price'].
+// `critical` is true when the stock cannot be trusted.
+function getParseIssues(productInfo) {
+  const markers = productInfo.markers || {};
+  const missing = Object.keys(markers).filter(marker => !markers[marker]);
+
+  return {
+    missing,
+    critical: REQUIRED_MARKERS.some(marker => missing.includes(marker))
+  };
+}
+
+// Extract product tiles from a category, brand or search results page.
+// Uses the JSON-LD ItemList when present, then every link to a product page
+// (details are read from the markup between one product link and the next).
+function parseListingHtml(html, pageUrl) {
+  const items = new Map();
+
+  const jsonLdRegex = /<script[^>]*type="application\/ld\+json"[^>]*>([\s\S]*?)<\/script>/g;
+  for (const match of html.matchAll(jsonLdRegex)) {
+    try {
+      const data = JSON.parse(match[1]);
+      const lists = (Array.isArray(data) ? data : [data]).filter(entry => entry['@type'] === 'ItemList');
+      for (const list of lists) {
+        for (const element of list.itemListElement || []) {
+          const item = element.item || element;
+          if (!item.url) continue;
+          const url = new URL(item.url, pageUrl).href;
+          const id = extractProductId(url);
+          if (!id || items.has(id)) continue;
+          items.set(id, {
+            id,
+            url,
+            title: item.name || '',
+            brand: item.brand?.name || '',
+            price: parsePrice(item.offers?.price),
+            originalPrice: null,
+            imageUrl: (Array.isArray(item.image) ? item.image[0] : item.image) || ''
+          });
+        }
+      }
+    } catch (e) {
+      console.log('Could not parse listing JSON-LD:', e.message);
+    }
+  }
+
+  const links = Array.from(html.matchAll(/<a[^>]*href="([^"]*\/[a-z]{2}(?:[-_][a-z]{2})?\/(\d+)\/[^"]*)"[^>]*>/gi));
+  links.forEach((match, index) => {
+    const id = match[2];
+    if (items.has(id)) return;
+
+    const next = links.slice(index + 1).find(link => link[2] !== id);
+    const tile = html.slice(match.index, Math.min(next ? next.index : html.length, match.index + 3000));
+
+    const titleMatch = match[0].match(/title="([^"]+)"/)
+      || tile.match(/class="[^"]*(?:product-name|product-title)[^"]*"[^>]*>([^<]+)</)
+      || tile.match(/<img[^>]*alt="([^"]+)"/);
+    const brandMatch = tile.match(/class="[^"]*brand[^"]*"[^>]*>([^<]+)</);
+    const priceMatch = tile.match(/class="[^"]*product-price[^"]*"[^>]*>([^<]+)</)
+      || tile.match(/class="(?![^"]*(?:original|old))[^"]*price[^"]*"[^>]*>([^<]+)</);
+    const originalPriceMatch = tile.match(/class="[^"]*original-price[^"]*"[^>]*>([^<]+)</);
+    const imageMatch = tile.match(/<img[^>]*(?:data-src|src)="([^"]+)"/);
+
+    items.set(id, {
+      id,
+      url: new URL(decodeHtmlEntities(match[1]), pageUrl).href,
+      title: titleMatch ? decodeHtmlEntities(titleMatch[1]) : '',
+      brand: brandMatch ? decodeHtmlEntities(brandMatch[1]) : '',
+      price: priceMatch ? parsePrice(decodeHtmlEntities(priceMatch[1])) : null,
+      originalPrice: originalPriceMatch ? parsePrice(decodeHtmlEntities(originalPriceMatch[1])) : null,
+      imageUrl: imageMatch ? decodeHtmlEntities(imageMatch[1]) : ''
+    });
+  });
+
+  const pageTitleMatch = html.match(/<title>([^<]+)<\/title>/);
+
+  return {
+    title: pageTitleMatch ? decodeHtmlEntities(pageTitleMatch[1]).replace(' | Espace des marques', '') : '',
+    items: Array.from(items.values())
+  };
+}
+
+module.exports = {
+  DEFAULT_SITE_URL,
+  toSiteUrl,
+  isSiteUrl,
+  extractProductId,
+  parseProductUrl,
+  parsePrice,
+  decodeHtmlEntities,
+  LOW_STOCK_QUANTITY,
+  parseStockLabel,
+  parseProductHtml,
+  getParseIssues,
+  parseListingHtml
+};
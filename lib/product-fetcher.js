@@ -0,0 +1,58 @@
+const { getTimestamp } = require('./utils');
+const { extractProductId, parseProductHtml, parseListingHtml } = require('./parser');
+
+// ============== PRODUCT FETCHING ==============
+//
+// Product and listing pages, fetched with an HTTP client (see http-client.js) and
+// parsed. When the shop answers with an error page the error has `httpStatus`.
+// `quiet`: don't log each fetch (command-line output).
+
+function httpError(statusCode, message = `HTTP ${statusCode}`) {
+  const error = new Error(message);
+  error.httpStatus = statusCode;
+  return error;
+}
+
+function createProductFetcher({ httpClient, quiet = false }) {
+  // Product info, plus `url`: where the page is now after redirects
+  async function fetchProductInfo(url) {
+    if (!quiet) console.log(`[${getTimestamp()}] 🔍 Fetching product: ${url}`);
+
+    const response = await httpClient.get(url);
+
+    if (response.statusCode !== 200) {
+      throw httpError(response.statusCode);
+    }
+
+    // Removed products often redirect to a category or the home page:
+    // count it as "not found" rather than reading another page
+    if (response.redirected && extractProductId(response.url) !== extractProductId(url)) {
+      throw httpError(404, `Redirected away from the product page (to ${response.url})`);
+    }
+
+    return { ...parseProductHtml(response.body), url: response.url };
+  }
+
+  // Listing items, plus `url`: where the page is now after redirects
+  async function fetchListing(url) {
+    if (!quiet) console.log(`[${getTimestamp()}] 🔍 Fetching listing: ${url}`);
+
+    const response = await httpClient.get(url);
+
+    if (response.statusCode !== 200) {
+      throw httpError(response.statusCode);
+    }
+
+    return { ...parseListingHtml(response.body, response.url), url: response.url };
+  }
+
+  return {
+    fetchProductInfo,
+    fetchListing
+  };
+}
+
+module.exports = {
+  createProductFetcher,
+  httpError
+};
@@ -0,0 +1,88 @@
+// ============== QUIET HOURS ==============
+//
+// Times of day are in the Europe/Paris timezone, like getTimestamp().
+// A range is written "HH:MM-HH:MM" and may cross midnight ("23:00-08:00").
+
+const TIME_ZONE = 'Europe/Paris';
+const MINUTES_PER_DAY = 24 * 60;
+
+const localTimeFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+// "08:30" -> 510 minutes after midnight, null if invalid
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+// "23:00-08:00" -> { start, end, text }, null if invalid or empty
+function parseTimeRange(value) {
+  const [start, end, extra] = String(value || '').split('-').map(parseTime);
+  if (start === null || end === null || end === undefined || extra !== undefined || start === end) return null;
+  return { start, end, text: `${formatTime(start)}-${formatTime(end)}` };
+}
+
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Date ('YYYY-MM-DD') and minutes since midnight in Paris
+function getLocalTime(date = new Date()) {
+  const parts = {};
+  for (const part of localTimeFormat.formatToParts(date)) parts[part.type] = part.value;
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+function isQuiet(range, date = new Date()) {
+  const { minutes } = getLocalTime(date);
+  return range.start < range.end
+    ? minutes >= range.start && minutes < range.end
+    : minutes >= range.start || minutes < range.end;
+}
+
+// When the quiet hours that include `date` end
+function getQuietEnd(range, date = new Date()) {
+  const { minutes } = getLocalTime(date);
+  const minutesLeft = (range.end - minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const startOfMinute = date.getTime() - (date.getTime() % 60000);
+  return new Date(startOfMinute + minutesLeft * 60000);
+}
+
+// QUIET_HOURS: a range for every server channel ("23:00-08:00"), or ranges per
+// channel ("discord=23:00-08:00,email=22:00-07:00"). Returns a Map of channel
+// ('*' for all) to range; invalid entries are ignored.
+function parseQuietHoursSetting(value) {
+  const ranges = new Map();
+  for (const entry of String(value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const index = entry.indexOf('=');
+    const channel = index === -1 ? '*' : entry.slice(0, index).trim();
+    const range = parseTimeRange(index === -1 ? entry : entry.slice(index + 1));
+    if (channel && range) ranges.set(channel, range);
+  }
+  return ranges;
+}
+
+module.exports = {
+  TIME_ZONE,
+  parseTime,
+  parseTimeRange,
+  formatTime,
+  getLocalTime,
+  isQuiet,
+  getQuietEnd,
+  parseQuietHoursSetting
+};
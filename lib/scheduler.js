@@ -0,0 +1,206 @@
+const { getTimestamp } = require('./utils');
+
+// ============== CHECK SCHEDULER ==============
+//
+// Each scheduled item (a product ID) has its own next run time. A single tick loop
+// starts due checks with bounded concurrency; an item is never checked twice at once.
+// After each check the next run is the item's interval with ±jitter, or an exponential
+// backoff when the check failed. `onTaskDone(id, result)` is called after each
+// check, once the next run is known. Items for which `isPaused(id)` is true stay
+// scheduled but are skipped; once resumed, an overdue item runs at the next tick.
+
+function createScheduler({
+  runTask,
+  getIntervalMs,
+  concurrency = 3,
+  tickMs = 1000,
+  jitterRatio = 0.1,
+  maxBackoffMs = 30 * 60 * 1000,
+  isPaused = () => false,
+  onTaskDone = () => {}
+}) {
+  // Structure: { "id": { nextRunAt: Date, running: Promise|null, consecutiveErrors, lastRunAt, lastDurationMs } }
+  const items = new Map();
+  let tickTimeout = null;
+  let ticking = false;
+  let running = false;
+  let activeCount = 0;
+
+  function withJitter(ms) {
+    const jitter = ms * jitterRatio;
+    return Math.round(ms - jitter + Math.random() * jitter * 2);
+  }
+
+  function getNextDelayMs(id, state) {
+    const intervalMs = getIntervalMs(id);
+    if (state.consecutiveErrors === 0) return withJitter(intervalMs);
+    return withJitter(Math.min(intervalMs * 2 ** state.consecutiveErrors, Math.max(maxBackoffMs, intervalMs)));
+  }
+
+  // Schedule an item, first run after `delayMs` (default: one interval)
+  function add(id, { delayMs } = {}) {
+    if (items.has(id)) return;
+    items.set(id, {
+      nextRunAt: new Date(Date.now() + (delayMs ?? withJitter(getIntervalMs(id)))),
+      running: null,
+      consecutiveErrors: 0,
+      lastRunAt: null,
+      lastDurationMs: null
+    });
+  }
+
+  function remove(id) {
+    items.delete(id);
+  }
+
+  // Re-compute the next run of an item, e.g. after its interval changed
+  function reschedule(id, { delayMs } = {}) {
+    const state = items.get(id);
+    if (!state || state.running) return;
+    state.nextRunAt = new Date(Date.now() + (delayMs ?? withJitter(getIntervalMs(id))));
+  }
+
+  function execute(id, state) {
+    const startedAt = Date.now();
+    activeCount++;
+
+    state.running = (async () => {
+      let result;
+      try {
+        result = await runTask(id);
+      } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Scheduled check ${id} failed:`, error.message);
+        result = { success: false, error: error.message };
+      }
+
+      state.lastRunAt = new Date(startedAt);
+      state.lastDurationMs = Date.now() - startedAt;
+      state.consecutiveErrors = result && result.success ? 0 : state.consecutiveErrors + 1;
+      state.nextRunAt = new Date(Date.now() + getNextDelayMs(id, state));
+      return result;
+    })().finally(() => {
+      state.running = null;
+      activeCount--;
+    });
+
+    state.running.then(result => {
+      try {
+        onTaskDone(id, result);
+      } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ onTaskDone ${id} failed:`, error.message);
+      }
+    });
+
+    return state.running;
+  }
+
+  // Check an item right away (outside of its schedule). If a check is already
+  // in progress, wait for it instead of starting a second one.
+  function runNow(id) {
+    const state = items.get(id);
+    if (!state) return runTask(id);
+    return state.running || execute(id, state);
+  }
+
+  function tick() {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      const now = Date.now();
+      const due = Array.from(items.entries())
+        .filter(([id, state]) => !state.running && state.nextRunAt.getTime() <= now && !isPaused(id))
+        .sort((a, b) => a[1].nextRunAt - b[1].nextRunAt);
+
+      for (const [id, state] of due) {
+        if (activeCount >= concurrency) break;
+        execute(id, state);
+      }
+    } finally {
+      ticking = false;
+      if (running) {
+        tickTimeout = setTimeout(tick, tickMs);
+      }
+    }
+  }
+
+  function start() {
+    if (running) return false;
+    running = true;
+    tick();
+    return true;
+  }
+
+  // Stop starting new checks; checks in progress finish on their own
+  function stop() {
+    if (!running) return false;
+    running = false;
+    clearTimeout(tickTimeout);
+    tickTimeout = null;
+    return true;
+  }
+
+  // Resolves once the checks in progress are over (e.g. after stop(), before exiting)
+  async function drain() {
+    await Promise.allSettled(Array.from(items.values(), state => state.running).filter(Boolean));
+  }
+
+  function getState() {
+    const now = Date.now();
+    let due = 0;
+    let backingOff = 0;
+    let paused = 0;
+    let nextRunAt = null;
+
+    for (const [id, state] of items.entries()) {
+      if (isPaused(id)) {
+        paused++;
+        continue;
+      }
+      if (!state.running && state.nextRunAt.getTime() <= now) due++;
+      if (state.consecutiveErrors > 0) backingOff++;
+      if (!state.running && (!nextRunAt || state.nextRunAt < nextRunAt)) nextRunAt = state.nextRunAt;
+    }
+
+    return {
+      running,
+      concurrency,
+      scheduled: items.size,
+      active: activeCount,
+      due,
+      backingOff,
+      paused,
+      nextRunAt: nextRunAt ? nextRunAt.toISOString() : null
+    };
+  }
+
+  function getItemState(id) {
+    const state = items.get(id);
+    if (!state) return null;
+    return {
+      nextRunAt: state.nextRunAt.toISOString(),
+      running: !!state.running,
+      paused: isPaused(id),
+      consecutiveErrors: state.consecutiveErrors,
+      lastRunAt: state.lastRunAt ? state.lastRunAt.toISOString() : null,
+      lastDurationMs: state.lastDurationMs
+    };
+  }
+
+  return {
+    add,
+    remove,
+    reschedule,
+    runNow,
+    start,
+    stop,
+    drain,
+    isRunning: () => running,
+    getState,
+    getItemState
+  };
+}
+
+module.exports = {
+  createScheduler
+};
@@ -0,0 +1,121 @@
+// ============== SIZES ==============
+//
+// Size labels differ from one product page to the next ("42 EU" / "42",
+// "Medium" / "M", "W32 L34"). normalizeSize turns a label into a comparable
+// form so saved size profiles can be matched against any page.
+//
+// A size profile is { id, userId, name, sizes: [labels as typed], createdAt },
+// e.g. "Hauts" with M and L, "Chaussures" with 42 and 42.5.
+
+const MAX_PROFILES = 20;
+const MAX_PROFILE_SIZES = 30;
+
+// Spelled-out sizes, checked after accents, case and spaces are dealt with
+const SIZE_WORDS = {
+  'TU': 'TU',
+  'UNIQUE': 'TU',
+  'ONESIZE': 'TU',
+  'OS': 'TU',
+  'XXSMALL': 'XXS',
+  'XSMALL': 'XS',
+  'EXTRASMALL': 'XS',
+  'SMALL': 'S',
+  'MEDIUM': 'M',
+  'LARGE': 'L',
+  'XLARGE': 'XL',
+  'EXTRALARGE': 'XL',
+  'XXLARGE': 'XXL',
+  'XXXLARGE': 'XXXL'
+};
+
+const FRACTIONS = { '½': ' 1/2', '⅓': ' 1/3', '⅔': ' 2/3' };
+
+// "42 EU" -> "42", "42 1/2" / "42,5" -> "42.5", "Medium" -> "M", "2XL" -> "XXL",
+// "W32 L34" -> "W32L34". Anything else is kept, upper-cased without spaces.
+function normalizeSize(label) {
+  let text = String(label || '')
+    .replace(/[½⅓⅔]/g, fraction => FRACTIONS[fraction])
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/(\d)(?=EUR?\b|FR\b)/g, '$1 ')
+    .replace(/\b(?:TAILLE|SIZE|EUR?|FR)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const jeans = /^W\s*(\d{2})(?:\s*[/X-]?\s*L\s*(\d{2}))?$/.exec(text);
+  if (jeans) return `W${jeans[1]}${jeans[2] ? `L${jeans[2]}` : ''}`;
+
+  const number = /^(\d{1,2})(?:[.,](\d+)|\s+(\d)\/(\d))?$/.exec(text);
+  if (number) {
+    let value = parseFloat(`${number[1]}.${number[2] || 0}`);
+    if (number[3]) value += parseInt(number[3], 10) / parseInt(number[4], 10);
+    return String(Math.round(value * 100) / 100);
+  }
+
+  text = text.replace(/[\s-]/g, '');
+  const multiple = /^([2-5])X([SL])$/.exec(text);
+  if (multiple) return 'X'.repeat(parseInt(multiple[1], 10)) + multiple[2];
+  return SIZE_WORDS[text] || text;
+}
+
+// Does a page label correspond to a wanted size? A waist alone ("W32") matches
+// every length, and a double label ("M/L") matches each of its sizes.
+function sizeMatches(wanted, label) {
+  const target = normalizeSize(wanted);
+  if (!target) return false;
+  const labels = [label, ...(String(label).includes('/') ? String(label).split('/') : [])];
+  return labels.map(normalizeSize).some(size =>
+    size === target || (/^W\d{2}$/.test(target) && size.startsWith(`${target}L`)));
+}
+
+// The labels among `labels` matching any of the wanted sizes, in page order
+function matchSizes(wanted, labels) {
+  return labels.filter(label => wanted.some(size => sizeMatches(size, label)));
+}
+
+// "Hauts: M, L; Chaussures: 42, 42.5" (or one profile per line)
+// -> [{ name: 'Hauts', sizes: ['M', 'L'] }, ...]
+function parseSizeProfilesText(text) {
+  return String(text || '')
+    .split(/[;\n]/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const index = line.indexOf(':');
+      return {
+        name: index === -1 ? '' : line.slice(0, index).trim(),
+        sizes: (index === -1 ? line : line.slice(index + 1)).split(',').map(size => size.trim()).filter(Boolean)
+      };
+    });
+}
+
+// Validate profiles from the API: an array of { name, sizes } or the text form.
+// Returns { profiles } or { error }
+function parseSizeProfiles(input) {
+  const profiles = typeof input === 'string' ? parseSizeProfilesText(input) : input;
+  if (!Array.isArray(profiles)) {
+    return { error: 'profiles must be an array or text like "Tops: M, L; Shoes: 42"' };
+  }
+  if (profiles.length > MAX_PROFILES) {
+    return { error: `At most ${MAX_PROFILES} size profiles` };
+  }
+
+  const parsed = [];
+  for (const [index, profile] of profiles.entries()) {
+    const sizes = Array.isArray(profile?.sizes) ? profile.sizes.map(size => String(size).trim()).filter(Boolean) : [];
+    if (sizes.length === 0 || sizes.length > MAX_PROFILE_SIZES) {
+      return { error: `Profile ${index + 1} must have between 1 and ${MAX_PROFILE_SIZES} sizes` };
+    }
+    const name = String(profile.name || '').trim().slice(0, 50) || `Profil ${index + 1}`;
+    parsed.push({ name, sizes: Array.from(new Set(sizes)) });
+  }
+  return { profiles: parsed };
+}
+
+module.exports = {
+  normalizeSize,
+  sizeMatches,
+  matchSizes,
+  parseSizeProfilesText,
+  parseSizeProfiles
+};
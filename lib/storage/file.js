@@ -0,0 +1,471 @@
+const fs = require('fs');
+const path = require('path');
+const { getTimestamp } = require('../utils');
+const { migrateFile } = require('./migrations');
+
+// ============== JSON FILE STORAGE ==============
+//
+// The storage interface (see index.js) kept in memory and saved to one JSON file,
+// for running without PostgreSQL. Without a file nothing survives a restart.
+//
+// Writes are grouped: a change schedules a save a moment later, and the file is
+// replaced atomically (written next to it, then renamed) so a crash mid-write
+// leaves the previous version intact.
+
+const SAVE_DELAY_MS = 500;
+const HISTORY_LIMIT = 1000;
+// Delivered, digested and dead notifications kept; pending and held ones are never dropped
+const OUTBOX_DONE_LIMIT = 5000;
+
+// JSON turns Dates into strings: bring them back for the fields compared as dates
+const DATE_FIELDS = {
+  sessions: ['expiresAt'],
+  apiTokens: ['createdAt', 'lastUsedAt'],
+  targets: ['createdAt'],
+  templates: ['updatedAt'],
+  sizeProfiles: ['createdAt'],
+  outbox: ['nextAttemptAt', 'createdAt', 'updatedAt', 'sentAt']
+};
+
+function reviveDates(data) {
+  for (const [collection, fields] of Object.entries(DATE_FIELDS)) {
+    for (const item of data[collection]) {
+      for (const field of fields) {
+        if (item[field]) item[field] = new Date(item[field]);
+      }
+    }
+  }
+}
+
+// Callers get copies, so nothing changes in the store until it is saved
+function clone(value) {
+  return value == null ? null : structuredClone(value);
+}
+
+// The public shape of an API token (no hash)
+function toApiTokenInfo({ id, name, scopes, tokenPrefix, createdAt, lastUsedAt }) {
+  return { id, name, scopes, tokenPrefix, createdAt, lastUsedAt };
+}
+
+function createFileStore({ file = null } = {}) {
+  let data = {};
+  let loaded = false;
+  let saveTimer = null;
+  let saving = Promise.resolve();
+
+  function nextId(collection) {
+    return data.nextIds[collection]++;
+  }
+
+  async function writeFile() {
+    const tmpFile = `${file}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tmpFile, JSON.stringify(data));
+    await fs.promises.rename(tmpFile, file);
+  }
+
+  // Write now (after any write in progress). Nothing to write before init() read
+  // the file: that would replace it with an empty one.
+  function flush() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!file || !loaded) return Promise.resolve();
+    saving = saving.then(writeFile).catch(error => {
+      console.error(`[${getTimestamp()}] ❌ Error saving ${file}:`, error.message);
+    });
+    return saving;
+  }
+
+  function scheduleSave() {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  // Load the file (a missing one starts empty) and bring it to the latest version.
+  // A file that can't be parsed is an error: overwriting it would lose the data.
+  async function init() {
+    if (file) {
+      try {
+        data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Cannot read ${file}: ${error.message}`);
+        }
+      }
+    }
+
+    const migrated = migrateFile(data);
+    reviveDates(data);
+    loaded = true;
+    if (migrated) await flush();
+  }
+
+  const users = {
+    async findByName(username) {
+      return clone(data.users.find(user => user.username === username));
+    },
+
+    async findById(id) {
+      return clone(data.users.find(user => user.id === id));
+    },
+
+    async findByDiscordId(discordId) {
+      return clone(data.users.find(user => user.discordId === discordId));
+    },
+
+    async list() {
+      return clone(data.users);
+    },
+
+    async save({ username, passwordHash, isAdmin }) {
+      let user = data.users.find(entry => entry.username === username);
+      if (!user) {
+        user = { id: nextId('users'), username, discordId: null };
+        data.users.push(user);
+      }
+      user.passwordHash = passwordHash;
+      user.isAdmin = isAdmin;
+      scheduleSave();
+      return clone(user);
+    },
+
+    async setDiscordId(id, discordId) {
+      const user = data.users.find(entry => entry.id === id);
+      if (!user) return;
+      user.discordId = discordId;
+      scheduleSave();
+    },
+
+    // Like the database's ON DELETE CASCADE
+    async delete(id) {
+      const before = data.users.length;
+      data.users = data.users.filter(user => user.id !== id);
+      if (data.users.length === before) return false;
+
+      data.sessions = data.sessions.filter(session => session.userId !== id);
+      data.apiTokens = data.apiTokens.filter(apiToken => apiToken.userId !== id);
+      data.targets = data.targets.filter(target => target.userId !== id);
+      data.sizeProfiles = data.sizeProfiles.filter(profile => profile.userId !== id);
+      for (const product of data.products) {
+        product.subscriptions = product.subscriptions.filter(subscription => subscription.userId !== id);
+      }
+      scheduleSave();
+      return true;
+    }
+  };
+
+  const sessions = {
+    async create({ tokenHash, userId, expiresAt }) {
+      // Drop expired sessions while we're here
+      const now = new Date();
+      data.sessions = data.sessions.filter(session => session.expiresAt > now);
+      data.sessions.push({ tokenHash, userId, expiresAt });
+      scheduleSave();
+    },
+
+    async delete(tokenHash) {
+      data.sessions = data.sessions.filter(session => session.tokenHash !== tokenHash);
+      scheduleSave();
+    },
+
+    async findUser(tokenHash) {
+      const session = data.sessions.find(entry => entry.tokenHash === tokenHash);
+      if (!session || session.expiresAt <= new Date()) return null;
+      return users.findById(session.userId);
+    }
+  };
+
+  const apiTokens = {
+    async create({ userId, name, tokenHash, tokenPrefix, scopes }) {
+      const id = nextId('apiTokens');
+      data.apiTokens.push({ id, userId, name, tokenHash, tokenPrefix, scopes, createdAt: new Date(), lastUsedAt: null });
+      scheduleSave();
+      return id;
+    },
+
+    async use(tokenHash) {
+      const apiToken = data.apiTokens.find(entry => entry.tokenHash === tokenHash);
+      if (!apiToken) return null;
+      const user = await users.findById(apiToken.userId);
+      if (!user) return null;
+      apiToken.lastUsedAt = new Date();
+      scheduleSave();
+      return { user, scopes: clone(apiToken.scopes) };
+    },
+
+    async list(userId) {
+      return clone(data.apiTokens.filter(apiToken => apiToken.userId === userId).map(toApiTokenInfo));
+    },
+
+    async delete(userId, id) {
+      const before = data.apiTokens.length;
+      data.apiTokens = data.apiTokens.filter(apiToken => apiToken.id !== id || apiToken.userId !== userId);
+      scheduleSave();
+      return data.apiTokens.length < before;
+    }
+  };
+
+  const targets = {
+    async list() {
+      return clone(data.targets);
+    },
+
+    async create({ userId, channel, name, config, quietHours = null, language = null }) {
+      const target = { id: nextId('targets'), userId, channel, name, config, quietHours, language, createdAt: new Date() };
+      data.targets.push(target);
+      scheduleSave();
+      return clone(target);
+    },
+
+    async update({ id, quietHours, language }) {
+      const target = data.targets.find(item => item.id === id);
+      if (!target) return;
+      target.quietHours = quietHours;
+      target.language = language;
+      scheduleSave();
+    },
+
+    async delete(id) {
+      data.targets = data.targets.filter(target => target.id !== id);
+      scheduleSave();
+    }
+  };
+
+  const templates = {
+    async list() {
+      return clone(data.templates);
+    },
+
+    // One template per type and language: saving replaces it
+    async save({ type, language, title, description, color, footer }) {
+      const template = { type, language, title, description, color, footer, updatedAt: new Date() };
+      data.templates = data.templates.filter(item => item.type !== type || item.language !== language);
+      data.templates.push(template);
+      scheduleSave();
+      return clone(template);
+    },
+
+    async delete(type, language) {
+      data.templates = data.templates.filter(item => item.type !== type || item.language !== language);
+      scheduleSave();
+    }
+  };
+
+  const sizeProfiles = {
+    async list(userId) {
+      return clone(data.sizeProfiles.filter(profile => profile.userId === userId));
+    },
+
+    async replace(userId, profiles) {
+      const now = new Date();
+      data.sizeProfiles = data.sizeProfiles.filter(profile => profile.userId !== userId);
+      for (const { name, sizes } of profiles) {
+        data.sizeProfiles.push({ id: nextId('sizeProfiles'), userId, name, sizes, createdAt: now });
+      }
+      scheduleSave();
+      return sizeProfiles.list(userId);
+    }
+  };
+
+  // Keeps every pending, sending or held entry and the newest OUTBOX_DONE_LIMIT others
+  function trimOutbox() {
+    const done = data.outbox.filter(entry => !['pending', 'sending', 'held'].includes(entry.status));
+    if (done.length <= OUTBOX_DONE_LIMIT) return;
+    const dropped = new Set(done.slice(0, done.length - OUTBOX_DONE_LIMIT));
+    data.outbox = data.outbox.filter(entry => !dropped.has(entry));
+  }
+
+  const outbox = {
+    async insert({ productId, userId, channel, event, status = 'pending', nextAttemptAt = new Date() }) {
+      const now = new Date();
+      const entry = {
+        id: nextId('outbox'),
+        productId,
+        userId,
+        channel,
+        event,
+        status,
+        attempts: 0,
+        nextAttemptAt,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now,
+        sentAt: null
+      };
+      data.outbox.push(entry);
+      trimOutbox();
+      scheduleSave();
+      return clone(entry);
+    },
+
+    async update(entry) {
+      const stored = data.outbox.find(item => item.id === entry.id);
+      if (!stored) return;
+      Object.assign(stored, {
+        status: entry.status,
+        attempts: entry.attempts,
+        nextAttemptAt: entry.nextAttemptAt,
+        lastError: entry.lastError,
+        sentAt: entry.sentAt,
+        updatedAt: new Date()
+      });
+      scheduleSave();
+    },
+
+    async claim(id, leaseUntil) {
+      const now = new Date();
+      const stored = data.outbox.find(entry => entry.id === id);
+      if (!stored || !(stored.status === 'pending' || (stored.status === 'sending' && stored.nextAttemptAt <= now))) return null;
+      Object.assign(stored, { status: 'sending', nextAttemptAt: leaseUntil, updatedAt: now });
+      scheduleSave();
+      return clone(stored);
+    },
+
+    async get(id) {
+      return clone(data.outbox.find(entry => entry.id === id));
+    },
+
+    async list({ status, productId, userId, limit }) {
+      return clone(data.outbox
+        .filter(entry => (!status || entry.status === status) && (!productId || entry.productId === productId)
+          && (!userId || entry.userId === userId))
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit));
+    },
+
+    async countByStatus({ userId } = {}) {
+      const counts = {};
+      for (const entry of data.outbox) {
+        if (!userId || entry.userId === userId) counts[entry.status] = (counts[entry.status] || 0) + 1;
+      }
+      return counts;
+    },
+
+    async findDue(limit, status = 'pending') {
+      const now = new Date();
+      return clone(data.outbox
+        .filter(entry => entry.status === status && entry.nextAttemptAt <= now)
+        .slice(0, limit));
+    }
+  };
+
+  const products = {
+    async list() {
+      return clone(data.products);
+    },
+
+    async save(product) {
+      await products.saveMany([product]);
+    },
+
+    async saveMany(records) {
+      for (const product of records) {
+        const record = clone(product);
+        const index = data.products.findIndex(item => item.id === product.id);
+        if (index === -1) {
+          data.products.push(record);
+        } else {
+          // Subscriptions are upserted, like in the database: removing one is deleteSubscription
+          const kept = data.products[index].subscriptions
+            .filter(subscription => !record.subscriptions.some(item => item.userId === subscription.userId));
+          record.subscriptions = [...kept, ...record.subscriptions];
+          data.products[index] = record;
+        }
+      }
+      if (records.length > 0) scheduleSave();
+    },
+
+    async delete(id) {
+      data.products = data.products.filter(product => product.id !== id);
+      scheduleSave();
+    },
+
+    async deleteSubscription(productId, userId) {
+      const product = data.products.find(item => item.id === productId);
+      if (!product) return;
+      product.subscriptions = product.subscriptions.filter(subscription => subscription.userId !== userId);
+      scheduleSave();
+    }
+  };
+
+  const history = {
+    async record(productId, events) {
+      const timestamp = new Date().toISOString();
+      const productHistory = data.history[productId] || [];
+      for (const event of events) {
+        productHistory.push({ ...event, timestamp });
+      }
+      data.history[productId] = productHistory.slice(-HISTORY_LIMIT);
+      scheduleSave();
+    },
+
+    async list(productId, { from, to, size } = {}) {
+      return clone((data.history[productId] || []).filter(event => {
+        const date = new Date(event.timestamp);
+        return (!from || date >= from) && (!to || date <= to) && (!size || event.size === size);
+      }));
+    },
+
+    async delete(productId) {
+      delete data.history[productId];
+      scheduleSave();
+    }
+  };
+
+  const listings = {
+    async list() {
+      return clone(data.listings);
+    },
+
+    async save(listing) {
+      const record = clone(listing);
+      const index = data.listings.findIndex(item => item.id === listing.id);
+      if (index === -1) {
+        data.listings.push(record);
+      } else {
+        data.listings[index] = record;
+      }
+      scheduleSave();
+    },
+
+    async delete(id) {
+      data.listings = data.listings.filter(listing => listing.id !== id);
+      scheduleSave();
+    }
+  };
+
+  // One process per file, so the leader lock is always this process's
+  // (several instances need PostgreSQL, see lib/leader.js)
+  const locks = {
+    async acquire() {
+      return true;
+    },
+
+    async release() {}
+  };
+
+  return {
+    kind: file ? 'file' : 'memory',
+    description: file ? `JSON file (${file})` : 'In-memory only',
+    init,
+    flush,
+    close: flush,
+    locks,
+    users,
+    sessions,
+    apiTokens,
+    targets,
+    templates,
+    sizeProfiles,
+    outbox,
+    products,
+    history,
+    listings
+  };
+}
+
+module.exports = {
+  createFileStore,
+  HISTORY_LIMIT
+};
@@ -0,0 +1,43 @@
+const path = require('path');
+const { createPostgresStore } = require('./postgres');
+const { createFileStore } = require('./file');
+
+// ============== STORAGE ==============
+//
+// Everything the server keeps goes through a store with two backends:
+// PostgreSQL when DATABASE_URL is set, otherwise a JSON file (DATA_FILE,
+// data/monitor.json by default; DATA_FILE=none keeps everything in memory).
+//
+// Both expose the same async collections:
+//   users        findByName, findById, findByDiscordId, list, save, setDiscordId, delete
+//   sessions     create, delete, findUser
+//   apiTokens    create, use, list, delete
+//   targets      list, create, update, delete
+//   templates    list, save, delete (notification templates, see lib/templates.js)
+//   sizeProfiles list, replace
+//   outbox       insert, update, claim, get, list, countByStatus, findDue
+//   products     list, save, saveMany, delete, deleteSubscription
+//   history      record, list, delete
+//   listings     list, save, delete
+//   locks        acquire, release (the leader lock, see lib/leader.js)
+// plus kind ('postgres', 'file' or 'memory'), description, init() (runs the
+// migrations; call it before anything else) and close().
+//
+// Products are stored as plain records: subscriptions is an array and the
+// size lists are arrays, not Sets.
+
+const DEFAULT_DATA_FILE = path.join('data', 'monitor.json');
+
+function createStoreFromEnv(env = process.env) {
+  if (env.DATABASE_URL) {
+    return createPostgresStore({ connectionString: env.DATABASE_URL });
+  }
+  const file = env.DATA_FILE || DEFAULT_DATA_FILE;
+  return createFileStore({ file: file === 'none' ? null : file });
+}
+
+module.exports = {
+  createStoreFromEnv,
+  createPostgresStore,
+  createFileStore
+};
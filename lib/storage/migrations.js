@@ -0,0 +1,364 @@
+const { getTimestamp } = require('../utils');
+
+// ============== SCHEMA MIGRATIONS ==============
+//
+// Migrations run in order at startup, each one once. PostgreSQL records them in
+// schema_migrations; the JSON file keeps its `version`.
+//
+// To change the schema, append a migration with the next version to both lists
+// (the file one can be a no-op when the file format doesn't change). Never edit
+// a migration that has shipped: existing databases won't run it again.
+
+// Lock key for pg_advisory_lock: two instances starting together migrate one at a time
+const MIGRATION_LOCK_ID = 4211972;
+
+const POSTGRES_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    // Databases created before migrations existed already have some of this:
+    // everything is IF NOT EXISTS so they converge to the same schema.
+    async up(db) {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS users (
+          id SERIAL PRIMARY KEY,
+          username VARCHAR(100) UNIQUE NOT NULL,
+          password_hash TEXT NOT NULL,
+          is_admin BOOLEAN DEFAULT FALSE,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await db.query(`
+        ALTER TABLE users
+          ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT FALSE,
+          ADD COLUMN IF NOT EXISTS discord_id VARCHAR(32) UNIQUE
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          token_hash VARCHAR(64) PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          expires_at TIMESTAMPTZ NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS api_tokens (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name VARCHAR(255) NOT NULL,
+          token_hash VARCHAR(64) UNIQUE NOT NULL,
+          token_prefix VARCHAR(20) NOT NULL,
+          scopes TEXT[] NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          last_used_at TIMESTAMPTZ
+        )
+      `);
+
+      // watched_sizes...channels are from before multi-user: they are only read
+      // once, to move them to the admin's subscription
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS monitored_products (
+          id VARCHAR(255) PRIMARY KEY,
+          url TEXT NOT NULL,
+          title VARCHAR(500),
+          brand VARCHAR(255),
+          price VARCHAR(100),
+          original_price VARCHAR(100),
+          image_url TEXT,
+          watched_sizes TEXT[],
+          previous_stock JSONB DEFAULT '{}',
+          notified_sizes TEXT[],
+          price_alert JSONB DEFAULT '{}',
+          notified_price_alerts TEXT[],
+          channels TEXT[],
+          priority VARCHAR(20) DEFAULT 'normal',
+          parser_status JSONB DEFAULT '{}',
+          health JSONB DEFAULT '{}',
+          created_at TIMESTAMP DEFAULT NOW(),
+          last_checked TIMESTAMP DEFAULT NOW()
+        )
+      `);
+      await db.query(`
+        ALTER TABLE monitored_products
+          ADD COLUMN IF NOT EXISTS price_alert JSONB DEFAULT '{}',
+          ADD COLUMN IF NOT EXISTS notified_price_alerts TEXT[],
+          ADD COLUMN IF NOT EXISTS channels TEXT[],
+          ADD COLUMN IF NOT EXISTS priority VARCHAR(20) DEFAULT 'normal',
+          ADD COLUMN IF NOT EXISTS parser_status JSONB DEFAULT '{}',
+          ADD COLUMN IF NOT EXISTS health JSONB DEFAULT '{}'
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS product_subscriptions (
+          product_id VARCHAR(255) NOT NULL REFERENCES monitored_products(id) ON DELETE CASCADE,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          watched_sizes TEXT[],
+          notified_sizes TEXT[],
+          price_alert JSONB DEFAULT '{}',
+          notified_price_alerts TEXT[],
+          channels TEXT[],
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          PRIMARY KEY (product_id, user_id)
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS product_history (
+          id SERIAL PRIMARY KEY,
+          product_id VARCHAR(255) NOT NULL,
+          event_type VARCHAR(50) NOT NULL,
+          size VARCHAR(255),
+          stock_label VARCHAR(255),
+          price NUMERIC(10, 2),
+          previous_price NUMERIC(10, 2),
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS product_history_product_idx
+          ON product_history (product_id, created_at)
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS monitored_listings (
+          id VARCHAR(64) PRIMARY KEY,
+          url TEXT NOT NULL,
+          name VARCHAR(500),
+          filters JSONB DEFAULT '{}',
+          auto_watch BOOLEAN DEFAULT FALSE,
+          auto_watch_sizes TEXT[],
+          channels TEXT[],
+          seen_product_ids TEXT[],
+          created_at TIMESTAMP DEFAULT NOW(),
+          last_checked TIMESTAMP
+        )
+      `);
+      await db.query('ALTER TABLE monitored_listings ADD COLUMN IF NOT EXISTS user_id INTEGER');
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS notification_outbox (
+          id SERIAL PRIMARY KEY,
+          product_id VARCHAR(255),
+          channel VARCHAR(50) NOT NULL,
+          event JSONB NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+          last_error TEXT,
+          created_at TIMESTAMPTZ DEFAULT NOW(),
+          updated_at TIMESTAMPTZ DEFAULT NOW(),
+          sent_at TIMESTAMPTZ
+        )
+      `);
+      await db.query('ALTER TABLE notification_outbox ADD COLUMN IF NOT EXISTS user_id INTEGER');
+      await db.query(`
+        CREATE INDEX IF NOT EXISTS notification_outbox_pending_idx
+          ON notification_outbox (status, next_attempt_at)
+      `);
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS notification_targets (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          channel VARCHAR(50) NOT NULL,
+          name VARCHAR(255) NOT NULL,
+          config JSONB NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'target_quiet_hours',
+    async up(db) {
+      await db.query('ALTER TABLE notification_targets ADD COLUMN IF NOT EXISTS quiet_hours VARCHAR(11)');
+    }
+  },
+  {
+    version: 3,
+    name: 'subscription_low_stock',
+    async up(db) {
+      await db.query(`
+        ALTER TABLE product_subscriptions
+          ADD COLUMN IF NOT EXISTS low_stock_threshold INTEGER,
+          ADD COLUMN IF NOT EXISTS notified_low_stock TEXT[] DEFAULT '{}'
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'size_profiles',
+    async up(db) {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS size_profiles (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name VARCHAR(50) NOT NULL,
+          sizes TEXT[] NOT NULL,
+          created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'subscription_state',
+    async up(db) {
+      await db.query(`
+        ALTER TABLE product_subscriptions
+          ADD COLUMN IF NOT EXISTS state VARCHAR(20) NOT NULL DEFAULT 'active',
+          ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMPTZ,
+          ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+          ADD COLUMN IF NOT EXISTS expire_after_restock BOOLEAN NOT NULL DEFAULT FALSE
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'notification_templates',
+    async up(db) {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS notification_templates (
+          event_type VARCHAR(50) NOT NULL,
+          language VARCHAR(5) NOT NULL,
+          title TEXT NOT NULL,
+          description TEXT NOT NULL DEFAULT '',
+          color INTEGER NOT NULL,
+          footer TEXT NOT NULL DEFAULT '',
+          updated_at TIMESTAMPTZ DEFAULT NOW(),
+          PRIMARY KEY (event_type, language)
+        )
+      `);
+      await db.query('ALTER TABLE notification_targets ADD COLUMN IF NOT EXISTS language VARCHAR(5)');
+      await db.query(`ALTER TABLE product_subscriptions ADD COLUMN IF NOT EXISTS mentions TEXT[] DEFAULT '{}'`);
+    }
+  }
+];
+
+// The file holds every collection as an array; see file.js
+const FILE_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    up(data) {
+      for (const collection of ['users', 'sessions', 'apiTokens', 'targets', 'products', 'listings', 'outbox']) {
+        data[collection] = data[collection] || [];
+      }
+      data.history = data.history || {};
+      data.nextIds = { users: 1, apiTokens: 1, targets: 1, outbox: 1, ...data.nextIds };
+    }
+  },
+  {
+    version: 2,
+    name: 'target_quiet_hours',
+    up(data) {
+      for (const target of data.targets) {
+        target.quietHours = target.quietHours || null;
+      }
+    }
+  },
+  {
+    version: 3,
+    name: 'subscription_low_stock',
+    up(data) {
+      for (const product of data.products) {
+        for (const subscription of product.subscriptions) {
+          subscription.lowStockThreshold = subscription.lowStockThreshold ?? null;
+          subscription.notifiedLowStock = subscription.notifiedLowStock || [];
+        }
+      }
+    }
+  },
+  {
+    version: 4,
+    name: 'size_profiles',
+    up(data) {
+      data.sizeProfiles = data.sizeProfiles || [];
+      data.nextIds.sizeProfiles = data.nextIds.sizeProfiles || 1;
+    }
+  },
+  {
+    version: 5,
+    name: 'subscription_state',
+    up(data) {
+      for (const product of data.products) {
+        for (const subscription of product.subscriptions) {
+          subscription.state = subscription.state || 'active';
+          subscription.snoozedUntil = subscription.snoozedUntil || null;
+          subscription.expiresAt = subscription.expiresAt || null;
+          subscription.expireAfterRestock = !!subscription.expireAfterRestock;
+        }
+      }
+    }
+  },
+  {
+    version: 6,
+    name: 'notification_templates',
+    up(data) {
+      data.templates = data.templates || [];
+      for (const target of data.targets) {
+        target.language = target.language || null;
+      }
+      for (const product of data.products) {
+        for (const subscription of product.subscriptions) {
+          subscription.mentions = subscription.mentions || [];
+        }
+      }
+    }
+  }
+];
+
+// Apply the missing PostgreSQL migrations, each in its own transaction
+async function migratePostgres(pool, migrations = POSTGRES_MIGRATIONS) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    const result = await client.query('SELECT version FROM schema_migrations');
+    const applied = new Set(result.rows.map(row => row.version));
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+      console.log(`[${getTimestamp()}] 🗄️ Applied migration ${migration.version}: ${migration.name}`);
+    }
+
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+// Bring a file's data up to date, in place. Returns true if anything changed.
+function migrateFile(data, migrations = FILE_MIGRATIONS) {
+  const startVersion = data.version || 0;
+  for (const migration of migrations) {
+    if (migration.version <= (data.version || 0)) continue;
+    migration.up(data);
+    data.version = migration.version;
+    console.log(`[${getTimestamp()}] 🗄️ Applied file migration ${migration.version}: ${migration.name}`);
+  }
+  return data.version !== startVersion;
+}
+
+module.exports = {
+  POSTGRES_MIGRATIONS,
+  FILE_MIGRATIONS,
+  migratePostgres,
+  migrateFile
+};
@@ -0,0 +1,684 @@
+const { Pool } = require('pg');
+const { parsePrice } = require('../parser');
+const { migratePostgres } = require('./migrations');
+
+// ============== POSTGRESQL STORAGE ==============
+//
+// The storage interface (see index.js) on top of PostgreSQL. Used when
+// DATABASE_URL is set (Railway provides it).
+
+function rowToUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    passwordHash: row.password_hash,
+    isAdmin: !!row.is_admin,
+    discordId: row.discord_id || null
+  };
+}
+
+function rowToTarget(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    channel: row.channel,
+    name: row.name,
+    config: row.config,
+    quietHours: row.quiet_hours || null,
+    language: row.language || null,
+    createdAt: row.created_at
+  };
+}
+
+function rowToTemplate(row) {
+  return {
+    type: row.event_type,
+    language: row.language,
+    title: row.title,
+    description: row.description,
+    color: row.color,
+    footer: row.footer,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToSizeProfile(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    sizes: row.sizes || [],
+    createdAt: row.created_at
+  };
+}
+
+function rowToOutboxEntry(row) {
+  return {
+    id: row.id,
+    productId: row.product_id,
+    userId: row.user_id,
+    channel: row.channel,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    sentAt: row.sent_at
+  };
+}
+
+function rowToSubscription(row) {
+  return {
+    userId: row.user_id,
+    watchedSizes: row.watched_sizes || [],
+    notifiedSizes: row.notified_sizes || [],
+    priceAlert: row.price_alert || {},
+    notifiedPriceAlerts: row.notified_price_alerts || [],
+    lowStockThreshold: row.low_stock_threshold ?? null,
+    notifiedLowStock: row.notified_low_stock || [],
+    channels: row.channels || [],
+    mentions: row.mentions || [],
+    state: row.state || 'active',
+    snoozedUntil: row.snoozed_until ? new Date(row.snoozed_until).toISOString() : null,
+    expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+    expireAfterRestock: !!row.expire_after_restock,
+    createdAt: row.created_at ? new Date(row.created_at).toISOString() : new Date().toISOString()
+  };
+}
+
+function rowToProduct(row, subscriptionRows) {
+  const product = {
+    id: row.id,
+    url: row.url,
+    title: row.title,
+    brand: row.brand,
+    price: parsePrice(row.price),
+    originalPrice: parsePrice(row.original_price),
+    imageUrl: row.image_url,
+    previousStock: row.previous_stock || {},
+    priority: row.priority || 'normal',
+    parserStatus: row.parser_status || {},
+    health: row.health || {},
+    subscriptions: subscriptionRows.map(rowToSubscription)
+  };
+  // Saved before watchlists were per user: the caller gives these settings to the admin
+  if (product.subscriptions.length === 0) {
+    product.legacySubscription = rowToSubscription({ ...row, user_id: null });
+  }
+  return product;
+}
+
+function rowToListing(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    url: row.url,
+    name: row.name,
+    filters: row.filters || {},
+    autoWatch: row.auto_watch,
+    autoWatchSizes: row.auto_watch_sizes || [],
+    channels: row.channels || [],
+    seenProductIds: row.seen_product_ids || [],
+    lastChecked: row.last_checked
+  };
+}
+
+// Rows per INSERT: a statement takes at most 65535 parameters
+const UPSERT_BATCH_SIZE = 500;
+
+const PRODUCT_COLUMNS = ['id', 'url', 'title', 'brand', 'price', 'original_price', 'image_url', 'previous_stock',
+  'priority', 'parser_status', 'health', 'last_checked'];
+const SUBSCRIPTION_COLUMNS = ['product_id', 'user_id', 'watched_sizes', 'notified_sizes', 'price_alert', 'notified_price_alerts',
+  'low_stock_threshold', 'notified_low_stock', 'channels', 'mentions', 'state', 'snoozed_until', 'expires_at', 'expire_after_restock', 'created_at'];
+
+const HISTORY_COLUMNS = ['product_id', 'event_type', 'size', 'stock_label', 'price', 'previous_price'];
+
+// INSERT many rows at once (one statement per batch instead of one per row).
+// Each row lists its values in the order of `columns`; `onConflict` is appended
+// to each statement.
+async function insertRows(db, table, columns, rows, onConflict = '') {
+  for (let start = 0; start < rows.length; start += UPSERT_BATCH_SIZE) {
+    const values = [];
+    const tuples = rows.slice(start, start + UPSERT_BATCH_SIZE).map(row => `(${row.map(value => {
+      values.push(value);
+      return `$${values.length}`;
+    }).join(', ')})`);
+    await db.query(`
+      INSERT INTO ${table} (${columns.join(', ')})
+      VALUES ${tuples.join(', ')}
+      ${onConflict}
+    `, values);
+  }
+}
+
+// INSERT ... ON CONFLICT DO UPDATE for many rows at once; created_at is only set on insert
+function upsertRows(db, table, columns, conflictColumns, rows) {
+  const updates = columns
+    .filter(column => !conflictColumns.includes(column) && column !== 'created_at')
+    .map(column => `${column} = EXCLUDED.${column}`);
+  return insertRows(db, table, columns, rows, `ON CONFLICT (${conflictColumns.join(', ')}) DO UPDATE SET ${updates.join(', ')}`);
+}
+
+function createPostgresStore({ connectionString }) {
+  const pool = new Pool({
+    connectionString,
+    ssl: connectionString.includes('localhost') ? false : { rejectUnauthorized: false }
+  });
+
+  async function withTransaction(work) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  const users = {
+    async findByName(username) {
+      const result = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
+      return result.rows[0] ? rowToUser(result.rows[0]) : null;
+    },
+
+    async findById(id) {
+      const result = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
+      return result.rows[0] ? rowToUser(result.rows[0]) : null;
+    },
+
+    async findByDiscordId(discordId) {
+      const result = await pool.query('SELECT * FROM users WHERE discord_id = $1', [discordId]);
+      return result.rows[0] ? rowToUser(result.rows[0]) : null;
+    },
+
+    async list() {
+      const result = await pool.query('SELECT * FROM users ORDER BY id');
+      return result.rows.map(rowToUser);
+    },
+
+    // Create the user, or update the password and role of an existing username
+    async save({ username, passwordHash, isAdmin }) {
+      const result = await pool.query(`
+        INSERT INTO users (username, password_hash, is_admin) VALUES ($1, $2, $3)
+        ON CONFLICT (username) DO UPDATE SET password_hash = $2, is_admin = $3
+        RETURNING *
+      `, [username, passwordHash, isAdmin]);
+      return rowToUser(result.rows[0]);
+    },
+
+    async setDiscordId(id, discordId) {
+      await pool.query('UPDATE users SET discord_id = $2 WHERE id = $1', [id, discordId]);
+    },
+
+    // Sessions, tokens, targets, size profiles and subscriptions go with the user (ON DELETE CASCADE)
+    async delete(id) {
+      const result = await pool.query('DELETE FROM users WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    }
+  };
+
+  const sessions = {
+    async create({ tokenHash, userId, expiresAt }) {
+      await pool.query(
+        'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+        [tokenHash, userId, expiresAt]
+      );
+    },
+
+    async delete(tokenHash) {
+      await pool.query('DELETE FROM sessions WHERE token_hash = $1', [tokenHash]);
+    },
+
+    // The user of an unexpired session, or null
+    async findUser(tokenHash) {
+      const result = await pool.query(`
+        SELECT users.* FROM sessions
+        JOIN users ON users.id = sessions.user_id
+        WHERE sessions.token_hash = $1 AND sessions.expires_at > NOW()
+      `, [tokenHash]);
+      return result.rows[0] ? rowToUser(result.rows[0]) : null;
+    }
+  };
+
+  const apiTokens = {
+    async create({ userId, name, tokenHash, tokenPrefix, scopes }) {
+      const result = await pool.query(`
+        INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `, [userId, name, tokenHash, tokenPrefix, scopes]);
+      return result.rows[0].id;
+    },
+
+    // { user, scopes } for a token, recording that it was used; null if unknown
+    async use(tokenHash) {
+      const result = await pool.query(`
+        UPDATE api_tokens SET last_used_at = NOW()
+        FROM users
+        WHERE api_tokens.token_hash = $1 AND users.id = api_tokens.user_id
+        RETURNING users.*, api_tokens.scopes
+      `, [tokenHash]);
+      const row = result.rows[0];
+      return row ? { user: rowToUser(row), scopes: row.scopes } : null;
+    },
+
+    async list(userId) {
+      const result = await pool.query(`
+        SELECT id, name, scopes, token_prefix, created_at, last_used_at
+        FROM api_tokens WHERE user_id = $1 ORDER BY id
+      `, [userId]);
+      return result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        scopes: row.scopes,
+        tokenPrefix: row.token_prefix,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at
+      }));
+    },
+
+    async delete(userId, id) {
+      const result = await pool.query('DELETE FROM api_tokens WHERE id = $1 AND user_id = $2', [id, userId]);
+      return result.rowCount > 0;
+    }
+  };
+
+  const targets = {
+    async list() {
+      const result = await pool.query('SELECT * FROM notification_targets ORDER BY id');
+      return result.rows.map(rowToTarget);
+    },
+
+    async create({ userId, channel, name, config, quietHours = null, language = null }) {
+      const result = await pool.query(`
+        INSERT INTO notification_targets (user_id, channel, name, config, quiet_hours, language)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [userId, channel, name, JSON.stringify(config), quietHours, language]);
+      return rowToTarget(result.rows[0]);
+    },
+
+    async update({ id, quietHours, language }) {
+      await pool.query('UPDATE notification_targets SET quiet_hours = $2, language = $3 WHERE id = $1', [id, quietHours, language]);
+    },
+
+    async delete(id) {
+      await pool.query('DELETE FROM notification_targets WHERE id = $1', [id]);
+    }
+  };
+
+  const templates = {
+    async list() {
+      const result = await pool.query('SELECT * FROM notification_templates ORDER BY event_type, language');
+      return result.rows.map(rowToTemplate);
+    },
+
+    // One template per type and language: saving replaces it
+    async save({ type, language, title, description, color, footer }) {
+      const result = await pool.query(`
+        INSERT INTO notification_templates (event_type, language, title, description, color, footer, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, NOW())
+        ON CONFLICT (event_type, language) DO UPDATE SET
+          title = EXCLUDED.title,
+          description = EXCLUDED.description,
+          color = EXCLUDED.color,
+          footer = EXCLUDED.footer,
+          updated_at = EXCLUDED.updated_at
+        RETURNING *
+      `, [type, language, title, description, color, footer]);
+      return rowToTemplate(result.rows[0]);
+    },
+
+    async delete(type, language) {
+      await pool.query('DELETE FROM notification_templates WHERE event_type = $1 AND language = $2', [type, language]);
+    }
+  };
+
+  const sizeProfiles = {
+    async list(userId) {
+      const result = await pool.query('SELECT * FROM size_profiles WHERE user_id = $1 ORDER BY id', [userId]);
+      return result.rows.map(rowToSizeProfile);
+    },
+
+    // Replace all of a user's profiles at once
+    async replace(userId, profiles) {
+      await withTransaction(async (client) => {
+        await client.query('DELETE FROM size_profiles WHERE user_id = $1', [userId]);
+        for (const { name, sizes } of profiles) {
+          await client.query('INSERT INTO size_profiles (user_id, name, sizes) VALUES ($1, $2, $3)', [userId, name, sizes]);
+        }
+      });
+      return sizeProfiles.list(userId);
+    }
+  };
+
+  const outbox = {
+    async insert({ productId, userId, channel, event, status = 'pending', nextAttemptAt = new Date() }) {
+      const result = await pool.query(`
+        INSERT INTO notification_outbox (product_id, user_id, channel, event, status, next_attempt_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [productId, userId, channel, JSON.stringify(event), status, nextAttemptAt]);
+      return rowToOutboxEntry(result.rows[0]);
+    },
+
+    async update(entry) {
+      await pool.query(`
+        UPDATE notification_outbox
+        SET status = $2, attempts = $3, next_attempt_at = $4, last_error = $5, sent_at = $6, updated_at = NOW()
+        WHERE id = $1
+      `, [entry.id, entry.status, entry.attempts, entry.nextAttemptAt, entry.lastError, entry.sentAt]);
+    },
+
+    // Mark a pending entry (or one whose sending lease expired) as being sent until
+    // `leaseUntil`. Returns the entry, or null when it is not to be sent by the caller.
+    async claim(id, leaseUntil) {
+      const result = await pool.query(`
+        UPDATE notification_outbox
+        SET status = 'sending', next_attempt_at = $2, updated_at = NOW()
+        WHERE id = $1 AND (status = 'pending' OR (status = 'sending' AND next_attempt_at <= NOW()))
+        RETURNING *
+      `, [id, leaseUntil]);
+      return result.rows[0] ? rowToOutboxEntry(result.rows[0]) : null;
+    },
+
+    async get(id) {
+      const result = await pool.query('SELECT * FROM notification_outbox WHERE id = $1', [id]);
+      return result.rows[0] ? rowToOutboxEntry(result.rows[0]) : null;
+    },
+
+    // Newest first
+    async list({ status, productId, userId, limit }) {
+      const conditions = [];
+      const params = [];
+      if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+      }
+      if (productId) {
+        params.push(productId);
+        conditions.push(`product_id = $${params.length}`);
+      }
+      if (userId) {
+        params.push(userId);
+        conditions.push(`user_id = $${params.length}`);
+      }
+      params.push(limit);
+
+      const result = await pool.query(`
+        SELECT * FROM notification_outbox
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY id DESC
+        LIMIT $${params.length}
+      `, params);
+      return result.rows.map(rowToOutboxEntry);
+    },
+
+    // { status: count }
+    async countByStatus({ userId } = {}) {
+      const result = userId
+        ? await pool.query('SELECT status, COUNT(*)::int AS count FROM notification_outbox WHERE user_id = $1 GROUP BY status', [userId])
+        : await pool.query('SELECT status, COUNT(*)::int AS count FROM notification_outbox GROUP BY status');
+      const counts = {};
+      for (const row of result.rows) counts[row.status] = row.count;
+      return counts;
+    },
+
+    // Entries with this status whose next attempt is due, oldest first
+    async findDue(limit, status = 'pending') {
+      const result = await pool.query(`
+        SELECT * FROM notification_outbox
+        WHERE status = $2 AND next_attempt_at <= NOW()
+        ORDER BY id ASC
+        LIMIT $1
+      `, [limit, status]);
+      return result.rows.map(rowToOutboxEntry);
+    }
+  };
+
+  const products = {
+    async list() {
+      const result = await pool.query('SELECT * FROM monitored_products');
+      const subscriptionRows = await pool.query('SELECT * FROM product_subscriptions');
+      const byProduct = new Map();
+      for (const sub of subscriptionRows.rows) {
+        if (!byProduct.has(sub.product_id)) byProduct.set(sub.product_id, []);
+        byProduct.get(sub.product_id).push(sub);
+      }
+      return result.rows.map(row => rowToProduct(row, byProduct.get(row.id) || []));
+    },
+
+    async save(product) {
+      await products.saveMany([product]);
+    },
+
+    // Products and the subscriptions they hold, in one transaction. Subscriptions
+    // are upserted: those left out of a record are kept (see deleteSubscription).
+    async saveMany(records) {
+      if (records.length === 0) return;
+      const now = new Date();
+      await withTransaction(async (client) => {
+        await upsertRows(client, 'monitored_products', PRODUCT_COLUMNS, ['id'], records.map(product => [
+          product.id,
+          product.url,
+          product.title,
+          product.brand,
+          product.price,
+          product.originalPrice,
+          product.imageUrl,
+          JSON.stringify(product.previousStock || {}),
+          product.priority || 'normal',
+          JSON.stringify(product.parserStatus || {}),
+          JSON.stringify(product.health || {}),
+          now
+        ]));
+        await upsertRows(client, 'product_subscriptions', SUBSCRIPTION_COLUMNS, ['product_id', 'user_id'],
+          records.flatMap(product => product.subscriptions.map(subscription => [
+            product.id,
+            subscription.userId,
+            subscription.watchedSizes,
+            subscription.notifiedSizes,
+            JSON.stringify(subscription.priceAlert || {}),
+            subscription.notifiedPriceAlerts,
+            subscription.lowStockThreshold ?? null,
+            subscription.notifiedLowStock || [],
+            subscription.channels || [],
+            subscription.mentions || [],
+            subscription.state || 'active',
+            subscription.snoozedUntil || null,
+            subscription.expiresAt || null,
+            !!subscription.expireAfterRestock,
+            subscription.createdAt
+          ])));
+      });
+    },
+
+    // Subscriptions cascade
+    async delete(id) {
+      await pool.query('DELETE FROM monitored_products WHERE id = $1', [id]);
+    },
+
+    async deleteSubscription(productId, userId) {
+      await pool.query('DELETE FROM product_subscriptions WHERE product_id = $1 AND user_id = $2', [productId, userId]);
+    }
+  };
+
+  const history = {
+    // The events of one check: all of them or none
+    async record(productId, events) {
+      if (events.length === 0) return;
+      await withTransaction(client => insertRows(client, 'product_history', HISTORY_COLUMNS, events.map(event => [
+        productId,
+        event.type,
+        event.size,
+        event.stockLabel,
+        event.price,
+        event.previousPrice
+      ])));
+    },
+
+    // Chronological order
+    async list(productId, { from, to, size } = {}) {
+      const conditions = ['product_id = $1'];
+      const params = [productId];
+      if (from) {
+        params.push(from);
+        conditions.push(`created_at >= $${params.length}`);
+      }
+      if (to) {
+        params.push(to);
+        conditions.push(`created_at <= $${params.length}`);
+      }
+      if (size) {
+        params.push(size);
+        conditions.push(`size = $${params.length}`);
+      }
+
+      const result = await pool.query(`
+        SELECT event_type, size, stock_label, price, previous_price, created_at
+        FROM product_history
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY created_at ASC, id ASC
+      `, params);
+
+      return result.rows.map(row => ({
+        type: row.event_type,
+        size: row.size,
+        stockLabel: row.stock_label,
+        price: parsePrice(row.price),
+        previousPrice: parsePrice(row.previous_price),
+        timestamp: row.created_at.toISOString()
+      }));
+    },
+
+    async delete(productId) {
+      await pool.query('DELETE FROM product_history WHERE product_id = $1', [productId]);
+    }
+  };
+
+  const listings = {
+    async list() {
+      const result = await pool.query('SELECT * FROM monitored_listings');
+      return result.rows.map(rowToListing);
+    },
+
+    async save(listing) {
+      await pool.query(`
+        INSERT INTO monitored_listings (id, url, name, filters, auto_watch, auto_watch_sizes, channels, seen_product_ids, last_checked, user_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (id) DO UPDATE SET
+          url = $2,
+          name = $3,
+          filters = $4,
+          auto_watch = $5,
+          auto_watch_sizes = $6,
+          channels = $7,
+          seen_product_ids = $8,
+          last_checked = $9
+      `, [
+        listing.id,
+        listing.url,
+        listing.name,
+        JSON.stringify(listing.filters),
+        listing.autoWatch,
+        listing.autoWatchSizes,
+        listing.channels,
+        listing.seenProductIds,
+        listing.lastChecked,
+        listing.userId
+      ]);
+    },
+
+    async delete(id) {
+      await pool.query('DELETE FROM monitored_listings WHERE id = $1', [id]);
+    }
+  };
+
+  // Session-level advisory locks, each on a connection of its own kept out of the
+  // pool: PostgreSQL releases them when that connection drops (e.g. the process died)
+  const heldLocks = new Map();
+
+  const locks = {
+    // Take the lock if it is free. true while this instance holds it: call it
+    // again to make sure the connection (so the lock) is still there
+    async acquire(key) {
+      const held = heldLocks.get(key);
+      if (held) {
+        try {
+          await held.query('SELECT 1');
+          return true;
+        } catch (error) {
+          heldLocks.delete(key);
+          held.release(error);
+        }
+      }
+
+      const client = await pool.connect();
+      let locked = false;
+      try {
+        const result = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [key]);
+        locked = result.rows[0].locked;
+      } finally {
+        if (!locked) client.release();
+      }
+      if (!locked) return false;
+
+      // Errors of an idle checked-out client would otherwise crash the process;
+      // the next acquire() notices the connection is gone
+      client.on('error', () => {});
+      heldLocks.set(key, client);
+      return true;
+    },
+
+    async release(key) {
+      const client = heldLocks.get(key);
+      if (!client) return;
+      heldLocks.delete(key);
+      try {
+        await client.query('SELECT pg_advisory_unlock($1)', [key]);
+        client.release();
+      } catch (error) {
+        client.release(error);
+        throw error;
+      }
+    }
+  };
+
+  return {
+    kind: 'postgres',
+    description: 'PostgreSQL',
+    pool,
+    init: () => migratePostgres(pool),
+    // Held locks first: pool.end() waits for every connection to be back
+    async close() {
+      for (const key of Array.from(heldLocks.keys())) {
+        await locks.release(key).catch(() => {});
+      }
+      await pool.end();
+    },
+    locks,
+    users,
+    sessions,
+    apiTokens,
+    targets,
+    templates,
+    sizeProfiles,
+    outbox,
+    products,
+    history,
+    listings
+  };
+}
+
+module.exports = {
+  createPostgresStore,
+  insertRows,
+  upsertRows
+};
@@ -0,0 +1,113 @@
+const { createTargetNotifier } = require('./notifiers');
+
+// ============== NOTIFICATION TARGETS ==============
+//
+// A user's own notification destinations: { id, userId, channel, name, config, quietHours, language, createdAt }
+// quietHours: "HH:MM-HH:MM" (Europe/Paris) during which notifications are held for a digest, or null
+// language: 'fr' or 'en' for the notification templates, null for the server's default
+// Products and listings refer to them by key, `target:<id>`, next to the server's
+// channel names ('discord', 'telegram'...). Targets are kept in memory and written
+// through to the store.
+
+const TARGET_KEY_PREFIX = 'target:';
+
+function targetKey(id) {
+  return TARGET_KEY_PREFIX + id;
+}
+
+function createTargets({ store, env = process.env }) {
+  const targets = new Map();
+  // Notifiers are built on first use
+  const notifierCache = new Map();
+
+  async function load() {
+    const rows = await store.targets.list();
+    targets.clear();
+    notifierCache.clear();
+    for (const target of rows) {
+      targets.set(target.id, target);
+    }
+    return rows.length;
+  }
+
+  function list(userId) {
+    return Array.from(targets.values()).filter(target => target.userId === userId);
+  }
+
+  // Returns the target behind a `target:<id>` key, or null
+  function fromKey(key) {
+    if (!String(key).startsWith(TARGET_KEY_PREFIX)) return null;
+    return targets.get(parseInt(key.slice(TARGET_KEY_PREFIX.length), 10)) || null;
+  }
+
+  // Config is validated by the caller (parseTargetConfig)
+  async function create(userId, { channel, name, config, quietHours = null, language = null }) {
+    const target = await store.targets.create({ userId, channel, name, config, quietHours, language });
+    targets.set(target.id, target);
+    return target;
+  }
+
+  // Change quietHours and/or language (validated by the caller; undefined keeps the current one).
+  // Returns the updated target, or null if it does not exist or belongs to someone else
+  async function update(userId, id, changes) {
+    const target = targets.get(id);
+    if (!target || target.userId !== userId) return null;
+
+    const quietHours = changes.quietHours === undefined ? target.quietHours : changes.quietHours;
+    const language = changes.language === undefined ? target.language || null : changes.language;
+    await store.targets.update({ id, quietHours, language });
+    Object.assign(target, { quietHours, language });
+    return target;
+  }
+
+  async function remove(userId, id) {
+    const target = targets.get(id);
+    if (!target || target.userId !== userId) return false;
+
+    await store.targets.delete(id);
+    targets.delete(id);
+    notifierCache.delete(id);
+    return true;
+  }
+
+  // Forget the targets of a deleted user (the store deletes them with the user)
+  function removeUser(userId) {
+    for (const target of list(userId)) {
+      targets.delete(target.id);
+      notifierCache.delete(target.id);
+    }
+  }
+
+  // Notifier for a target key, null if the target is gone or its channel can't be used
+  function getNotifier(key) {
+    const target = fromKey(key);
+    if (!target) return null;
+    if (!notifierCache.has(target.id)) {
+      notifierCache.set(target.id, createTargetNotifier(target.channel, target.config, env));
+    }
+    return notifierCache.get(target.id);
+  }
+
+  // Can this server deliver to such a target? (Telegram needs the bot, email the SMTP server)
+  function isChannelSupported(channel, config) {
+    return !!createTargetNotifier(channel, config, env);
+  }
+
+  return {
+    load,
+    list,
+    fromKey,
+    create,
+    update,
+    remove,
+    removeUser,
+    getNotifier,
+    isChannelSupported
+  };
+}
+
+module.exports = {
+  createTargets,
+  targetKey,
+  TARGET_KEY_PREFIX
+};
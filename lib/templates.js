@@ -0,0 +1,329 @@
+const { formatPrice } = require('./utils');
+
+// ============== NOTIFICATION TEMPLATES ==============
+//
+// Restock, price drop and sold-out notifications are rendered from a template per
+// event type and language: { type, language, title, description, color, footer }.
+// Title, description and footer can use placeholders filled from the event:
+//   {title} {brand} {url} {size} {sizes} {stock} {price} {originalPrice} {previousPrice} {discount} {rule}
+// ({size}: the sizes, {sizes}: the sizes with their stock label, {stock}: the
+// stock label of the first size, {rule}: the price rule that matched).
+// A line whose placeholders all come out empty is left out, e.g. the discount
+// line of a product that has none. Unknown placeholders are kept as written.
+//
+// Admins can replace the defaults below; templates they save are kept in the
+// store and in memory (createTemplates).
+
+const LANGUAGES = ['fr', 'en'];
+const DEFAULT_LANGUAGE = 'fr';
+const TEMPLATE_TYPES = ['restock', 'price_alert', 'sold_out'];
+const PLACEHOLDERS = ['title', 'brand', 'url', 'size', 'sizes', 'stock', 'price', 'originalPrice', 'previousPrice', 'discount', 'rule'];
+
+// Discord limits (embed title, description and footer)
+const MAX_TITLE_LENGTH = 256;
+const MAX_DESCRIPTION_LENGTH = 4096;
+const MAX_FOOTER_LENGTH = 2048;
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+const DEFAULT_FOOTER = 'Espace des Marques Monitor';
+
+const DEFAULT_TEMPLATES = {
+  restock: {
+    fr: {
+      title: '🚨 RESTOCK DÉTECTÉ - Espace des Marques',
+      description: '📦 Produit : {title}\n🏷️ Marque : {brand}\n📏 Taille : {sizes}\n💰 Prix : {price}\n🔻 Réduction : {discount}',
+      color: 0x00ff00,
+      footer: DEFAULT_FOOTER
+    },
+    en: {
+      title: '🚨 BACK IN STOCK - Espace des Marques',
+      description: '📦 Product: {title}\n🏷️ Brand: {brand}\n📏 Size: {sizes}\n💰 Price: {price}\n🔻 Discount: {discount}',
+      color: 0x00ff00,
+      footer: DEFAULT_FOOTER
+    }
+  },
+  price_alert: {
+    fr: {
+      title: '💸 BAISSE DE PRIX - Espace des Marques',
+      description: '{rule}\n\n📦 Produit : {title}\n🏷️ Marque : {brand}\n💰 Prix : {price}\n📉 Ancien prix : {previousPrice}\n🔻 Réduction : {discount} (prix barré {originalPrice})',
+      color: 0xf39c12,
+      footer: DEFAULT_FOOTER
+    },
+    en: {
+      title: '💸 PRICE DROP - Espace des Marques',
+      description: '{rule}\n\n📦 Product: {title}\n🏷️ Brand: {brand}\n💰 Price: {price}\n📉 Previous price: {previousPrice}\n🔻 Discount: {discount} (was {originalPrice})',
+      color: 0xf39c12,
+      footer: DEFAULT_FOOTER
+    }
+  },
+  sold_out: {
+    fr: {
+      title: '😞 DE NOUVEAU ÉPUISÉ - Espace des Marques',
+      description: '📦 Produit : {title}\n🏷️ Marque : {brand}\n📏 Taille : {size}\n💰 Prix : {price}',
+      color: 0x95a5a6,
+      footer: DEFAULT_FOOTER
+    },
+    en: {
+      title: '😞 SOLD OUT AGAIN - Espace des Marques',
+      description: '📦 Product: {title}\n🏷️ Brand: {brand}\n📏 Size: {size}\n💰 Price: {price}',
+      color: 0x95a5a6,
+      footer: DEFAULT_FOOTER
+    }
+  }
+};
+
+const plural = (count, word) => `${word}${count > 1 ? 's' : ''}`;
+
+// Words the channels add around a notification (buttons, links), and the texts
+// of the events without a template: low stock, new products, admin alerts,
+// quiet hours digests and daily summaries
+const STRINGS = {
+  fr: {
+    viewProduct: '🛒 Voir le produit',
+    view: 'voir',
+    product: 'Produit',
+    inStock: 'En stock',
+    soldOut: 'Épuisé',
+    unwatchSize: '🔕 Ne plus surveiller cette taille',
+    unwatchNamedSize: (size) => `🔕 Ne plus surveiller ${size}`,
+    test: '🧪 TEST',
+    productField: '📦 Produit',
+    brandField: '🏷️ Marque',
+    sizesField: (count) => `📏 ${plural(count, 'Taille')}`,
+    priceField: '💰 Prix',
+    discountField: '🔻 Réduction',
+    notAvailable: 'N/A',
+    lowStockTitle: '⏳ STOCK FAIBLE - Espace des Marques',
+    lowStockDescription: (threshold) => `Bientôt épuisé : ${threshold} ${plural(threshold, 'pièce')} ou moins`,
+    adminAlertTitle: '⚠️ ALERTE ADMIN - Espace des Marques Monitor',
+    newProductTitle: '🆕 NOUVEAU PRODUIT - Espace des Marques',
+    newProductDescription: (listingName, autoWatched) => `Nouveau dans « ${listingName} »${autoWatched ? ' · ajouté à la surveillance' : ''}`,
+    digestTitle: '🌅 RÉCAP DES HEURES CALMES - Espace des Marques',
+    digestDescription: (count) => `${count} ${plural(count, 'alerte')} pendant les heures calmes`,
+    dailySummaryTitle: '☀️ RÉSUMÉ DU JOUR - Espace des Marques',
+    dailySummaryDescription: (count) => `${count} ${plural(count, 'produit')} de votre liste en stock`,
+    dailySummaryItem: '☀️ Résumé du jour',
+    listedFirst: (count) => ` (les ${count} premiers)`,
+    digestSizes: (count, sizes) => `${plural(count, 'Taille')} ${sizes}`,
+    digestSoldOut: (sizes) => `De nouveau épuisé : ${sizes}`,
+    digestLowStock: (sizes) => `Stock faible : ${sizes}`,
+    digestNewProduct: (listingName) => `Nouveau dans « ${listingName} »`
+  },
+  en: {
+    viewProduct: '🛒 View product',
+    view: 'view',
+    product: 'Product',
+    inStock: 'In stock',
+    soldOut: 'Sold out',
+    unwatchSize: '🔕 Stop watching this size',
+    unwatchNamedSize: (size) => `🔕 Stop watching ${size}`,
+    test: '🧪 TEST',
+    productField: '📦 Product',
+    brandField: '🏷️ Brand',
+    sizesField: (count) => `📏 ${plural(count, 'Size')}`,
+    priceField: '💰 Price',
+    discountField: '🔻 Discount',
+    notAvailable: 'N/A',
+    lowStockTitle: '⏳ LOW STOCK - Espace des Marques',
+    lowStockDescription: (threshold) => `Almost gone: ${threshold} ${plural(threshold, 'item')} or fewer`,
+    adminAlertTitle: '⚠️ ADMIN ALERT - Espace des Marques Monitor',
+    newProductTitle: '🆕 NEW PRODUCT - Espace des Marques',
+    newProductDescription: (listingName, autoWatched) => `New in "${listingName}"${autoWatched ? ' · now watched' : ''}`,
+    digestTitle: '🌅 QUIET HOURS DIGEST - Espace des Marques',
+    digestDescription: (count) => `${count} ${plural(count, 'alert')} during quiet hours`,
+    dailySummaryTitle: '☀️ DAILY SUMMARY - Espace des Marques',
+    dailySummaryDescription: (count) => `${count} ${plural(count, 'product')} of your watchlist in stock`,
+    dailySummaryItem: '☀️ Daily summary',
+    listedFirst: (count) => ` (first ${count})`,
+    digestSizes: (count, sizes) => `${plural(count, 'Size')} ${sizes}`,
+    digestSoldOut: (sizes) => `Sold out again: ${sizes}`,
+    digestLowStock: (sizes) => `Low stock: ${sizes}`,
+    digestNewProduct: (listingName) => `New in "${listingName}"`
+  }
+};
+
+const PRICE_RULE_DESCRIPTIONS = {
+  fr: {
+    maxPrice: (event) => `Prix sous le seuil de ${formatPrice(event.threshold)}`,
+    minDiscount: (event) => `Réduction d'au moins ${event.threshold}%`,
+    anyDrop: () => 'Baisse de prix'
+  },
+  en: {
+    maxPrice: (event) => `Price below ${formatPrice(event.threshold)}`,
+    minDiscount: (event) => `At least ${event.threshold}% off`,
+    anyDrop: () => 'Price drop'
+  }
+};
+
+function toLanguage(language) {
+  return LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+}
+
+function getStrings(language) {
+  return STRINGS[toLanguage(language)];
+}
+
+// Why a price alert was sent, '' for an unknown rule
+function describePriceRule(event, language = DEFAULT_LANGUAGE) {
+  const describe = PRICE_RULE_DESCRIPTIONS[toLanguage(language)][event.rule];
+  return describe ? describe(event) : '';
+}
+
+function getDefaultTemplate(type, language = DEFAULT_LANGUAGE) {
+  const template = DEFAULT_TEMPLATES[type]?.[toLanguage(language)];
+  return template ? { type, language: toLanguage(language), ...template } : null;
+}
+
+// Sizes of a restock or sold-out event (events from before grouping only have `size`)
+function getEventSizes(event) {
+  return event.sizes && event.sizes.length > 0 ? event.sizes : [{ size: event.size, stockLabel: event.stockLabel }];
+}
+
+// Placeholder values of an event, all strings ('' when the event has none)
+function getTemplateValues(event, language = DEFAULT_LANGUAGE) {
+  const strings = getStrings(language);
+  const product = event.product || {};
+  const price = typeof product.price === 'number' ? product.price : null;
+  const sizes = ['restock', 'sold_out', 'low_stock'].includes(event.type) ? getEventSizes(event) : [];
+  const defaultStock = event.type === 'sold_out' ? strings.soldOut : strings.inStock;
+
+  return {
+    title: product.title || product.id || '',
+    brand: product.brand || '',
+    url: product.url || '',
+    size: sizes.map(({ size }) => size).join(', '),
+    sizes: sizes.map(({ size, stockLabel }) => stockLabel ? `${size} (${stockLabel})` : size).join(', '),
+    stock: sizes.length > 0 ? sizes[0].stockLabel || defaultStock : '',
+    price: price !== null ? formatPrice(price) : '',
+    originalPrice: typeof product.originalPrice === 'number' && product.originalPrice > price ? formatPrice(product.originalPrice) : '',
+    previousPrice: typeof event.previousPrice === 'number' && event.previousPrice !== price ? formatPrice(event.previousPrice) : '',
+    discount: product.discount > 0 ? `-${product.discount}%` : '',
+    rule: event.type === 'price_alert' ? describePriceRule(event, language) : ''
+  };
+}
+
+// Fill the placeholders of a text, leaving out the lines where all of them are empty
+function renderText(text, values) {
+  return String(text || '')
+    .split('\n')
+    .filter(line => {
+      const names = Array.from(line.matchAll(PLACEHOLDER_PATTERN), match => match[1]).filter(name => name in values);
+      return names.length === 0 || names.some(name => values[name] !== '');
+    })
+    .map(line => line.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (name in values ? values[name] : placeholder)))
+    .join('\n')
+    .trim();
+}
+
+// { title, description, color, footer } of an event rendered with a template
+function renderTemplate(template, event, language = DEFAULT_LANGUAGE) {
+  const values = getTemplateValues(event, language);
+  const title = renderText(template.title, values) || getStrings(language).product;
+  return {
+    title: (event.test ? `${getStrings(language).test} · ${title}` : title).slice(0, MAX_TITLE_LENGTH),
+    description: renderText(template.description, values).slice(0, MAX_DESCRIPTION_LENGTH),
+    color: template.color,
+    footer: renderText(template.footer, values).slice(0, MAX_FOOTER_LENGTH)
+  };
+}
+
+// Colour from the API: "#rrggbb" or a number
+function parseColor(input) {
+  if (typeof input === 'number') {
+    return Number.isInteger(input) && input >= 0 && input <= 0xffffff ? input : null;
+  }
+  const match = String(input || '').trim().match(/^#?([\da-f]{6})$/i);
+  return match ? parseInt(match[1], 16) : null;
+}
+
+// Validate a template coming from the API
+// Returns { template: { title, description, color, footer } } or { error }
+function parseTemplateInput(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'template must be an object' };
+  }
+
+  const title = String(input.title ?? '').trim();
+  const description = String(input.description ?? '').trim();
+  const footer = String(input.footer ?? '').trim();
+  if (!title) {
+    return { error: 'title is required' };
+  }
+  if (title.length > MAX_TITLE_LENGTH || description.length > MAX_DESCRIPTION_LENGTH || footer.length > MAX_FOOTER_LENGTH) {
+    return { error: `Too long - title, description and footer are limited to ${MAX_TITLE_LENGTH}, ${MAX_DESCRIPTION_LENGTH} and ${MAX_FOOTER_LENGTH} characters` };
+  }
+
+  const color = parseColor(input.color);
+  if (color === null) {
+    return { error: 'Invalid color - expected #rrggbb' };
+  }
+
+  return { template: { title, description, color, footer } };
+}
+
+// The templates in use: the ones saved by admins, else the defaults
+function createTemplates({ store }) {
+  // "<type>:<language>" -> template
+  const saved = new Map();
+  const keyOf = (type, language) => `${type}:${language}`;
+
+  async function load() {
+    const rows = await store.templates.list();
+    saved.clear();
+    for (const template of rows) {
+      saved.set(keyOf(template.type, template.language), template);
+    }
+    return rows.length;
+  }
+
+  function get(type, language = DEFAULT_LANGUAGE) {
+    return saved.get(keyOf(type, toLanguage(language))) || getDefaultTemplate(type, language);
+  }
+
+  // Every type in every language, with `custom` telling saved ones from defaults
+  function list() {
+    return TEMPLATE_TYPES.flatMap(type => LANGUAGES.map(language => ({
+      ...get(type, language),
+      custom: saved.has(keyOf(type, language))
+    })));
+  }
+
+  // The template is validated by the caller (parseTemplateInput)
+  async function save(type, language, template) {
+    const record = await store.templates.save({ type, language, ...template });
+    saved.set(keyOf(type, language), record);
+    return record;
+  }
+
+  // Back to the default
+  async function reset(type, language) {
+    await store.templates.delete(type, language);
+    saved.delete(keyOf(type, language));
+    return getDefaultTemplate(type, language);
+  }
+
+  return {
+    load,
+    get,
+    list,
+    save,
+    reset
+  };
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  TEMPLATE_TYPES,
+  PLACEHOLDERS,
+  DEFAULT_FOOTER,
+  getStrings,
+  describePriceRule,
+  getDefaultTemplate,
+  getEventSizes,
+  getTemplateValues,
+  renderTemplate,
+  parseTemplateInput,
+  createTemplates
+};
@@ -0,0 +1,39 @@
+// Shared helpers used by the server and the notifiers
+
+function getTimestamp() {
+  return new Date().toLocaleString('fr-FR', { 
+    timeZone: 'Europe/Paris',
+    day: '2-digit',
+    month: '2-digit', 
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+}
+
+function formatPrice(price) {
+  return typeof price === 'number' ? `${price.toFixed(2).replace('.', ',')} €` : 'N/A';
+}
+
+// Run fn on every item, at most `limit` at a time. Resolves with the results in order.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  getTimestamp,
+  formatPrice,
+  mapWithConcurrency
+};
@@ -0,0 +1,27 @@
+// Register the slash commands (/watch, /unwatch, /list, /check) with Discord.
+//
+//   DISCORD_APPLICATION_ID=... DISCORD_BOT_TOKEN=... npm run discord:register
+//
+// Set DISCORD_GUILD_ID to register them on one server only: guild commands are
+// available immediately, global ones can take up to an hour to show up.
+
+const { registerCommands } = require('../lib/discord-interactions');
+
+async function main() {
+  const applicationId = process.env.DISCORD_APPLICATION_ID;
+  const botToken = process.env.DISCORD_BOT_TOKEN;
+  const guildId = process.env.DISCORD_GUILD_ID || null;
+
+  if (!applicationId || !botToken) {
+    console.error('❌ DISCORD_APPLICATION_ID and DISCORD_BOT_TOKEN are required');
+    process.exit(1);
+  }
+
+  const commands = await registerCommands({ applicationId, botToken, guildId });
+  console.log(`✅ Registered ${commands.map(command => `/${command.name}`).join(', ')}${guildId ? ` on guild ${guildId}` : ' globally'}`);
+}
+
+main().catch(error => {
+  console.error('❌ Registration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,192 @@
+// Local stand-in for the shop, to run the monitor (and the end-to-end tests)
+// without the real site:
+//
+//   npm run mock:shop                                  (MOCK_SHOP_PORT, default 4010)
+//   SITE_URL=http://localhost:4010 npm start
+//
+// Product pages are served at /fr/<id>/<slug> with the markup the parser reads
+// (JSON-LD and data-variants, see lib/parser.js); unknown products answer 404.
+// Products and their stock are scripted through a control API:
+//
+//   PUT /__mock/products/<id>     { title, brand, price, originalPrice, sizes }
+//   DELETE /__mock/products/<id>
+//   GET /__mock/products
+//
+// `sizes` maps each size to false (out of stock), true (in stock) or the stock
+// label to show ("Plus que 2 en stock"). A PUT changes the fields it is given
+// (`sizes` as a whole).
+
+const http = require('http');
+
+const DEFAULT_PORT = 4010;
+
+function escapeAttribute(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function formatEuros(price) {
+  return `${price.toFixed(2).replace('.', ',')} €`;
+}
+
+function renderProductPage(product, siteUrl) {
+  const variants = Object.entries(product.sizes).map(([size, stock]) => ({
+    labelAddCart: size,
+    hasStock: stock !== false,
+    labelStock: stock === false ? 'Épuisé' : stock === true ? 'En stock' : String(stock),
+    codeAlerting: stock === false ? `${product.id}-${size}` : '',
+    actionAddCart: stock === false ? '' : `${product.id}-${size}`
+  }));
+  const jsonLd = [{
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: product.title,
+    brand: { '@type': 'Brand', name: product.brand },
+    sku: product.id,
+    image: [`${siteUrl}/media/${product.id}.jpg`],
+    offers: {
+      '@type': 'Offer',
+      price: product.price.toFixed(2),
+      priceCurrency: 'EUR',
+      availability: variants.some(variant => variant.hasStock) ? 'https://schema.org/InStock' : 'https://schema.org/OutOfStock'
+    }
+  }];
+
+  return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeAttribute(product.title)} | Espace des marques</title>
+  <script type="application/ld+json">
+${JSON.stringify(jsonLd, null, 2)}
+  </script>
+</head>
+<body>
+  <div class="product-page">
+    <h1 class="product-title">${escapeAttribute(product.title)}</h1>
+    <div class="product-prices">
+      <span class="product-price">${formatEuros(product.price)}</span>
+      ${product.originalPrice ? `<span class="original-price">${formatEuros(product.originalPrice)}</span>` : ''}
+    </div>
+    <div class="product-variants" data-variants="${escapeAttribute(JSON.stringify(variants))}"></div>
+  </div>
+</body>
+</html>
+`;
+}
+
+function createMockShop() {
+  // id -> { id, title, brand, price, originalPrice, sizes }
+  const products = new Map();
+  let server = null;
+  let siteUrl = null;
+
+  function setProduct(id, fields = {}) {
+    const product = products.get(id) || {
+      id,
+      title: `Produit ${id}`,
+      brand: 'Marque',
+      price: 49.99,
+      originalPrice: 99.99,
+      sizes: { S: true, M: true, L: true }
+    };
+    products.set(id, { ...product, ...fields, id });
+    return products.get(id);
+  }
+
+  // Change the stock of some sizes, e.g. setStock(id, { S: true })
+  function setStock(id, sizes) {
+    const product = products.get(id) || setProduct(id);
+    product.sizes = { ...product.sizes, ...sizes };
+    return product;
+  }
+
+  function removeProduct(id) {
+    return products.delete(id);
+  }
+
+  function send(res, statusCode, body, contentType = 'application/json') {
+    res.writeHead(statusCode, { 'Content-Type': `${contentType}; charset=utf-8` });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  }
+
+  async function readJson(req) {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    return body ? JSON.parse(body) : {};
+  }
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, siteUrl);
+
+    const control = pathname.match(/^\/__mock\/products(?:\/(\d+))?$/);
+    if (control) {
+      const id = control[1];
+      if (req.method === 'GET' && !id) return send(res, 200, { products: Array.from(products.values()) });
+      if (req.method === 'PUT' && id) return send(res, 200, { product: setProduct(id, await readJson(req)) });
+      if (req.method === 'DELETE' && id) return send(res, removeProduct(id) ? 200 : 404, { success: true });
+      return send(res, 405, { error: 'Method not allowed' });
+    }
+
+    const page = pathname.match(/^\/fr\/(\d+)\//);
+    const product = page && products.get(page[1]);
+    if (req.method !== 'GET' || !product) {
+      return send(res, 404, '<!DOCTYPE html><html><head><title>Page introuvable</title></head><body></body></html>', 'text/html');
+    }
+    send(res, 200, renderProductPage(product, siteUrl), 'text/html');
+  }
+
+  // Resolves with the shop's base URL (port 0: any free port)
+  function listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      server = http.createServer((req, res) => {
+        handle(req, res).catch(error => send(res, 400, { error: error.message }));
+      });
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        siteUrl = `http://${host === '0.0.0.0' ? 'localhost' : host}:${server.address().port}`;
+        resolve(siteUrl);
+      });
+    });
+  }
+
+  function close() {
+    return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  return {
+    listen,
+    close,
+    setProduct,
+    setStock,
+    removeProduct,
+    getProduct: (id) => products.get(id) || null,
+    productUrl: (id) => `${siteUrl}/fr/${id}/produit-${id}`
+  };
+}
+
+module.exports = {
+  createMockShop,
+  renderProductPage
+};
+
+if (require.main === module) {
+  const shop = createMockShop();
+  shop.setProduct('116527', {
+    title: "Pantalon de ski noir femme O'Neill Gore-Tex Madness",
+    brand: "O'Neill",
+    price: 89.99,
+    originalPrice: 199.99,
+    sizes: { S: false, M: 'Plus que 2 en stock', L: true, XL: false }
+  });
+
+  shop.listen(parseInt(process.env.MOCK_SHOP_PORT, 10) || DEFAULT_PORT, '0.0.0.0').then(url => {
+    console.log(`🛍️ Mock shop: ${url} (start the monitor with SITE_URL=${url})`);
+    console.log(`   Example product: ${shop.productUrl('116527')}`);
+    console.log(`   Change its stock: curl -X PUT ${url}/__mock/products/116527 -d '{"sizes":{"S":true}}'`);
+  });
+}
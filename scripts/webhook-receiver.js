@@ -0,0 +1,119 @@
+// Fake webhook endpoint: records what the monitor sends instead of posting it to
+// Discord, Slack or a real webhook.
+//
+//   npm run mock:webhooks                              (MOCK_WEBHOOKS_PORT, default 4020)
+//   DISCORD_WEBHOOK=http://localhost:4020/discord WEBHOOK_URL=http://localhost:4020/webhook npm start
+//
+// Every request to any path is answered 204 and kept (method, path, headers and
+// the JSON body). GET /__received lists them, DELETE /__received forgets them.
+// `failNext(statusCode)` makes the next deliveries fail, to exercise retries;
+// `onRequest(request)` is called for each request kept.
+
+const http = require('http');
+
+const DEFAULT_PORT = 4020;
+
+function createWebhookReceiver({ onRequest = () => {} } = {}) {
+  // { method, path, headers, body, receivedAt }
+  const received = [];
+  const failures = [];
+  const waiters = [];
+  let server = null;
+
+  function notifyWaiters() {
+    for (const waiter of waiters.slice()) {
+      const matching = received.filter(waiter.filter);
+      if (matching.length >= waiter.count) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timeout);
+        waiter.resolve(matching);
+      }
+    }
+  }
+
+  // Resolves with the matching requests once there are `count` of them
+  function waitFor(count, { filter = () => true, timeoutMs = 5000 } = {}) {
+    return new Promise((resolve, reject) => {
+      const waiter = { count, filter, resolve };
+      waiter.timeout = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        reject(new Error(`Expected ${count} webhook request(s), got ${received.filter(filter).length} in ${timeoutMs}ms`));
+      }, timeoutMs);
+      waiters.push(waiter);
+      notifyWaiters();
+    });
+  }
+
+  async function handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/__received') {
+      if (req.method === 'DELETE') received.length = 0;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ received }));
+    }
+
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    let parsed = body;
+    try {
+      parsed = body ? JSON.parse(body) : null;
+    } catch (e) {
+      // Kept as text
+    }
+
+    const statusCode = failures.shift();
+    if (statusCode) {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: `Failing on purpose (${statusCode})` }));
+    }
+
+    const request = { method: req.method, path: pathname, headers: req.headers, body: parsed, receivedAt: new Date().toISOString() };
+    received.push(request);
+    onRequest(request);
+    res.writeHead(204);
+    res.end();
+    notifyWaiters();
+  }
+
+  // Resolves with the receiver's base URL (port 0: any free port)
+  function listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      server = http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+          res.writeHead(500);
+          res.end(error.message);
+        });
+      });
+      server.once('error', reject);
+      server.listen(port, host, () => resolve(`http://${host === '0.0.0.0' ? 'localhost' : host}:${server.address().port}`));
+    });
+  }
+
+  function close() {
+    return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  return {
+    listen,
+    close,
+    waitFor,
+    received,
+    clear: () => { received.length = 0; },
+    failNext: (statusCode, times = 1) => { for (let i = 0; i < times; i++) failures.push(statusCode); }
+  };
+}
+
+module.exports = {
+  createWebhookReceiver
+};
+
+if (require.main === module) {
+  const receiver = createWebhookReceiver({
+    onRequest: (request) => console.log(`📨 ${request.method} ${request.path}${request.body?.type ? ` (${request.body.type})` : ''}`)
+  });
+  receiver.listen(parseInt(process.env.MOCK_WEBHOOKS_PORT, 10) || DEFAULT_PORT, '0.0.0.0').then(url => {
+    console.log(`📬 Webhook receiver: ${url} (e.g. DISCORD_WEBHOOK=${url}/discord WEBHOOK_URL=${url}/webhook)`);
+    console.log(`   Received so far: ${url}/__received`);
+  });
+}
@@ -1,638 +1,3231 @@
 const express = require('express');
-const https = require('https');
-const { Pool } = require('pg');
-
-// PostgreSQL Database connection (Railway provides DATABASE_URL)
-const pool = process.env.DATABASE_URL ? new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.DATABASE_URL.includes('localhost') ? false : { rejectUnauthorized: false }
-}) : null;
-
-// Initialize database tables
-async function initDatabase() {
-  if (!pool) {
-    console.log('⚠️ No DATABASE_URL configured - using in-memory storage only');
-    return;
-  }
-  
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS monitored_products (
-        id VARCHAR(255) PRIMARY KEY,
-        url TEXT NOT NULL,
-        title VARCHAR(500),
-        brand VARCHAR(255),
-        price VARCHAR(100),
-        original_price VARCHAR(100),
-        image_url TEXT,
-        watched_sizes TEXT[],
-        previous_stock JSONB DEFAULT '{}',
-        notified_sizes TEXT[],
-        created_at TIMESTAMP DEFAULT NOW(),
-        last_checked TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    
-    console.log('✅ Database tables initialized');
-  } catch (error) {
-    console.error('❌ Database initialization error:', error.message);
-  }
-}
+const crypto = require('crypto');
+const { getTimestamp, formatPrice, mapWithConcurrency } = require('./lib/utils');
+const { DEFAULT_SITE_URL, isSiteUrl, parseProductUrl, getParseIssues, parseStockLabel } = require('./lib/parser');
+const { CHANNELS, createNotifiersFromEnv, parseTargetConfig, parseMentions, describeEvent } = require('./lib/notifiers');
+const { LANGUAGES, DEFAULT_LANGUAGE, TEMPLATE_TYPES, PLACEHOLDERS, parseTemplateInput, createTemplates } = require('./lib/templates');
+const { matchSizes, parseSizeProfiles } = require('./lib/sizes');
+const { STATUSES: NOTIFICATION_STATUSES, createOutbox } = require('./lib/outbox');
+const { createScheduler } = require('./lib/scheduler');
+const { createLeaderElection } = require('./lib/leader');
+const { SCOPES, createAuth } = require('./lib/auth');
+const { createTargets, targetKey } = require('./lib/targets');
+const { createEventHub } = require('./lib/events');
+const { toCsv, parseCsv, parseCsvRows } = require('./lib/csv');
+const { getOptions, getDiscordUser, createInteractionsHandler } = require('./lib/discord-interactions');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createMetrics } = require('./lib/metrics');
+const { DEFAULT_USER_AGENTS, BotChallengeError, createHttpClient } = require('./lib/http-client');
+const { createProductFetcher } = require('./lib/product-fetcher');
+const { createStoreFromEnv } = require('./lib/storage');
+const { parseTime, parseTimeRange, formatTime, getLocalTime, isQuiet, getQuietEnd, parseQuietHoursSetting } = require('./lib/quiet-hours');
+
+// PostgreSQL when DATABASE_URL is set (Railway provides it), otherwise a local JSON file
+const store = createStoreFromEnv();
 
 const app = express();
-app.use(express.json());
+// Railway (and most hosts) sit behind one proxy: use X-Forwarded-* for req.ip and req.secure
+app.set('trust proxy', 1);
+// Discord interactions are verified against the exact bytes that were signed
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.static('public'));
 
 const PORT = process.env.PORT || 3000;
 
 // Configuration
 const CONFIG = {
-  discordWebhook: process.env.DISCORD_WEBHOOK || "",
-  checkIntervalMs: 60 * 1000, // Check every minute
-  siteUrl: "https://www.espace-des-marques.com"
+  checkIntervalMs: (parseInt(process.env.CHECK_INTERVAL_SECONDS, 10) || 600) * 1000, // Normal products: every 10 min
+  hotCheckIntervalMs: (parseInt(process.env.HOT_CHECK_INTERVAL_SECONDS, 10) || 20) * 1000, // "Hot" products: every 20s
+  checkConcurrency: parseInt(process.env.CHECK_CONCURRENCY, 10) || 3, // Product pages fetched at the same time
+  listingCheckIntervalMs: (parseInt(process.env.LISTING_CHECK_INTERVAL_SECONDS, 10) || 300) * 1000, // Category/brand/search pages: every 5 min
+  adminChannels: (process.env.ADMIN_CHANNELS || '').split(',').map(channel => channel.trim()).filter(Boolean), // Channels for admin alerts (empty = all)
+  defaultSizes: (process.env.DEFAULT_SIZES || '').split(',').map(size => size.trim()).filter(Boolean), // Sizes for auto-watched products
+  removedAfterNotFoundChecks: parseInt(process.env.REMOVED_AFTER_NOT_FOUND_CHECKS, 10) || 5, // Consecutive 404s before a product is flagged as removed from the site
+  metricsToken: process.env.METRICS_TOKEN || '', // Bearer token required by /metrics (empty = public, like /health)
+  proxies: (process.env.PROXY_URLS || '').split(',').map(proxy => proxy.trim()).filter(Boolean), // http(s)://[user:pass@]host:port, used in turn
+  userAgents: process.env.USER_AGENTS ? process.env.USER_AGENTS.split('|').map(agent => agent.trim()).filter(Boolean) : DEFAULT_USER_AGENTS, // Rotated, "|"-separated
+  httpRetries: parseInt(process.env.HTTP_RETRIES, 10) || 2, // Extra attempts after a network error, 429 or 5xx
+  quietHours: parseQuietHoursSetting(process.env.QUIET_HOURS), // Server channels: "23:00-08:00" or "discord=23:00-08:00,email=22:00-07:00" (Europe/Paris)
+  dailySummaryTime: parseTime(process.env.DAILY_SUMMARY_TIME), // "HH:MM" (Europe/Paris) to send each user what is in stock on their watchlist (unset = off)
+  watchExpiryDays: parseInt(process.env.WATCH_EXPIRY_DAYS, 10) || null, // New watches are removed after this many days (unset = never)
+  watchExpireAfterRestock: process.env.WATCH_EXPIRE_AFTER_RESTOCK === 'true', // New watches are removed after their first restock alert
+  siteUrl: (process.env.SITE_URL || DEFAULT_SITE_URL).replace(/\/+$/, ''), // The shop; e.g. http://localhost:4010 for the mock shop (scripts/mock-shop.js)
+  notificationLanguage: LANGUAGES.includes(process.env.NOTIFICATION_LANGUAGE) ? process.env.NOTIFICATION_LANGUAGE : DEFAULT_LANGUAGE, // fr or en: server channels and targets without their own
+  soldOutAlerts: process.env.SOLD_OUT_ALERTS !== 'false' // Notify when a size that was notified back in stock sells out again
 };
 
-// Store monitored products in memory
-// Structure: { "productId": { id, url, title, brand, price, imageUrl, watchedSizes: Set, previousStock: {}, notifiedSizes: Set } }
+// Enabled notification channels (Discord, Telegram, Slack, email, webhook), keyed by name
+const notifiers = createNotifiersFromEnv();
+
+// Users' own notification destinations, referred to as "target:<id>"
+const targets = createTargets({ store });
+
+// Restock, price drop and sold-out notification templates (defaults until an admin edits them)
+const templates = createTemplates({ store });
+
+// Live updates for open dashboards (GET /api/events)
+const liveEvents = createEventHub();
+
+// Prometheus metrics (GET /metrics)
+const metrics = createMetrics();
+const checkDurationSeconds = metrics.histogram('edm_check_duration_seconds', 'Duration of product and listing checks', ['kind', 'result']);
+const httpResponsesTotal = metrics.counter('edm_http_responses_total', 'Responses from the shop by HTTP status ("error" for network errors)', ['status']);
+const restocksDetectedTotal = metrics.counter('edm_restocks_detected_total', 'Sizes that came back in stock');
+const notificationAttemptsTotal = metrics.counter('edm_notification_attempts_total', 'Notification delivery attempts by channel and outcome (sent, failed, dead)', ['channel', 'outcome']);
+// Read when scraped
+metrics.gauge('edm_monitored_products', 'Products being monitored', () => monitoredProducts.size);
+metrics.gauge('edm_leader', 'Whether this instance is the leader (1) or only serves the API (0)', () => leadership.isLeader() ? 1 : 0);
+metrics.gauge('edm_watches', 'Watches (product subscriptions) by state', () => WATCH_STATES.map(state => ({
+  labels: { state },
+  value: Array.from(monitoredProducts.values())
+    .reduce((count, product) => count + Array.from(product.subscriptions.values()).filter(subscription => subscription.state === state).length, 0)
+})));
+metrics.gauge('edm_monitored_listings', 'Listing pages being monitored', () => monitoredListings.size);
+metrics.gauge('edm_products_removed_from_site', 'Products whose page has been answering 404', () =>
+  Array.from(monitoredProducts.values()).filter(product => product.health.removed).length);
+metrics.gauge('edm_product_consecutive_errors', 'Failed checks in a row, per product', () =>
+  Array.from(monitoredProducts.values()).map(product => ({ labels: { product_id: product.id }, value: product.health.consecutiveErrors })));
+metrics.gauge('edm_product_last_success_timestamp_seconds', 'Time of the last successful check, per product', () =>
+  Array.from(monitoredProducts.values())
+    .filter(product => product.health.lastSuccessAt)
+    .map(product => ({ labels: { product_id: product.id }, value: Math.floor(new Date(product.health.lastSuccessAt).getTime() / 1000) })));
+
+// Fetches the shop's pages (redirects, compression, proxies, cookies, retries)
+const httpClient = createHttpClient({
+  userAgents: CONFIG.userAgents,
+  proxies: CONFIG.proxies,
+  retries: CONFIG.httpRetries,
+  onResponse: (statusCode) => httpResponsesTotal.inc({ status: statusCode }),
+  onError: () => httpResponsesTotal.inc({ status: 'error' })
+});
+const { fetchProductInfo, fetchListing } = createProductFetcher({ httpClient });
+
+// Durable notification queue with retries
+const outbox = createOutbox({
+  store,
+  resolveNotifier: (key) => notifiers.get(key) || targets.getNotifier(key),
+  // Admin alerts (no user) are only shown to admins
+  onUpdate: (entry) => liveEvents.publish('notification', entry, entry.userId
+    ? { userId: entry.userId, includeAdmins: true }
+    : { adminsOnly: true }),
+  // User targets are counted under their channel type, not one series per target
+  onAttempt: (entry, outcome) => notificationAttemptsTotal.inc({
+    channel: targets.fromKey(entry.channel)?.channel || entry.channel,
+    outcome
+  }),
+  getHoldUntil: (key) => getQuietHoursEnd(key),
+  // Test notifications can ask for a language
+  getSendOptions: (key, event) => ({ language: event.language || getNotificationLanguage(key), templates })
+});
+
+// Dashboard logins and API tokens
+const auth = createAuth({
+  store,
+  adminUsername: process.env.ADMIN_USERNAME || 'admin',
+  adminPassword: process.env.ADMIN_PASSWORD || '',
+  // Without ADMIN_PASSWORD the server only starts when auth is turned off on purpose
+  disabled: ['1', 'true'].includes(process.env.AUTH_DISABLED)
+});
+
+// Everything under /api needs a session or an API token: GET routes the "read"
+// scope, the others "manage". /ping and /health stay public for uptime checks.
+app.use('/api', auth.authenticate);
+app.use('/api', (req, res, next) => {
+  if (req.path.startsWith('/auth/')) return next();
+  auth.requireScope(req.method === 'GET' ? 'read' : 'manage')(req, res, next);
+});
+
+// Changes that only touch the store, not the leader's in-memory data
+const FOLLOWER_WRITE_ROUTES = ['/auth/', '/tokens', '/size-profiles', '/products/fetch'];
+
+// Followers serve reads only: other changes would be overwritten by the leader's next save
+app.use('/api', (req, res, next) => {
+  if (req.method === 'GET' || FOLLOWER_WRITE_ROUTES.some(route => req.path.startsWith(route))) return next();
+  requireLeader(req, res, next);
+});
+
+// Store monitored products in memory. A product is fetched once per check, then
+// evaluated against each subscriber's sizes, price rules and channels.
+// Structure: { "productId": { id, url, title, brand, price, originalPrice, imageUrl, previousStock: {}, priority: 'normal'|'hot', parserStatus: { broken, missing, since }, health: {}, subscriptions: Map } }
+// health: { lastCheckAt, lastSuccessAt, consecutiveErrors, lastError, lastErrorAt, notFoundCount, removed, removedAt }
+// Subscriptions, keyed by user ID: { userId, watchedSizes: Set, notifiedSizes: Set, priceAlert: {}, notifiedPriceAlerts: Set, lowStockThreshold, notifiedLowStock: Set, channels: [],
+//   mentions: ['<@&roleId>', '<@userId>'], state, snoozedUntil, expiresAt, expireAfterRestock, createdAt }, see WATCH STATES
+// previousStock sizes: { size, inStock, stockLabel, quantity, level, variantCode }, see parseStockLabel
 const monitoredProducts = new Map();
 
-// Monitoring interval reference
-let monitoringInterval = null;
+// Listing pages (category, brand, search) watched for new products
+// Structure: { "listingId": { id, userId, url, name, filters: { keywords, brands, maxPrice }, autoWatch, autoWatchSizes: [], channels: [], seenProductIds: Set, lastChecked } }
+const monitoredListings = new Map();
+
+const PRIORITIES = ['normal', 'hot'];
+const MAX_LOW_STOCK_THRESHOLD = 10;
+
+function getCheckIntervalMs(product) {
+  return product && product.priority === 'hot' ? CONFIG.hotCheckIntervalMs : CONFIG.checkIntervalMs;
+}
+
+// Listings share the scheduler with products, under a prefixed key
+const LISTING_KEY_PREFIX = 'listing:';
+
+function listingKey(id) {
+  return LISTING_KEY_PREFIX + id;
+}
+
+// Per-product check scheduler with bounded concurrency
+const scheduler = createScheduler({
+  concurrency: CONFIG.checkConcurrency,
+  getIntervalMs: (key) => key.startsWith(LISTING_KEY_PREFIX)
+    ? CONFIG.listingCheckIntervalMs
+    : getCheckIntervalMs(monitoredProducts.get(key)),
+  isPaused: (key) => !key.startsWith(LISTING_KEY_PREFIX) && isProductPaused(key),
+  runTask: (key) => key.startsWith(LISTING_KEY_PREFIX)
+    ? checkScheduledListing(key.slice(LISTING_KEY_PREFIX.length))
+    : checkScheduledProduct(key),
+  onTaskDone: (key, result) => key.startsWith(LISTING_KEY_PREFIX)
+    ? publishListingChecked(key.slice(LISTING_KEY_PREFIX.length), result)
+    : publishProductChecked(key, result)
+});
+
+// Several instances can share the database: only the leader checks and notifies, see LEADERSHIP
+const leadership = createLeaderElection({
+  locks: store.locks,
+  onElected: ({ initial }) => becomeLeader(initial),
+  onDemoted: () => stepDown()
+});
 
 // ============== UTILITY FUNCTIONS ==============
 
-function getTimestamp() {
-  return new Date().toLocaleString('fr-FR', { 
-    timeZone: 'Europe/Paris',
-    day: '2-digit',
-    month: '2-digit', 
-    year: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit'
-  });
+// Discount in percent of the current price vs the original price
+function getDiscount(price, originalPrice) {
+  if (typeof price !== 'number' || typeof originalPrice !== 'number' || originalPrice <= 0 || price >= originalPrice) {
+    return 0;
+  }
+  return Math.round((1 - price / originalPrice) * 100);
 }
 
-// Extract product ID from URL
-function extractProductId(url) {
-  // URL format: https://www.espace-des-marques.com/fr/116527/pantalon-de-ski-noir-femme-o-neill-gore-tex-madness
-  const match = url.match(/\/fr\/(\d+)\//);
-  return match ? match[1] : null;
-}
-
-// Make HTTPS request
-function makeRequest(url) {
-  return new Promise((resolve, reject) => {
-    const urlObj = new URL(url);
-    
-    const options = {
-      hostname: urlObj.hostname,
-      port: 443,
-      path: urlObj.pathname + urlObj.search,
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:146.0) Gecko/20100101 Firefox/146.0',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'fr,fr-FR;q=0.8,en-US;q=0.5,en;q=0.3',
-        'Accept-Encoding': 'identity', // Don't use compression for easier parsing
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1'
-      }
-    };
+// Validate price alert rules coming from the API
+// Returns { priceAlert } or { error }
+function parsePriceAlert(input) {
+  const priceAlert = {};
+  if (input === undefined || input === null) return { priceAlert };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'priceAlert must be an object' };
+  }
+  
+  if (input.maxPrice !== undefined && input.maxPrice !== null && input.maxPrice !== '') {
+    const maxPrice = Number(input.maxPrice);
+    if (!Number.isFinite(maxPrice) || maxPrice <= 0) {
+      return { error: 'priceAlert.maxPrice must be a positive number' };
+    }
+    priceAlert.maxPrice = maxPrice;
+  }
+  
+  if (input.minDiscount !== undefined && input.minDiscount !== null && input.minDiscount !== '') {
+    const minDiscount = Number(input.minDiscount);
+    if (!Number.isFinite(minDiscount) || minDiscount <= 0 || minDiscount >= 100) {
+      return { error: 'priceAlert.minDiscount must be a percentage between 0 and 100' };
+    }
+    priceAlert.minDiscount = minDiscount;
+  }
+  
+  if (input.anyDrop) {
+    priceAlert.anyDrop = true;
+  }
+  
+  return { priceAlert };
+}
 
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', chunk => { data += chunk; });
-      res.on('end', () => {
-        resolve({
-          statusCode: res.statusCode,
-          headers: res.headers,
-          body: data
-        });
-      });
-    });
+// Low-stock alert threshold: notify when a watched size is down to this many items.
+// Empty means no low-stock alerts.
+// Returns { lowStockThreshold } or { error }
+function parseLowStockThreshold(input) {
+  if (input === undefined || input === null || input === '') return { lowStockThreshold: null };
+  const threshold = Number(input);
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > MAX_LOW_STOCK_THRESHOLD) {
+    return { error: `lowStockThreshold must be a whole number between 1 and ${MAX_LOW_STOCK_THRESHOLD}` };
+  }
+  return { lowStockThreshold: threshold };
+}
 
-    req.on('error', reject);
-    req.setTimeout(30000, () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-    req.end();
-  });
+// Validate the notification channels chosen for a product or listing: server channels
+// or the user's own targets ("target:<id>"). Empty = defaults, see resolveChannels.
+// Returns { channels } or { error }
+function parseChannels(input, userId) {
+  if (input === undefined || input === null) return { channels: [] };
+  if (!Array.isArray(input)) {
+    return { error: 'channels must be an array' };
+  }
+  
+  const unknown = input.filter(channel => !CHANNELS.includes(channel) && targets.fromKey(channel)?.userId !== userId);
+  if (unknown.length > 0) {
+    const available = [...CHANNELS, ...targets.list(userId).map(target => targetKey(target.id))];
+    return { error: `Unknown channel(s): ${unknown.join(', ')} - available: ${available.join(', ')}` };
+  }
+  
+  return { channels: Array.from(new Set(input)) };
+}
+
+// Validate listing filters coming from the API
+// keywords/brands accept an array or a comma-separated string
+// Returns { filters } or { error }
+function parseListingFilters(input = {}) {
+  const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  
+  const filters = {
+    keywords: toList(input.keywords),
+    brands: toList(input.brands)
+  };
+  
+  if (input.maxPrice !== undefined && input.maxPrice !== null && input.maxPrice !== '') {
+    const maxPrice = Number(input.maxPrice);
+    if (!Number.isFinite(maxPrice) || maxPrice <= 0) {
+      return { error: 'maxPrice must be a positive number' };
+    }
+    filters.maxPrice = maxPrice;
+  }
+  
+  return { filters };
+}
+
+// Lowercase and strip accents for keyword matching
+function normalizeText(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// A listing item matches when it contains any keyword, is from any of the brands
+// and is not above the max price (items without a price are kept)
+function matchesListingFilters(item, filters) {
+  const title = normalizeText(item.title);
+  const brand = normalizeText(item.brand);
+  
+  if (filters.keywords.length > 0 && !filters.keywords.some(keyword => title.includes(normalizeText(keyword)))) {
+    return false;
+  }
+  if (filters.brands.length > 0 && !filters.brands.some(name => {
+    const wanted = normalizeText(name);
+    return brand ? brand.includes(wanted) : title.includes(wanted);
+  })) {
+    return false;
+  }
+  if (filters.maxPrice !== undefined && typeof item.price === 'number' && item.price > filters.maxPrice) {
+    return false;
+  }
+  return true;
+}
+
+// ============== PERSISTENCE FUNCTIONS ==============
+
+// The store keeps plain records: Sets become arrays, subscriptions a list
+function toProductRecord(product) {
+  return {
+    id: product.id,
+    url: product.url,
+    title: product.title,
+    brand: product.brand,
+    price: product.price,
+    originalPrice: product.originalPrice,
+    imageUrl: product.imageUrl,
+    previousStock: product.previousStock || {},
+    priority: product.priority || 'normal',
+    parserStatus: product.parserStatus || {},
+    health: product.health || {},
+    subscriptions: Array.from(product.subscriptions.values()).map(subscription => ({
+      userId: subscription.userId,
+      watchedSizes: Array.from(subscription.watchedSizes),
+      notifiedSizes: Array.from(subscription.notifiedSizes),
+      priceAlert: subscription.priceAlert || {},
+      notifiedPriceAlerts: Array.from(subscription.notifiedPriceAlerts),
+      lowStockThreshold: subscription.lowStockThreshold ?? null,
+      notifiedLowStock: Array.from(subscription.notifiedLowStock),
+      channels: subscription.channels || [],
+      mentions: subscription.mentions || [],
+      state: subscription.state,
+      snoozedUntil: subscription.snoozedUntil,
+      expiresAt: subscription.expiresAt,
+      expireAfterRestock: subscription.expireAfterRestock,
+      createdAt: subscription.createdAt
+    }))
+  };
+}
+
+function fromSubscriptionRecord(record, userId = record.userId) {
+  return {
+    userId,
+    watchedSizes: new Set(record.watchedSizes || []),
+    notifiedSizes: new Set(record.notifiedSizes || []),
+    priceAlert: record.priceAlert || {},
+    notifiedPriceAlerts: new Set(record.notifiedPriceAlerts || []),
+    lowStockThreshold: record.lowStockThreshold ?? null,
+    notifiedLowStock: new Set(record.notifiedLowStock || []),
+    channels: record.channels || [],
+    mentions: record.mentions || [],
+    state: record.state || 'active',
+    snoozedUntil: record.snoozedUntil || null,
+    expiresAt: record.expiresAt || null,
+    expireAfterRestock: !!record.expireAfterRestock,
+    createdAt: record.createdAt || new Date().toISOString()
+  };
+}
+
+// What was last written for each product: { product: JSON of the shared columns,
+// subscriptions: Map of user ID to JSON }. Saving only writes what differs.
+const savedProducts = new Map();
+
+function rememberSaved(record) {
+  const { subscriptions, ...columns } = record;
+  const saved = savedProducts.get(record.id) || { product: null, subscriptions: new Map() };
+  saved.product = JSON.stringify(columns);
+  for (const subscription of subscriptions) {
+    saved.subscriptions.set(subscription.userId, JSON.stringify(subscription));
+  }
+  savedProducts.set(record.id, saved);
+}
+
+// The part of a product that changed since it was last saved (the shared
+// columns and the changed subscriptions), or null if nothing did
+function getUnsavedRecord(product) {
+  const record = toProductRecord(product);
+  const { subscriptions, ...columns } = record;
+  const saved = savedProducts.get(product.id);
+  if (!saved) return record;
+  
+  const changedSubscriptions = subscriptions
+    .filter(subscription => saved.subscriptions.get(subscription.userId) !== JSON.stringify(subscription));
+  if (saved.product === JSON.stringify(columns) && changedSubscriptions.length === 0) return null;
+  return { ...record, subscriptions: changedSubscriptions };
+}
+
+// Write the products that changed, in one transaction. A failed write is logged
+// and the products stay unsaved, so the next save retries them. Products removed
+// meanwhile (e.g. unwatched during their check) are not written back.
+// Returns the number of products written.
+async function saveProducts(products) {
+  const records = products
+    .filter(product => monitoredProducts.get(product.id) === product)
+    .map(getUnsavedRecord)
+    .filter(Boolean);
+  if (records.length === 0) return 0;
+  
+  try {
+    await store.products.saveMany(records);
+    records.forEach(rememberSaved);
+    return records.length;
+  } catch (error) {
+    console.error(`[${getTimestamp()}] ❌ Error saving ${records.length} product(s):`, error.message);
+    return 0;
+  }
 }
 
-// ============== PERSISTENCE FUNCTIONS (PostgreSQL) ==============
+async function saveProduct(product) {
+  return saveProducts([product]);
+}
 
+// After changes spanning several products (e.g. a removed target)
 async function saveMonitoredProducts() {
-  if (!pool) return;
-  
-  try {
-    for (const [id, product] of monitoredProducts) {
-      await pool.query(`
-        INSERT INTO monitored_products (id, url, title, brand, price, original_price, image_url, watched_sizes, previous_stock, notified_sizes, last_checked)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
-        ON CONFLICT (id) DO UPDATE SET
-          title = $3,
-          brand = $4,
-          price = $5,
-          original_price = $6,
-          image_url = $7,
-          watched_sizes = $8,
-          previous_stock = $9,
-          notified_sizes = $10,
-          last_checked = NOW()
-      `, [
-        id,
-        product.url,
-        product.title,
-        product.brand,
-        product.price,
-        product.originalPrice,
-        product.imageUrl,
-        Array.from(product.watchedSizes || []),
-        JSON.stringify(product.previousStock || {}),
-        Array.from(product.notifiedSizes || [])
-      ]);
-    }
-    console.log(`[${getTimestamp()}] 💾 Saved ${monitoredProducts.size} products to DB`);
-  } catch (error) {
-    console.error(`[${getTimestamp()}] ❌ Error saving products:`, error.message);
+  const count = await saveProducts(Array.from(monitoredProducts.values()));
+  if (count > 0) {
+    console.log(`[${getTimestamp()}] 💾 Saved ${count} changed product(s) (${store.kind})`);
   }
 }
 
 async function loadMonitoredProducts() {
-  if (!pool) return 0;
-  
-  try {
-    const result = await pool.query('SELECT * FROM monitored_products');
-    for (const row of result.rows) {
-      monitoredProducts.set(row.id, {
-        id: row.id,
-        url: row.url,
-        title: row.title,
-        brand: row.brand,
-        price: row.price,
-        originalPrice: row.original_price,
-        imageUrl: row.image_url,
-        watchedSizes: new Set(row.watched_sizes || []),
-        previousStock: row.previous_stock || {},
-        notifiedSizes: new Set(row.notified_sizes || [])
-      });
+  try {
+    const records = await store.products.list();
+    const migrated = [];
+    
+    for (const record of records) {
+      const product = {
+        id: record.id,
+        url: record.url,
+        title: record.title,
+        brand: record.brand,
+        price: record.price,
+        originalPrice: record.originalPrice,
+        imageUrl: record.imageUrl,
+        previousStock: record.previousStock || {},
+        priority: record.priority || 'normal',
+        parserStatus: record.parserStatus || {},
+        health: { ...createHealth(), ...record.health },
+        subscriptions: new Map()
+      };
+      
+      for (const subscription of record.subscriptions) {
+        product.subscriptions.set(subscription.userId, fromSubscriptionRecord(subscription));
+      }
+      
+      // Saved before watchlists were per user: the settings become the admin's
+      if (product.subscriptions.size === 0 && record.legacySubscription) {
+        const admin = auth.getAdminUser();
+        product.subscriptions.set(admin.id, fromSubscriptionRecord(record.legacySubscription, admin.id));
+        migrated.push(product);
+      } else {
+        rememberSaved(toProductRecord(product));
+      }
+      
+      monitoredProducts.set(record.id, product);
+    }
+    
+    for (const product of migrated) {
+      await saveProduct(product);
+    }
+    if (migrated.length > 0) {
+      console.log(`[${getTimestamp()}] 👤 Moved ${migrated.length} products to the watchlist of "${auth.getAdminUser().username}"`);
     }
-    console.log(`[${getTimestamp()}] 📂 Loaded ${result.rows.length} products from DB`);
-    return result.rows.length;
+    
+    console.log(`[${getTimestamp()}] 📂 Loaded ${records.length} products (${store.kind})`);
+    return records.length;
   } catch (error) {
     console.error(`[${getTimestamp()}] ❌ Error loading products:`, error.message);
   }
   return 0;
 }
 
-async function deleteProductFromDB(id) {
-  if (!pool) return;
+async function deleteProductFromStore(id) {
+  savedProducts.delete(id);
+  try {
+    await store.products.delete(id);
+  } catch (error) {
+    console.error(`[${getTimestamp()}] ❌ Error deleting product from storage:`, error.message);
+  }
+}
+
+async function deleteSubscriptionFromStore(productId, userId) {
+  savedProducts.get(productId)?.subscriptions.delete(userId);
+  try {
+    await store.products.deleteSubscription(productId, userId);
+  } catch (error) {
+    console.error(`[${getTimestamp()}] ❌ Error deleting subscription from storage:`, error.message);
+  }
+}
+
+async function saveListing(listing) {
+  await store.listings.save({
+    id: listing.id,
+    userId: listing.userId,
+    url: listing.url,
+    name: listing.name,
+    filters: listing.filters,
+    autoWatch: listing.autoWatch,
+    autoWatchSizes: listing.autoWatchSizes,
+    channels: listing.channels,
+    seenProductIds: Array.from(listing.seenProductIds),
+    lastChecked: listing.lastChecked
+  });
+}
+
+async function loadMonitoredListings() {
+  try {
+    const records = await store.listings.list();
+    for (const record of records) {
+      monitoredListings.set(record.id, {
+        id: record.id,
+        // Listings from before multi-user belong to the admin
+        userId: record.userId ?? auth.getAdminUser().id,
+        url: record.url,
+        name: record.name,
+        filters: { keywords: [], brands: [], ...record.filters },
+        autoWatch: record.autoWatch,
+        autoWatchSizes: record.autoWatchSizes || [],
+        channels: record.channels || [],
+        seenProductIds: new Set(record.seenProductIds || []),
+        lastChecked: record.lastChecked
+      });
+    }
+    console.log(`[${getTimestamp()}] 📂 Loaded ${records.length} listings (${store.kind})`);
+    return records.length;
+  } catch (error) {
+    console.error(`[${getTimestamp()}] ❌ Error loading listings:`, error.message);
+  }
+  return 0;
+}
+
+async function deleteListingFromStore(id) {
+  try {
+    await store.listings.delete(id);
+  } catch (error) {
+    console.error(`[${getTimestamp()}] ❌ Error deleting listing from storage:`, error.message);
+  }
+}
+
+// ============== HISTORY ==============
+
+// Build history events from two stock snapshots.
+// Sizes that disappear from the page are considered out of stock.
+function diffStock(previousStock, currentStock) {
+  const events = [];
+  const sizes = new Set([...Object.keys(previousStock || {}), ...Object.keys(currentStock || {})]);
+  
+  for (const size of sizes) {
+    const wasInStock = previousStock?.[size]?.inStock || false;
+    const isNowInStock = currentStock?.[size]?.inStock || false;
+    
+    if (!wasInStock && isNowInStock) {
+      events.push({ type: 'in_stock', size, stockLabel: currentStock[size].stockLabel || '' });
+    } else if (wasInStock && !isNowInStock) {
+      events.push({ type: 'out_of_stock', size, stockLabel: currentStock?.[size]?.stockLabel || '' });
+    }
+  }
+  
+  return events;
+}
+
+async function recordHistory(productId, events) {
+  if (events.length === 0) return;
+  
+  try {
+    await store.history.record(productId, events.map(event => ({
+      type: event.type,
+      size: event.size || null,
+      stockLabel: event.stockLabel || null,
+      price: event.price ?? null,
+      previousPrice: event.previousPrice ?? null
+    })));
+  } catch (error) {
+    console.error(`[${getTimestamp()}] ❌ Error recording history:`, error.message);
+  }
+}
+
+// Get history events in chronological order, optionally filtered by date range and size
+function getHistory(productId, { from, to, size } = {}) {
+  return store.history.list(productId, { from, to, size });
+}
+
+// Turn in_stock/out_of_stock events into availability periods per size.
+// A period still open at the end has `to: null`.
+function buildAvailabilityPeriods(events) {
+  const periods = {};
+  const openSince = {};
+  
+  for (const event of events) {
+    if (!event.size) continue;
+    if (event.type === 'in_stock' && !openSince[event.size]) {
+      openSince[event.size] = event.timestamp;
+    } else if (event.type === 'out_of_stock' && openSince[event.size]) {
+      const from = openSince[event.size];
+      (periods[event.size] = periods[event.size] || []).push({
+        from,
+        to: event.timestamp,
+        durationMs: new Date(event.timestamp) - new Date(from)
+      });
+      delete openSince[event.size];
+    }
+  }
+  
+  for (const [size, from] of Object.entries(openSince)) {
+    (periods[size] = periods[size] || []).push({
+      from,
+      to: null,
+      durationMs: Date.now() - new Date(from)
+    });
+  }
+  
+  return periods;
+}
+
+async function deleteHistory(productId) {
+  try {
+    await store.history.delete(productId);
+  } catch (error) {
+    console.error(`[${getTimestamp()}] ❌ Error deleting history:`, error.message);
+  }
+}
+
+// ============== NOTIFICATIONS ==============
+
+// Product fields included in notification events
+function toEventProduct(product) {
+  return {
+    id: product.id,
+    url: product.url,
+    title: product.title,
+    brand: product.brand,
+    price: product.price,
+    originalPrice: product.originalPrice,
+    discount: getDiscount(product.price, product.originalPrice),
+    imageUrl: product.imageUrl
+  };
+}
+
+// Channel keys to notify: the ones selected on the subscription or listing, else the
+// user's own targets, else every channel configured on the server
+function resolveChannels(userId, channels) {
+  if (channels && channels.length > 0) {
+    return channels.filter(key => notifiers.has(key) || targets.getNotifier(key));
+  }
+  
+  const own = targets.list(userId).map(target => targetKey(target.id)).filter(key => targets.getNotifier(key));
+  return own.length > 0 ? own : Array.from(notifiers.keys());
+}
+
+// Queue an event for a user's channels (userId null: server channels only).
+// Delivery is retried by the outbox; this only throws if the event could not be stored.
+async function notify({ productId, userId = null, channels = [] }, event) {
+  const selected = resolveChannels(userId, channels);
+  
+  if (selected.length === 0) {
+    console.log('[Notify] No notification channel configured');
+    return [];
+  }
+  
+  return outbox.enqueue(productId, selected, event, { userId });
+}
+
+// One notification for every size back in stock in the same check
+async function sendRestockNotification(product, subscription, sizes) {
+  return notify({ productId: product.id, userId: subscription.userId, channels: subscription.channels }, {
+    type: 'restock',
+    timestamp: new Date().toISOString(),
+    product: toEventProduct(product),
+    mentions: subscription.mentions,
+    sizes,
+    size: sizes[0].size,
+    stockLabel: sizes[0].stockLabel
+  });
+}
+
+// Sizes the subscriber was told about that sold out again
+async function sendSoldOutNotification(product, subscription, sizes) {
+  return notify({ productId: product.id, userId: subscription.userId, channels: subscription.channels }, {
+    type: 'sold_out',
+    timestamp: new Date().toISOString(),
+    product: toEventProduct(product),
+    mentions: subscription.mentions,
+    sizes,
+    size: sizes[0].size,
+    stockLabel: sizes[0].stockLabel
+  });
+}
+
+// Watched sizes still in stock but down to the subscriber's threshold
+async function sendLowStockNotification(product, subscription, sizes) {
+  return notify({ productId: product.id, userId: subscription.userId, channels: subscription.channels }, {
+    type: 'low_stock',
+    timestamp: new Date().toISOString(),
+    product: toEventProduct(product),
+    mentions: subscription.mentions,
+    sizes,
+    threshold: subscription.lowStockThreshold
+  });
+}
+
+async function sendPriceAlertNotification(product, subscription, alert) {
+  return notify({ productId: product.id, userId: subscription.userId, channels: subscription.channels }, {
+    type: 'price_alert',
+    timestamp: new Date().toISOString(),
+    product: toEventProduct(product),
+    mentions: subscription.mentions,
+    rule: alert.rule,
+    threshold: alert.rule === 'anyDrop' ? null : subscription.priceAlert[alert.rule],
+    previousPrice: alert.previousPrice
+  });
+}
+
+async function sendNewProductNotification(listing, item, autoWatched) {
+  return notify({ productId: item.id, userId: listing.userId, channels: listing.channels }, {
+    type: 'new_product',
+    timestamp: new Date().toISOString(),
+    product: {
+      ...item,
+      discount: getDiscount(item.price, item.originalPrice)
+    },
+    listing: { id: listing.id, name: listing.name, url: listing.url },
+    autoWatched
+  });
+}
+
+// Operational alert for whoever runs the monitor (ADMIN_CHANNELS, default all channels)
+async function sendAdminAlert(kind, product, message) {
+  return notify({ productId: product.id, channels: CONFIG.adminChannels }, {
+    type: 'admin_alert',
+    timestamp: new Date().toISOString(),
+    kind,
+    message,
+    product: toEventProduct(product)
+  });
+}
+
+// ============== QUIET HOURS & DAILY SUMMARY ==============
+
+// Language of a channel key's notifications: the target's own, else NOTIFICATION_LANGUAGE
+function getNotificationLanguage(key) {
+  return targets.fromKey(key)?.language || CONFIG.notificationLanguage;
+}
+
+// Quiet hours of a channel key: the target's own, else QUIET_HOURS for server channels
+function getQuietHours(key) {
+  const target = targets.fromKey(key);
+  if (target) return parseTimeRange(target.quietHours);
+  return CONFIG.quietHours.get(key) || CONFIG.quietHours.get('*') || null;
+}
+
+// When the channel's quiet hours end, or null if it can be notified now.
+// The outbox holds notifications until then and sends them as one digest.
+function getQuietHoursEnd(key, now = new Date()) {
+  const range = getQuietHours(key);
+  return range && isQuiet(range, now) ? getQuietEnd(range, now) : null;
+}
+
+// quietHours from the API: "HH:MM-HH:MM", or empty for none
+// Returns { quietHours } or { error }
+function parseQuietHoursInput(input) {
+  if (input === undefined || input === null || input === '') return { quietHours: null };
+  const range = parseTimeRange(input);
+  return range
+    ? { quietHours: range.text }
+    : { error: 'Invalid quietHours - expected HH:MM-HH:MM (Europe/Paris time), e.g. 23:00-08:00' };
+}
+
+// language of a target from the API: 'fr' or 'en', or empty for NOTIFICATION_LANGUAGE
+// Returns { language } or { error }
+function parseLanguageInput(input) {
+  if (input === undefined || input === null || input === '') return { language: null };
+  return LANGUAGES.includes(input)
+    ? { language: input }
+    : { error: `Invalid language - available: ${LANGUAGES.join(', ')}` };
+}
+
+// Watched sizes currently in stock on a user's watchlist: [{ product, sizes: [{ size, stockLabel }] }]
+function getInStockItems(userId) {
+  const items = [];
+  for (const product of monitoredProducts.values()) {
+    const subscription = product.subscriptions.get(userId);
+    if (!subscription || !isWatchActive(subscription)) continue;
+    
+    const sizes = Object.entries(product.previousStock || {})
+      .filter(([size, stockInfo]) => stockInfo.inStock && (subscription.watchedSizes.size === 0 || subscription.watchedSizes.has(size)))
+      .map(([size, stockInfo]) => ({ size, stockLabel: stockInfo.stockLabel || '' }));
+    if (sizes.length > 0) {
+      items.push({ product: toEventProduct(product), sizes });
+    }
+  }
+  return items;
+}
+
+// Send a user what is in stock on their watchlist (nothing when nothing is).
+// Returns the number of products listed.
+async function sendDailySummary(userId) {
+  const items = getInStockItems(userId);
+  if (items.length === 0) return 0;
+  
+  await notify({ productId: null, userId }, {
+    type: 'daily_summary',
+    timestamp: new Date().toISOString(),
+    items
+  });
+  return items.length;
+}
+
+// Paris date of the last daily summary: one per day
+let lastDailySummaryDate = null;
+
+async function sendDailySummaries() {
+  const userIds = new Set();
+  for (const product of monitoredProducts.values()) {
+    for (const userId of product.subscriptions.keys()) userIds.add(userId);
+  }
+  
+  let sent = 0;
+  for (const userId of userIds) {
+    try {
+      if (await sendDailySummary(userId) > 0) sent++;
+    } catch (error) {
+      console.error(`[${getTimestamp()}] ❌ Error sending daily summary to user ${userId}:`, error.message);
+    }
+  }
+  console.log(`[${getTimestamp()}] ☀️ Daily summary sent to ${sent} user(s)`);
+}
+
+function checkDailySummary() {
+  const now = getLocalTime();
+  if (now.minutes < CONFIG.dailySummaryTime || now.date === lastDailySummaryDate) return;
+  lastDailySummaryDate = now.date;
+  // Sent once, by the leader; the others still mark the day as done in case they take over
+  if (leadership.isLeader()) sendDailySummaries();
+}
+
+function startDailySummary() {
+  if (CONFIG.dailySummaryTime === null) return;
+  
+  // Started after today's time: the first summary is tomorrow's
+  const now = getLocalTime();
+  if (now.minutes >= CONFIG.dailySummaryTime) lastDailySummaryDate = now.date;
+  setInterval(checkDailySummary, 60 * 1000);
+}
+
+// ============== MONITORING LOGIC ==============
+
+// Track whether the product page still has the markup the parser relies on.
+// Alerts the admin when it breaks and when it recovers.
+async function updateParserStatus(product, parseIssues) {
+  const wasBroken = !!product.parserStatus?.broken;
+  
+  if (parseIssues.critical && !wasBroken) {
+    product.parserStatus = { broken: true, missing: parseIssues.missing, since: new Date().toISOString() };
+    console.error(`[${getTimestamp()}] 🛠️ PARSER BROKEN: ${product.title} - missing ${parseIssues.missing.join(', ')}`);
+    await sendAdminAlert('parser_broken', product,
+      `La page ne contient plus les éléments attendus (${parseIssues.missing.join(', ')}). Le stock n'est plus lu tant que le parser n'est pas corrigé.`);
+  } else if (!parseIssues.critical && wasBroken) {
+    product.parserStatus = { broken: false, missing: parseIssues.missing };
+    console.log(`[${getTimestamp()}] 🛠️ Parser recovered: ${product.title}`);
+    await sendAdminAlert('parser_recovered', product, 'La page est de nouveau lue correctement.');
+  } else {
+    product.parserStatus = { ...product.parserStatus, missing: parseIssues.missing };
+  }
+}
+
+function createHealth() {
+  return {
+    lastCheckAt: null,
+    lastSuccessAt: null,
+    consecutiveErrors: 0,
+    lastError: null,
+    lastErrorAt: null,
+    notFoundCount: 0,
+    removed: false,
+    removedAt: null
+  };
+}
+
+// Label of a check result in the metrics
+function getCheckResultLabel(result) {
+  if (result && result.success) return 'success';
+  if (result && result.parserBroken) return 'parser_broken';
+  return result && result.botChallenge ? 'bot_challenge' : 'error';
+}
+
+// Record the outcome of a check. A page answering 404 for
+// CONFIG.removedAfterNotFoundChecks checks in a row is flagged as removed from
+// the site (admin alert); it is still checked in case it comes back.
+async function updateProductHealth(product, result) {
+  const health = { ...createHealth(), ...product.health };
+  const now = new Date().toISOString();
+  
+  health.lastCheckAt = now;
+  if (result.success) {
+    health.lastSuccessAt = now;
+    health.consecutiveErrors = 0;
+    health.lastError = null;
+  } else {
+    health.consecutiveErrors++;
+    health.lastError = result.error || 'Unknown error';
+    health.lastErrorAt = now;
+  }
+  health.notFoundCount = result.httpStatus === 404 ? health.notFoundCount + 1 : 0;
+  
+  const wasRemoved = health.removed;
+  // A network error says nothing about the page: only an answer clears the flag
+  const pageAnswered = result.success || result.parserBroken || (result.httpStatus && result.httpStatus !== 404);
+  if (!wasRemoved && health.notFoundCount >= CONFIG.removedAfterNotFoundChecks) {
+    health.removed = true;
+    health.removedAt = now;
+  } else if (wasRemoved && pageAnswered) {
+    health.removed = false;
+    health.removedAt = null;
+  }
+  product.health = health;
+  
+  if (health.removed && !wasRemoved) {
+    console.error(`[${getTimestamp()}] 🗑️ REMOVED FROM SITE: ${product.title} - HTTP 404 for ${health.notFoundCount} checks`);
+    await sendAdminAlert('product_removed', product,
+      `La page renvoie une erreur 404 depuis ${health.notFoundCount} vérifications : le produit a probablement été retiré du site.`);
+  } else if (!health.removed && wasRemoved) {
+    console.log(`[${getTimestamp()}] 🔙 Back on the site: ${product.title}`);
+    await sendAdminAlert('product_back', product, 'La page du produit est de nouveau en ligne.');
+  }
+}
+
+// Evaluate a subscriber's price rules against the freshly fetched price.
+// Threshold rules notify once and re-arm when the condition stops holding.
+async function checkPriceAlerts(product, subscription, previousPrice) {
+  const rules = subscription.priceAlert || {};
+  const price = product.price;
+  if (typeof price !== 'number') return;
+  
+  const discount = getDiscount(price, product.originalPrice);
+  const triggered = [];
+  
+  const conditions = {
+    maxPrice: rules.maxPrice !== undefined && price <= rules.maxPrice,
+    minDiscount: rules.minDiscount !== undefined && discount >= rules.minDiscount
+  };
+  
+  for (const [rule, holds] of Object.entries(conditions)) {
+    if (holds && !subscription.notifiedPriceAlerts.has(rule)) {
+      triggered.push(rule);
+    } else if (!holds) {
+      subscription.notifiedPriceAlerts.delete(rule);
+    }
+  }
+  
+  if (rules.anyDrop && typeof previousPrice === 'number' && price < previousPrice && triggered.length === 0) {
+    triggered.push('anyDrop');
+  }
+  
+  // One notification per check, describing the first matching rule
+  if (triggered.length > 0) {
+    console.log(`[${getTimestamp()}] 💸 PRICE ALERT: ${product.title} - ${formatPrice(price)} (${triggered.join(', ')}, user ${subscription.userId})`);
+    await sendPriceAlertNotification(product, subscription, {
+      rule: triggered[0],
+      previousPrice: typeof previousPrice === 'number' ? previousPrice : null
+    });
+    // Only once queued: if that failed, the next check tries again
+    for (const rule of triggered) {
+      if (rule !== 'anyDrop') subscription.notifiedPriceAlerts.add(rule);
+    }
+  }
+}
+
+// Notify a subscriber of restocks of the sizes they watch, and of the notified
+// sizes selling out again (SOLD_OUT_ALERTS)
+async function checkRestocks(product, subscription, previousStock, currentStock) {
+  const restocked = [];
+  const soldOut = [];
+  
+  for (const [sizeName, stockInfo] of Object.entries(currentStock)) {
+    const wasInStock = previousStock[sizeName]?.inStock || false;
+    const isNowInStock = stockInfo.inStock;
+    
+    // Check if this size is being watched (empty watchedSizes = watch all)
+    const isWatched = subscription.watchedSizes.size === 0 || subscription.watchedSizes.has(sizeName);
+    
+    if (isWatched && !wasInStock && isNowInStock) {
+      // Check if already notified for this size
+      if (!subscription.notifiedSizes.has(sizeName)) {
+        restocked.push({ size: sizeName, stockLabel: stockInfo.stockLabel || '' });
+      }
+    } else if (isWatched && wasInStock && !isNowInStock) {
+      // Size went out of stock - reset notification flag
+      if (subscription.notifiedSizes.delete(sizeName) && CONFIG.soldOutAlerts) {
+        soldOut.push({ size: sizeName, stockLabel: stockInfo.stockLabel || '' });
+      }
+    }
+  }
+  
+  if (soldOut.length > 0) {
+    await sendSoldOutNotification(product, subscription, soldOut);
+  }
+  
+  if (restocked.length > 0) {
+    await sendRestockNotification(product, subscription, restocked);
+    for (const { size } of restocked) subscription.notifiedSizes.add(size);
+    // Removed by the next checkWatchStates, not in the middle of the product's check
+    if (subscription.expireAfterRestock) {
+      subscription.expiresAt = new Date().toISOString();
+    }
+  }
+}
+
+// Is a size in stock but running low for this threshold? The quantity decides when
+// the label gives one; otherwise the shop's own wording ("Derniers articles") does.
+// Snapshots saved before stock labels were parsed are parsed here.
+function isLowStock(stockInfo, threshold) {
+  if (!stockInfo?.inStock) return false;
+  const { quantity, level } = stockInfo.level ? stockInfo : parseStockLabel(stockInfo.stockLabel);
+  return typeof quantity === 'number' ? quantity <= threshold : level === 'low';
+}
+
+// Notify a subscriber when sizes they watch are about to sell out. Each size is
+// notified once, and again after going out of stock or back above the threshold.
+async function checkLowStock(product, subscription, previousStock, currentStock) {
+  const threshold = subscription.lowStockThreshold;
+  if (!threshold) return;
+  const lowSizes = [];
+  
+  for (const [sizeName, stockInfo] of Object.entries(currentStock)) {
+    const isWatched = subscription.watchedSizes.size === 0 || subscription.watchedSizes.has(sizeName);
+    if (!isWatched) continue;
+    
+    if (!isLowStock(stockInfo, threshold)) {
+      subscription.notifiedLowStock.delete(sizeName);
+    } else if (!subscription.notifiedLowStock.has(sizeName)) {
+      // Back in stock with only a few left: the restock alert already shows the label
+      if (previousStock[sizeName]?.inStock) {
+        lowSizes.push({ size: sizeName, stockLabel: stockInfo.stockLabel || '', quantity: stockInfo.quantity ?? null });
+      } else {
+        subscription.notifiedLowStock.add(sizeName);
+      }
+    }
+  }
+  
+  if (lowSizes.length > 0) {
+    console.log(`[${getTimestamp()}] ⏳ LOW STOCK: ${product.title} - ${lowSizes.map(({ size }) => size).join(', ')} (user ${subscription.userId})`);
+    await sendLowStockNotification(product, subscription, lowSizes);
+    // Only once queued: if that failed, the next check tries again
+    for (const { size } of lowSizes) subscription.notifiedLowStock.add(size);
+  }
+}
+
+// The URL to keep for a page fetched from `storedUrl` that ended on `finalUrl`
+// after redirects. Only a page of the shop replaces it (a product page by its
+// canonical URL, see parseProductUrl): a redirect anywhere else is logged and ignored.
+function getRedirectedUrl(storedUrl, finalUrl, { product = false } = {}) {
+  if (finalUrl === storedUrl) return storedUrl;
+  
+  const url = product
+    ? parseProductUrl(finalUrl, CONFIG.siteUrl)?.url
+    : isSiteUrl(finalUrl, CONFIG.siteUrl) ? finalUrl : null;
+  if (!url) {
+    console.log(`[${getTimestamp()}] ⚠️ ${storedUrl} redirected outside the shop to ${finalUrl}, keeping the stored URL`);
+    return storedUrl;
+  }
+  return url;
+}
+
+async function checkProductStock(product) {
+  try {
+    const productInfo = await fetchProductInfo(product.url);
+    const url = getRedirectedUrl(product.url, productInfo.url, { product: true });
+    if (url !== product.url) {
+      console.log(`[${getTimestamp()}] ↪️ ${product.title} moved to ${url}`);
+      product.url = url;
+    }
+    
+    // A page without the expected markup has most likely changed layout:
+    // keep the last known stock instead of reading every size as out of stock
+    const parseIssues = getParseIssues(productInfo);
+    await updateParserStatus(product, parseIssues);
+    if (parseIssues.critical) {
+      return { success: false, error: `Parser broken - missing: ${parseIssues.missing.join(', ')}`, parserBroken: true };
+    }
+    
+    const currentStock = productInfo.sizes;
+    const previousStock = product.previousStock || {};
+    
+    const previousPrice = product.price;
+    
+    // Update product info
+    product.title = productInfo.title || product.title;
+    product.brand = productInfo.brand || product.brand;
+    product.price = productInfo.price ?? product.price;
+    product.originalPrice = productInfo.originalPrice ?? product.originalPrice;
+    product.imageUrl = productInfo.imageUrl || product.imageUrl;
+    
+    const historyEvents = diffStock(previousStock, currentStock);
+    for (const event of historyEvents.filter(event => event.type === 'in_stock')) {
+      console.log(`[${getTimestamp()}] 🚨 RESTOCK: ${product.title} - Taille ${event.size}`);
+      restocksDetectedTotal.inc();
+    }
+    if (typeof product.price === 'number' && product.price !== previousPrice) {
+      historyEvents.push({ type: 'price_change', price: product.price, previousPrice });
+    }
+    await recordHistory(product.id, historyEvents);
+    publishStockChanges(product, historyEvents);
+    
+    // Same page, each subscriber's own criteria. One failing subscriber
+    // (notification not stored) doesn't prevent the others from being notified.
+    for (const subscription of product.subscriptions.values()) {
+      if (!isWatchActive(subscription)) continue;
+      try {
+        await checkPriceAlerts(product, subscription, previousPrice);
+        await checkRestocks(product, subscription, previousStock, currentStock);
+        await checkLowStock(product, subscription, previousStock, currentStock);
+      } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Error notifying user ${subscription.userId} for ${product.title}:`, error.message);
+      }
+    }
+    
+    // Update previous stock
+    product.previousStock = currentStock;
+    
+    return { success: true, sizes: currentStock };
+  } catch (error) {
+    console.error(`[${getTimestamp()}] ❌ Error checking ${product.url}:`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      httpStatus: error.httpStatus || null,
+      botChallenge: error instanceof BotChallengeError
+    };
+  }
+}
+// Scheduler task: check one product and persist the result
+async function checkScheduledProduct(id) {
+  const product = monitoredProducts.get(id);
+  if (!product) {
+    scheduler.remove(id);
+    return { success: true };
+  }
+  
+  const endTimer = checkDurationSeconds.startTimer({ kind: 'product' });
+  const result = await checkProductStock(product);
+  endTimer({ result: getCheckResultLabel(result) });
+  
+  // Removed while it was being checked: nothing to record
+  if (monitoredProducts.get(id) !== product) return result;
+  
+  try {
+    await updateProductHealth(product, result);
+  } catch (error) {
+    console.error(`[${getTimestamp()}] ❌ Error updating health of ${id}:`, error.message);
+  }
+  
+  await saveProduct(product);
+  
+  return result;
+}
+
+// Look for products that were not on the listing page before.
+// The first check only records what is already there.
+async function checkListing(listing) {
+  try {
+    const { items, url: finalUrl } = await fetchListing(listing.url);
+    const url = getRedirectedUrl(listing.url, finalUrl);
+    if (url !== listing.url) {
+      console.log(`[${getTimestamp()}] ↪️ Listing ${listing.name} moved to ${url}`);
+      listing.url = url;
+    }
+    const isFirstCheck = !listing.lastChecked;
+    const newMatches = [];
+    
+    for (const item of items) {
+      if (listing.seenProductIds.has(item.id)) continue;
+      listing.seenProductIds.add(item.id);
+      if (!isFirstCheck && matchesListingFilters(item, listing.filters)) {
+        newMatches.push(item);
+      }
+    }
+    listing.lastChecked = new Date();
+    
+    for (const item of newMatches) {
+      console.log(`[${getTimestamp()}] 🆕 NEW PRODUCT on ${listing.name}: ${item.title}`);
+      
+      let autoWatched = false;
+      if (listing.autoWatch && !monitoredProducts.get(item.id)?.subscriptions.has(listing.userId)) {
+        try {
+          await addMonitoredProduct({
+            userId: listing.userId,
+            url: item.url,
+            watchedSizes: listing.autoWatchSizes.length > 0 ? listing.autoWatchSizes : undefined,
+            defaultSizes: CONFIG.defaultSizes,
+            channels: listing.channels
+          });
+          autoWatched = true;
+        } catch (error) {
+          console.error(`[${getTimestamp()}] ❌ Could not auto-watch ${item.url}:`, error.message);
+        }
+      }
+      
+      await sendNewProductNotification(listing, item, autoWatched);
+    }
+    
+    return { success: true, itemCount: items.length, newMatches };
+  } catch (error) {
+    console.error(`[${getTimestamp()}] ❌ Error checking listing ${listing.url}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Scheduler task: check one listing and persist the result
+async function checkScheduledListing(id) {
+  const listing = monitoredListings.get(id);
+  if (!listing) {
+    scheduler.remove(listingKey(id));
+    return { success: true };
+  }
+  
+  const endTimer = checkDurationSeconds.startTimer({ kind: 'listing' });
+  const result = await checkListing(listing);
+  endTimer({ result: getCheckResultLabel(result) });
+  
+  try {
+    await saveListing(listing);
+  } catch (error) {
+    console.error(`[${getTimestamp()}] ❌ Error saving listing ${id}:`, error.message);
+  }
+  
+  return result;
+}
+
+// "20s", "10 min", "1 min 30s"
+function formatInterval(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)} min${seconds % 60 ? ` ${seconds % 60}s` : ''}`;
+}
+
+function startMonitoring() {
+  // Followers only serve the API (see LEADERSHIP)
+  if (!leadership.isLeader()) return;
+  
+  // Spread the first checks of restored products over one interval
+  for (const product of monitoredProducts.values()) {
+    scheduler.add(product.id, { delayMs: Math.round(Math.random() * getCheckIntervalMs(product)) });
+  }
+  for (const listing of monitoredListings.values()) {
+    scheduler.add(listingKey(listing.id), { delayMs: Math.round(Math.random() * CONFIG.listingCheckIntervalMs) });
+  }
+  
+  if (!scheduler.start()) {
+    console.log('Monitoring already running');
+    return;
+  }
+  
+  console.log(`⏰ Monitoring started (every ${formatInterval(CONFIG.checkIntervalMs)}, hot products every ${formatInterval(CONFIG.hotCheckIntervalMs)}, ${CONFIG.checkConcurrency} at a time)`);
+  liveEvents.publish('monitoring', { running: true });
+}
+
+function stopMonitoring() {
+  if (scheduler.stop()) {
+    console.log('⏹️ Monitoring stopped');
+    liveEvents.publish('monitoring', { running: false });
+  }
+}
+
+// ============== LEADERSHIP ==============
+//
+// Every instance loads the products and serves the API; the leader (see
+// lib/leader.js) also runs the checks, the notification outbox, watch expiry
+// and the daily summary. Changes go through the leader only (requireLeader):
+// it saves its in-memory products after every check, which would write back
+// over a follower's changes. A follower's data is the one it loaded at startup;
+// it reloads it when it takes over.
+
+async function reloadMonitoredData() {
+  // This instance's own unsaved changes first
+  await saveMonitoredProducts();
+  
+  for (const id of monitoredProducts.keys()) scheduler.remove(id);
+  for (const id of monitoredListings.keys()) scheduler.remove(listingKey(id));
+  monitoredProducts.clear();
+  monitoredListings.clear();
+  savedProducts.clear();
+  
+  await loadMonitoredProducts();
+  await loadMonitoredListings();
+  // Targets and templates edited through another instance while it was leading
+  await targets.load();
+  await templates.load();
+}
+
+// Elected: resume the pending notifications and the checks
+async function becomeLeader(initial) {
+  // Loaded at startup, unless another instance has been leading since then
+  if (!initial) await reloadMonitoredData();
+  
+  outbox.start();
+  if (monitoredProducts.size > 0 || monitoredListings.size > 0) {
+    console.log(`🚀 Starting monitoring for ${monitoredProducts.size} products and ${monitoredListings.size} listings`);
+    startMonitoring();
+  }
+}
+
+// No longer leader (shutdown, or the lock was lost): let the checks and
+// deliveries in progress finish and save what they changed, so the next leader
+// starts from it
+async function stepDown() {
+  stopMonitoring();
+  await Promise.all([scheduler.drain(), outbox.stop()]);
+  await saveMonitoredProducts();
+}
+
+// Manual checks and every change: leader only (see LEADERSHIP)
+function requireLeader(req, res, next) {
+  if (!leadership.isLeader()) {
+    return res.status(503).json({ error: 'This instance is not the monitoring leader, try again in a moment' });
+  }
+  next();
+}
+
+// ============== WATCHLIST TRANSFER ==============
+
+const EXPORT_COLUMNS = ['url', 'title', 'watchedSizes', 'maxPrice', 'minDiscount', 'anyDrop', 'lowStockThreshold', 'channels', 'mentions', 'priority'];
+const IMPORT_MODES = ['skip', 'merge'];
+const MAX_IMPORT_ITEMS = 500;
+// Separates values inside a CSV cell (sizes can contain commas, e.g. "42,5")
+const CSV_LIST_SEPARATOR = '|';
+
+function toExportItem(product, subscription) {
+  return {
+    url: product.url,
+    title: product.title,
+    watchedSizes: Array.from(subscription.watchedSizes),
+    priceAlert: subscription.priceAlert,
+    lowStockThreshold: subscription.lowStockThreshold,
+    channels: subscription.channels,
+    mentions: subscription.mentions,
+    priority: product.priority
+  };
+}
+
+function toCsvRecord(item) {
+  return {
+    url: item.url,
+    title: item.title,
+    watchedSizes: item.watchedSizes.join(CSV_LIST_SEPARATOR),
+    maxPrice: item.priceAlert.maxPrice ?? '',
+    minDiscount: item.priceAlert.minDiscount ?? '',
+    anyDrop: item.priceAlert.anyDrop ? 'true' : '',
+    lowStockThreshold: item.lowStockThreshold ?? '',
+    channels: item.channels.join(CSV_LIST_SEPARATOR),
+    mentions: item.mentions.join(CSV_LIST_SEPARATOR),
+    priority: item.priority
+  };
+}
+
+function splitCsvList(value) {
+  return String(value || '').split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+}
+
+// CSV with the export columns (only url is required), or one URL per line without header
+function csvToImportItems(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return [];
+  
+  if (!rows[0].some(cell => cell.trim() === 'url')) {
+    return rows.map(cells => ({ url: cells[0].trim() }));
+  }
+  
+  return parseCsv(text).map(record => ({
+    url: record.url,
+    watchedSizes: splitCsvList(record.watchedSizes),
+    priceAlert: {
+      maxPrice: record.maxPrice,
+      minDiscount: record.minDiscount,
+      anyDrop: ['true', '1', 'yes', 'oui'].includes(String(record.anyDrop || '').toLowerCase())
+    },
+    lowStockThreshold: record.lowStockThreshold,
+    channels: splitCsvList(record.channels),
+    mentions: splitCsvList(record.mentions),
+    priority: record.priority || 'normal'
+  }));
+}
+
+// Import one product. Channels that don't exist here (e.g. targets of another
+// instance) are dropped with a warning rather than failing the product.
+async function importItem(userId, item, mode) {
+  const { url } = item;
+  const productId = parseProductUrl(url, CONFIG.siteUrl)?.id || null;
+  const warnings = [];
+  
+  try {
+    if (item.watchedSizes !== undefined && !Array.isArray(item.watchedSizes)) {
+      throw new HttpError(400, 'watchedSizes must be an array');
+    }
+    if (item.channels !== undefined && !Array.isArray(item.channels)) {
+      throw new HttpError(400, 'channels must be an array');
+    }
+    
+    const channels = (item.channels || []).filter(channel => {
+      if (!parseChannels([channel], userId).error) return true;
+      warnings.push(`Unknown channel ${channel} ignored`);
+      return false;
+    });
+    const watchedSizes = (item.watchedSizes || []).map(size => String(size).trim()).filter(Boolean);
+    
+    const product = productId ? monitoredProducts.get(productId) : null;
+    const subscription = product ? product.subscriptions.get(userId) : null;
+    
+    if (!subscription) {
+      await addMonitoredProduct({
+        userId,
+        url,
+        watchedSizes,
+        priceAlert: item.priceAlert,
+        lowStockThreshold: item.lowStockThreshold,
+        channels,
+        mentions: item.mentions,
+        priority: item.priority || 'normal'
+      });
+      return { url, productId, status: 'added', warnings };
+    }
+    
+    if (mode === 'skip') {
+      return { url, productId, status: 'skipped', warnings };
+    }
+    
+    const { priceAlert, error } = parsePriceAlert(item.priceAlert);
+    if (error) {
+      throw new HttpError(400, error);
+    }
+    const { lowStockThreshold, error: lowStockError } = parseLowStockThreshold(item.lowStockThreshold);
+    if (lowStockError) {
+      throw new HttpError(400, lowStockError);
+    }
+    const { mentions, error: mentionsError } = parseMentions(item.mentions);
+    if (mentionsError) {
+      throw new HttpError(400, mentionsError);
+    }
+    
+    // An empty list means every size: keep watching everything if either side does
+    subscription.watchedSizes = subscription.watchedSizes.size === 0 || watchedSizes.length === 0
+      ? new Set()
+      : new Set([...subscription.watchedSizes, ...watchedSizes]);
+    subscription.priceAlert = { ...subscription.priceAlert, ...priceAlert };
+    subscription.lowStockThreshold = lowStockThreshold ?? subscription.lowStockThreshold;
+    subscription.channels = Array.from(new Set([...subscription.channels, ...channels]));
+    subscription.mentions = Array.from(new Set([...subscription.mentions, ...mentions]));
+    if (item.priority === 'hot' && product.priority !== 'hot') {
+      product.priority = 'hot';
+      scheduler.reschedule(productId);
+    }
+    return { url, productId, status: 'merged', warnings };
+  } catch (error) {
+    return { url: url || null, productId, status: 'error', error: error.message, warnings };
+  }
+}
+
+// Import items into a user's watchlist, fetching new products a few at a time.
+// Several lines for the same product are applied one after the other, so the
+// later ones are skipped or merged like products already in the watchlist.
+// Returns one result per item, in order.
+async function importWatchlist(userId, items, mode) {
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const key = parseProductUrl(item.url, CONFIG.siteUrl)?.id || `invalid:${index}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+  
+  const results = new Array(items.length);
+  await mapWithConcurrency(Array.from(groups.values()), CONFIG.checkConcurrency, async (indexes) => {
+    for (const index of indexes) {
+      results[index] = await importItem(userId, items[index], mode);
+    }
+  });
+  
+  if (results.some(result => result.status === 'merged')) {
+    await saveMonitoredProducts();
+  }
+  return results;
+}
+
+// ============== LIVE UPDATES ==============
+
+// Each subscriber gets the product as they see it (their sizes, rules, channels)
+function publishProductChecked(id, result) {
+  const product = monitoredProducts.get(id);
+  if (!product) return;
+  
+  for (const subscription of product.subscriptions.values()) {
+    liveEvents.publish('product_checked', {
+      success: !!(result && result.success),
+      error: result ? result.error || null : null,
+      product: serializeWatch(product, subscription)
+    }, { userId: subscription.userId });
+  }
+}
+
+function publishListingChecked(id, result) {
+  const listing = monitoredListings.get(id);
+  if (!listing) return;
+  
+  liveEvents.publish('listing_checked', {
+    success: !!(result && result.success),
+    error: result ? result.error || null : null,
+    newMatches: result && result.newMatches ? result.newMatches.length : 0,
+    listing: serializeListing(listing)
+  }, { userId: listing.userId });
+}
+
+// Sizes that came back in stock or sold out, as recorded in the history
+function publishStockChanges(product, historyEvents) {
+  const changes = historyEvents
+    .filter(event => event.type === 'in_stock' || event.type === 'out_of_stock')
+    .map(event => ({ type: event.type, size: event.size, stockLabel: event.stockLabel }));
+  if (changes.length === 0) return;
+  
+  for (const subscription of product.subscriptions.values()) {
+    liveEvents.publish('stock_change', {
+      productId: product.id,
+      title: product.title,
+      timestamp: new Date().toISOString(),
+      changes: changes.map(change => ({
+        ...change,
+        watched: subscription.watchedSizes.size === 0 || subscription.watchedSizes.has(change.size)
+      }))
+    }, { userId: subscription.userId });
+  }
+}
+
+// ============== WATCH MANAGEMENT ==============
+
+// Validation error from the shared watch logic, mapped to a 4xx by the routes
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+function createSubscription(userId, { watchedSizes = [], priceAlert = {}, lowStockThreshold = null, channels = [], mentions = [], expiresAt = null, expireAfterRestock = false } = {}) {
+  return {
+    userId,
+    watchedSizes: new Set(watchedSizes),
+    notifiedSizes: new Set(),
+    priceAlert,
+    notifiedPriceAlerts: new Set(),
+    lowStockThreshold,
+    notifiedLowStock: new Set(),
+    channels,
+    mentions,
+    state: 'active',
+    snoozedUntil: null,
+    expiresAt,
+    expireAfterRestock,
+    createdAt: new Date().toISOString()
+  };
+}
+
+// Watched sizes written the way the product page labels them ("42" -> "42 EU").
+// Without sizes, the user's size profiles pick them, then `defaultSizes`; no match
+// at all means every size. Sizes the page doesn't list are kept as given.
+async function resolveWatchedSizes(userId, watchedSizes, stock, defaultSizes = []) {
+  const labels = Object.keys(stock || {});
+  if (watchedSizes === undefined) {
+    const profiles = await store.sizeProfiles.list(userId);
+    const fromProfiles = matchSizes(profiles.flatMap(profile => profile.sizes), labels);
+    if (fromProfiles.length > 0) return fromProfiles;
+    watchedSizes = defaultSizes;
+  }
+  return Array.from(new Set(watchedSizes.flatMap(size => {
+    const matches = matchSizes([size], labels);
+    return matches.length > 0 ? matches : [size];
+  })));
+}
+
+// Validate and add a product to a user's watchlist. The product is fetched and
+// scheduled the first time anyone watches it; later users just subscribe.
+// Used by POST /api/products and by listing watches that auto-watch new products.
+// Returns { product, subscription }
+async function addMonitoredProduct({
+  userId,
+  url,
+  watchedSizes,
+  defaultSizes = [],
+  priceAlert: priceAlertInput,
+  lowStockThreshold: lowStockInput,
+  channels: channelsInput,
+  mentions: mentionsInput,
+  priority = 'normal',
+  expiresInDays = CONFIG.watchExpiryDays,
+  expireAfterRestock = CONFIG.watchExpireAfterRestock
+}) {
+  // Any locale, short or mobile link: the product is fetched (and stored) at its canonical URL
+  const productUrl = parseProductUrl(url, CONFIG.siteUrl);
+  if (!productUrl) {
+    throw new HttpError(400, 'Invalid URL - must be an Espace des Marques product URL');
+  }
+  
+  const { priceAlert, error: priceAlertError } = parsePriceAlert(priceAlertInput);
+  if (priceAlertError) {
+    throw new HttpError(400, priceAlertError);
+  }
+  
+  const { lowStockThreshold, error: lowStockError } = parseLowStockThreshold(lowStockInput);
+  if (lowStockError) {
+    throw new HttpError(400, lowStockError);
+  }
+  
+  const { channels, error: channelsError } = parseChannels(channelsInput, userId);
+  if (channelsError) {
+    throw new HttpError(400, channelsError);
+  }
+  
+  const { mentions, error: mentionsError } = parseMentions(mentionsInput);
+  if (mentionsError) {
+    throw new HttpError(400, mentionsError);
+  }
+  
+  if (!PRIORITIES.includes(priority)) {
+    throw new HttpError(400, `Invalid priority - must be ${PRIORITIES.join(' or ')}`);
+  }
+  
+  const productId = productUrl.id;
+  
+  if (watchedSizes !== undefined && !Array.isArray(watchedSizes)) {
+    throw new HttpError(400, 'watchedSizes must be an array');
+  }
+  
+  const { expiry, error: expiryError } = parseWatchExpiry({ expiresInDays, expireAfterRestock });
+  if (expiryError) {
+    throw new HttpError(400, expiryError);
+  }
+  
+  const subscription = createSubscription(userId, { priceAlert, lowStockThreshold, channels, mentions, ...expiry });
+  
+  const existing = monitoredProducts.get(productId);
+  if (existing) {
+    if (existing.subscriptions.has(userId)) {
+      throw new HttpError(400, 'Product already in your watchlist');
+    }
+    
+    subscription.watchedSizes = new Set(await resolveWatchedSizes(userId, watchedSizes, existing.previousStock, defaultSizes));
+    existing.subscriptions.set(userId, subscription);
+    // The product is checked often if anyone wants it to be
+    if (priority === 'hot' && existing.priority !== 'hot') {
+      existing.priority = 'hot';
+      scheduler.reschedule(productId);
+    }
+    await saveProduct(existing);
+    
+    return { product: existing, subscription };
+  }
+  
+  const productInfo = await fetchProductInfo(productUrl.url);
+  subscription.watchedSizes = new Set(await resolveWatchedSizes(userId, watchedSizes, productInfo.sizes, defaultSizes));
+  
+  const product = {
+    id: productId,
+    url: getRedirectedUrl(productUrl.url, productInfo.url, { product: true }),
+    title: productInfo.title,
+    brand: productInfo.brand,
+    price: productInfo.price,
+    originalPrice: productInfo.originalPrice,
+    imageUrl: productInfo.imageUrl,
+    previousStock: productInfo.sizes,
+    priority,
+    parserStatus: {},
+    health: { ...createHealth(), lastCheckAt: new Date().toISOString(), lastSuccessAt: new Date().toISOString() },
+    subscriptions: new Map([[userId, subscription]])
+  };
+  
+  const parseIssues = getParseIssues(productInfo);
+  product.parserStatus = parseIssues.critical
+    ? { broken: true, missing: parseIssues.missing, since: new Date().toISOString() }
+    : { broken: false, missing: parseIssues.missing };
+  
+  monitoredProducts.set(productId, product);
+  await saveProduct(product);
+  
+  // Initial snapshot so the timeline starts when monitoring starts
+  const initialEvents = diffStock({}, productInfo.sizes);
+  if (typeof product.price === 'number') {
+    initialEvents.push({ type: 'price_change', price: product.price, previousPrice: null });
+  }
+  await recordHistory(productId, initialEvents);
+  
+  // Start monitoring if not already running
+  scheduler.add(productId);
+  startMonitoring();
+  
+  return { product, subscription };
+}
+
+// Remove a product from a user's watchlist. The product itself (schedule, history)
+// goes when nobody watches it anymore. Returns true if the product was removed.
+async function unsubscribe(product, userId) {
+  product.subscriptions.delete(userId);
+  liveEvents.publish('product_removed', { productId: product.id }, { userId });
+  
+  if (product.subscriptions.size > 0) {
+    await deleteSubscriptionFromStore(product.id, userId);
+    return false;
+  }
+  
+  monitoredProducts.delete(product.id);
+  scheduler.remove(product.id);
+  await deleteProductFromStore(product.id);
+  await deleteHistory(product.id);
+  
+  if (monitoredProducts.size === 0 && monitoredListings.size === 0) {
+    stopMonitoring();
+  }
+  return true;
+}
+
+// ============== WATCH STATES ==============
+//
+// Each subscription (a user's watch of a product) is 'active', 'paused', 'snoozed'
+// (until snoozedUntil, then active again) or 'purchased'. Only active watches are
+// notified, and the scheduler skips products nobody actively watches.
+// Watches expire, i.e. are removed, at expiresAt; with expireAfterRestock, their
+// first restock alert sets expiresAt.
+
+const WATCH_STATES = ['active', 'paused', 'snoozed', 'purchased'];
+const MAX_WATCH_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isWatchActive(subscription, now = new Date()) {
+  return subscription.state === 'active'
+    || (subscription.state === 'snoozed' && new Date(subscription.snoozedUntil) <= now);
+}
+
+// Scheduler: a product is only fetched while someone actively watches it
+function isProductPaused(id) {
+  const product = monitoredProducts.get(id);
+  if (!product) return false;
+  return !Array.from(product.subscriptions.values()).some(subscription => isWatchActive(subscription));
+}
+
+// State change from the API: { state, until } (until: a date, for 'snoozed' only)
+// Returns { state, snoozedUntil } or { error }
+function parseWatchState({ state, until } = {}) {
+  if (!WATCH_STATES.includes(state)) {
+    return { error: `Invalid state - must be ${WATCH_STATES.join(', ')}` };
+  }
+  if (state !== 'snoozed') return { state, snoozedUntil: null };
+  
+  const snoozedUntil = new Date(until);
+  if (!until || Number.isNaN(snoozedUntil.getTime()) || snoozedUntil <= new Date()) {
+    return { error: 'until must be a future date to snooze a watch' };
+  }
+  if (snoozedUntil - Date.now() > MAX_WATCH_DAYS * DAY_MS) {
+    return { error: `A watch can be snoozed for at most ${MAX_WATCH_DAYS} days` };
+  }
+  return { state, snoozedUntil: snoozedUntil.toISOString() };
+}
+
+// Expiry from the API: { expiresInDays (empty for never), expireAfterRestock }
+// Returns { expiry: { expiresAt, expireAfterRestock } } or { error }
+function parseWatchExpiry({ expiresInDays, expireAfterRestock } = {}) {
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_WATCH_DAYS) {
+      return { error: `expiresInDays must be a whole number between 1 and ${MAX_WATCH_DAYS}` };
+    }
+    expiresAt = new Date(Date.now() + days * DAY_MS).toISOString();
+  }
+  return { expiry: { expiresAt, expireAfterRestock: !!expireAfterRestock } };
+}
+
+async function setWatchState(product, subscription, state, snoozedUntil = null) {
+  subscription.state = state;
+  subscription.snoozedUntil = snoozedUntil;
+  await saveProduct(product);
+  liveEvents.publish('watch_state', { product: serializeWatch(product, subscription) }, { userId: subscription.userId });
+}
+
+// Remove expired watches and wake snoozed ones (every minute)
+async function checkWatchStates(now = new Date()) {
+  for (const product of Array.from(monitoredProducts.values())) {
+    for (const subscription of Array.from(product.subscriptions.values())) {
+      try {
+        if (subscription.expiresAt && new Date(subscription.expiresAt) <= now) {
+          console.log(`[${getTimestamp()}] ⌛ Watch expired: ${product.title} (user ${subscription.userId})`);
+          await unsubscribe(product, subscription.userId);
+        } else if (subscription.state === 'snoozed' && new Date(subscription.snoozedUntil) <= now) {
+          console.log(`[${getTimestamp()}] ⏰ Snooze over: ${product.title} (user ${subscription.userId})`);
+          await setWatchState(product, subscription, 'active');
+        }
+      } catch (error) {
+        console.error(`[${getTimestamp()}] ❌ Error updating watch of user ${subscription.userId} on ${product.title}:`, error.message);
+      }
+    }
+  }
+}
+
+function startWatchStates() {
+  setInterval(() => {
+    if (leadership.isLeader()) checkWatchStates();
+  }, 60 * 1000);
+}
+
+async function removeListing(listing) {
+  monitoredListings.delete(listing.id);
+  scheduler.remove(listingKey(listing.id));
+  await deleteListingFromStore(listing.id);
+  
+  if (monitoredProducts.size === 0 && monitoredListings.size === 0) {
+    stopMonitoring();
+  }
+}
+
+// The product a route is about, with the caller's subscription.
+// Other users' products are hidden, except from admins (subscription is then null).
+function findWatch(req) {
+  const product = monitoredProducts.get(req.params.id);
+  if (!product) return null;
+  
+  const subscription = product.subscriptions.get(req.auth.user.id) || null;
+  if (!subscription && !req.auth.user.isAdmin) return null;
+  
+  return { product, subscription };
+}
+
+// Listings are only visible to their owner and admins
+function findListing(req) {
+  const listing = monitoredListings.get(req.params.id);
+  if (!listing || (listing.userId !== req.auth.user.id && !req.auth.user.isAdmin)) return null;
+  return listing;
+}
+
+// A product as seen by one subscriber
+function serializeWatch(product, subscription) {
+  return {
+    id: product.id,
+    url: product.url,
+    title: product.title,
+    brand: product.brand,
+    price: product.price,
+    originalPrice: product.originalPrice,
+    imageUrl: product.imageUrl,
+    discount: getDiscount(product.price, product.originalPrice),
+    watchedSizes: Array.from(subscription.watchedSizes),
+    previousStock: product.previousStock,
+    notifiedSizes: Array.from(subscription.notifiedSizes),
+    priceAlert: subscription.priceAlert,
+    notifiedPriceAlerts: Array.from(subscription.notifiedPriceAlerts),
+    lowStockThreshold: subscription.lowStockThreshold,
+    notifiedLowStock: Array.from(subscription.notifiedLowStock),
+    channels: subscription.channels,
+    mentions: subscription.mentions,
+    state: subscription.state,
+    snoozedUntil: subscription.snoozedUntil,
+    expiresAt: subscription.expiresAt,
+    expireAfterRestock: subscription.expireAfterRestock,
+    priority: product.priority,
+    parserStatus: product.parserStatus,
+    health: product.health,
+    subscriberCount: product.subscriptions.size,
+    schedule: scheduler.getItemState(product.id)
+  };
+}
+
+function serializeListing(listing) {
+  return {
+    id: listing.id,
+    userId: listing.userId,
+    url: listing.url,
+    name: listing.name,
+    filters: listing.filters,
+    autoWatch: listing.autoWatch,
+    autoWatchSizes: listing.autoWatchSizes,
+    channels: listing.channels,
+    seenProducts: listing.seenProductIds.size,
+    lastChecked: listing.lastChecked,
+    schedule: scheduler.getItemState(listingKey(listing.id))
+  };
+}
+
+// ============== API ENDPOINTS ==============
+
+// Health check
+app.get('/health', async (req, res) => {
+  let notificationCounts = null;
+  try {
+    notificationCounts = await outbox.stats();
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Health outbox error:`, error.message);
+  }
+  
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    monitoredProducts: monitoredProducts.size,
+    monitoredListings: monitoredListings.size,
+    failingProducts: Array.from(monitoredProducts.values()).filter(product => product.health.consecutiveErrors > 0).length,
+    removedProducts: Array.from(monitoredProducts.values()).filter(product => product.health.removed).length,
+    isMonitoring: scheduler.isRunning(),
+    scheduler: scheduler.getState(),
+    leader: leadership.getState(),
+    storage: store.kind,
+    hasDatabase: store.kind === 'postgres',
+    siteUrl: CONFIG.siteUrl,
+    hasDiscordWebhook: notifiers.has('discord'),
+    notifiers: Array.from(notifiers.keys()),
+    notifications: notificationCounts,
+    liveClients: liveEvents.clientCount()
+  });
+});
+
+// Available and configured notification channels, and the caller's own targets
+app.get('/api/notifiers', (req, res) => {
+  res.json({
+    available: CHANNELS,
+    configured: Array.from(notifiers.keys()),
+    // Quiet hours of the server channels ('*': all of them)
+    quietHours: Object.fromEntries(Array.from(CONFIG.quietHours, ([channel, range]) => [channel, range.text])),
+    targets: targets.list(req.auth.user.id).map(serializeTarget)
+  });
+});
+
+// Get the caller's watchlist
+app.get('/api/products', (req, res) => {
+  const products = [];
+  for (const product of monitoredProducts.values()) {
+    const subscription = product.subscriptions.get(req.auth.user.id);
+    if (subscription) {
+      products.push(serializeWatch(product, subscription));
+    }
+  }
+  res.json({ products, isMonitoring: scheduler.isRunning() });
+});
+
+// Stock and price timeline of a product
+// Query: from, to (ISO dates), size
+app.get('/api/products/:id/history', async (req, res) => {
+  const { id } = req.params;
+  
+  if (!findWatch(req)) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return res.status(400).json({ error: 'Invalid date - use ISO 8601 (e.g. 2024-01-31 or 2024-01-31T12:00:00Z)' });
+  }
+  
+  try {
+    const events = await getHistory(id, { from, to, size: req.query.size });
+    res.json({
+      productId: id,
+      from: from ? from.toISOString() : null,
+      to: to ? to.toISOString() : null,
+      events,
+      availability: buildAvailabilityPeriods(events)
+    });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] History error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fetch product info (preview before adding)
+app.post('/api/products/fetch', async (req, res) => {
+  const productUrl = parseProductUrl(req.body.url, CONFIG.siteUrl);
+  
+  if (!productUrl) {
+    return res.status(400).json({ error: 'Invalid URL - must be an Espace des Marques product URL' });
+  }
+  
+  try {
+    const productInfo = await fetchProductInfo(productUrl.url);
+    const profiles = await store.sizeProfiles.list(req.auth.user.id);
+    
+    res.json({
+      id: productUrl.id,
+      url: productUrl.url,
+      ...productInfo,
+      parseIssues: getParseIssues(productInfo),
+      // Sizes of the page matching the user's size profiles, to pre-select
+      profileSizes: matchSizes(profiles.flatMap(profile => profile.sizes), Object.keys(productInfo.sizes))
+    });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Fetch error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add product to the caller's watchlist
+app.post('/api/products', async (req, res) => {
+  try {
+    const { product, subscription } = await addMonitoredProduct({ ...req.body, userId: req.auth.user.id });
+    
+    res.json({
+      success: true,
+      message: `Now monitoring: ${product.title}`,
+      product: serializeWatch(product, subscription)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`[${getTimestamp()}] Add product error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove product from the caller's watchlist
+app.delete('/api/products/:id', async (req, res) => {
+  const watch = findWatch(req);
+  
+  if (!watch || !watch.subscription) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  
+  const removed = await unsubscribe(watch.product, req.auth.user.id);
+  
+  res.json({ success: true, message: removed ? 'Product removed' : 'Product removed from your watchlist' });
+});
+
+// Update watched sizes for a product
+app.put('/api/products/:id/sizes', async (req, res) => {
+  const { watchedSizes } = req.body;
+  const watch = findWatch(req);
+  
+  if (!watch || !watch.subscription) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  
+  if (watchedSizes !== undefined && watchedSizes !== null && !Array.isArray(watchedSizes)) {
+    return res.status(400).json({ error: 'watchedSizes must be an array' });
+  }
+  
+  const { product, subscription } = watch;
+  subscription.watchedSizes = new Set(await resolveWatchedSizes(req.auth.user.id, watchedSizes || [], product.previousStock));
+  await saveProduct(product);
+  
+  res.json({ success: true, watchedSizes: Array.from(subscription.watchedSizes) });
+});
+
+// Update price alert rules for a product
+app.put('/api/products/:id/price-alert', async (req, res) => {
+  const watch = findWatch(req);
+  
+  if (!watch || !watch.subscription) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  
+  const { priceAlert, error } = parsePriceAlert(req.body.priceAlert);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const { subscription } = watch;
+  subscription.priceAlert = priceAlert;
+  subscription.notifiedPriceAlerts.clear();
+  await saveProduct(watch.product);
+  
+  res.json({ success: true, priceAlert: subscription.priceAlert });
+});
+
+// Pause, snooze, resume or mark a watch as purchased.
+// Body: { state: 'active' | 'paused' | 'snoozed' | 'purchased', until } (until: ISO date, for 'snoozed')
+app.put('/api/products/:id/state', async (req, res) => {
+  const watch = findWatch(req);
+  
+  if (!watch || !watch.subscription) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  
+  const { state, snoozedUntil, error } = parseWatchState(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const { product, subscription } = watch;
+  await setWatchState(product, subscription, state, snoozedUntil);
+  
+  res.json({ success: true, state: subscription.state, snoozedUntil: subscription.snoozedUntil });
+});
+
+// Change when a watch expires. Body: { expiresInDays (from now, empty for never), expireAfterRestock }
+app.put('/api/products/:id/expiry', async (req, res) => {
+  const watch = findWatch(req);
+  
+  if (!watch || !watch.subscription) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  
+  const { expiry, error } = parseWatchExpiry(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const { subscription } = watch;
+  Object.assign(subscription, expiry);
+  await saveProduct(watch.product);
+  
+  res.json({ success: true, expiresAt: subscription.expiresAt, expireAfterRestock: subscription.expireAfterRestock });
+});
+
+// Update the low-stock alert threshold for a product (null turns it off)
+app.put('/api/products/:id/low-stock', async (req, res) => {
+  const watch = findWatch(req);
+  
+  if (!watch || !watch.subscription) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  
+  const { lowStockThreshold, error } = parseLowStockThreshold(req.body.threshold);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const { subscription } = watch;
+  subscription.lowStockThreshold = lowStockThreshold;
+  subscription.notifiedLowStock.clear();
+  await saveProduct(watch.product);
+  
+  res.json({ success: true, lowStockThreshold: subscription.lowStockThreshold });
+});
+
+// Discord roles and users pinged by this product's notifications.
+// Body: { mentions } - e.g. ["role:123456789012345678"] or "<@&123456789012345678>" ([] for none)
+app.put('/api/products/:id/mentions', async (req, res) => {
+  const watch = findWatch(req);
+  
+  if (!watch || !watch.subscription) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  
+  const { mentions, error } = parseMentions(req.body.mentions);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  watch.subscription.mentions = mentions;
+  await saveProduct(watch.product);
+  
+  res.json({ success: true, mentions });
+});
+
+// Update notification channels for a product
+app.put('/api/products/:id/channels', async (req, res) => {
+  const watch = findWatch(req);
+  
+  if (!watch || !watch.subscription) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  
+  const { channels, error } = parseChannels(req.body.channels, req.auth.user.id);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const { subscription } = watch;
+  subscription.channels = channels;
+  await saveProduct(watch.product);
+  
+  res.json({ success: true, channels: subscription.channels });
+});
+
+// Update check priority for a product ("hot" products are checked more often).
+// Shared by every subscriber: the product is only fetched once.
+app.put('/api/products/:id/priority', async (req, res) => {
+  const { id } = req.params;
+  const { priority } = req.body;
+  const watch = findWatch(req);
+  
+  if (!watch) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  
+  if (!PRIORITIES.includes(priority)) {
+    return res.status(400).json({ error: `Invalid priority - must be ${PRIORITIES.join(' or ')}` });
+  }
+  
+  const { product } = watch;
+  product.priority = priority;
+  scheduler.reschedule(id);
+  await saveProduct(product);
+  
+  res.json({ success: true, priority: product.priority });
+});
+
+// Reset the caller's notifications for a product
+app.post('/api/products/:id/reset', async (req, res) => {
+  const watch = findWatch(req);
+  
+  if (!watch || !watch.subscription) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  
+  const { subscription } = watch;
+  subscription.notifiedSizes.clear();
+  subscription.notifiedPriceAlerts.clear();
+  subscription.notifiedLowStock.clear();
+  await saveProduct(watch.product);
+  
+  res.json({ success: true, message: 'Notifications reset' });
+});
+
+// Force check a product
+app.post('/api/products/:id/check', async (req, res) => {
+  const { id } = req.params;
+  
+  if (!findWatch(req)) {
+    return res.status(404).json({ error: 'Product not found' });
+  }
+  
+  const result = await scheduler.runNow(id);
+  
+  res.json({ success: true, ...result });
+});
+
+
+// ============== IMPORT / EXPORT ==============
+
+// Export the caller's watchlist. Query: format (json or csv)
+// The JSON export can be posted as is to /api/import, e.g. on another instance.
+app.get('/api/export', (req, res) => {
+  const format = req.query.format || 'json';
+  
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid format - must be json or csv' });
+  }
+  
+  const items = [];
+  for (const product of monitoredProducts.values()) {
+    const subscription = product.subscriptions.get(req.auth.user.id);
+    if (subscription) {
+      items.push(toExportItem(product, subscription));
+    }
+  }
+  
+  const filename = `watchlist-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.attachment(filename);
+  
+  if (format === 'csv') {
+    res.type('text/csv').send(toCsv(EXPORT_COLUMNS, items.map(toCsvRecord)));
+  } else {
+    res.json({ version: 1, exportedAt: new Date().toISOString(), products: items });
+  }
+});
+
+// Add many products at once. Body:
+//   JSON: { products: [{ url, watchedSizes, priceAlert, channels, priority } | "url", ...], mode }
+//   JSON: { csv: "...", mode }, or a text/csv body (mode in the query)
+// mode: "skip" (default) leaves products already in the watchlist untouched,
+// "merge" adds the imported sizes, price rules and channels to them.
+app.post('/api/import', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  const body = typeof req.body === 'string' ? { csv: req.body } : req.body || {};
+  const mode = req.query.mode || body.mode || 'skip';
+  
+  if (!IMPORT_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Invalid mode - must be ${IMPORT_MODES.join(' or ')}` });
+  }
+  
+  let items;
+  if (typeof body.csv === 'string') {
+    items = csvToImportItems(body.csv);
+  } else if (Array.isArray(body.products)) {
+    items = body.products.map(item => typeof item === 'string' ? { url: item } : item || {});
+  } else {
+    return res.status(400).json({ error: 'Expected a products array or CSV' });
+  }
+  
+  if (items.length === 0) {
+    return res.status(400).json({ error: 'Nothing to import' });
+  }
+  if (items.length > MAX_IMPORT_ITEMS) {
+    return res.status(400).json({ error: `Too many products - at most ${MAX_IMPORT_ITEMS} per import` });
+  }
+  
+  try {
+    const results = await importWatchlist(req.auth.user.id, items, mode);
+    const summary = { added: 0, merged: 0, skipped: 0, error: 0 };
+    for (const result of results) summary[result.status]++;
+    
+    console.log(`[${getTimestamp()}] 📥 Import by ${req.auth.user.username}: ${summary.added} added, ${summary.merged} merged, ${summary.skipped} skipped, ${summary.error} failed`);
+    res.json({ success: summary.error === 0, summary, results });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Import error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============== LISTING WATCHES ==============
+
+// Get the caller's watched listings
+app.get('/api/listings', (req, res) => {
+  const listings = Array.from(monitoredListings.values()).filter(listing => listing.userId === req.auth.user.id);
+  res.json({ listings: listings.map(serializeListing) });
+});
+
+// Watch a category, brand or search page for new products
+// Body: { url, name, keywords, brands, maxPrice, autoWatch, autoWatchSizes, channels }
+app.post('/api/listings', async (req, res) => {
+  const { url, name, autoWatch = false, autoWatchSizes = [] } = req.body;
+  
+  if (!isSiteUrl(url, CONFIG.siteUrl)) {
+    return res.status(400).json({ error: 'Invalid URL - must be an Espace des Marques listing URL' });
+  }
+  
+  const { filters, error: filtersError } = parseListingFilters(req.body);
+  if (filtersError) {
+    return res.status(400).json({ error: filtersError });
+  }
+  
+  const { channels, error: channelsError } = parseChannels(req.body.channels, req.auth.user.id);
+  if (channelsError) {
+    return res.status(400).json({ error: channelsError });
+  }
+  
+  if (!Array.isArray(autoWatchSizes)) {
+    return res.status(400).json({ error: 'autoWatchSizes must be an array' });
+  }
+  
+  try {
+    // First fetch records the products already listed, so only later ones alert
+    const { title, items, url: fetchedUrl } = await fetchListing(url);
+    const finalUrl = getRedirectedUrl(url, fetchedUrl);
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'No product found on this page' });
+    }
+    
+    const listing = {
+      id: crypto.randomBytes(6).toString('hex'),
+      userId: req.auth.user.id,
+      url: finalUrl,
+      name: name || title || finalUrl,
+      filters,
+      autoWatch: !!autoWatch,
+      autoWatchSizes,
+      channels,
+      seenProductIds: new Set(items.map(item => item.id)),
+      lastChecked: new Date()
+    };
+    
+    monitoredListings.set(listing.id, listing);
+    await saveListing(listing);
+    
+    scheduler.add(listingKey(listing.id));
+    startMonitoring();
+    
+    res.json({
+      success: true,
+      message: `Now watching: ${listing.name} (${items.length} products listed)`,
+      listing: serializeListing(listing),
+      matchingNow: items.filter(item => matchesListingFilters(item, filters))
+    });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Add listing error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update filters and auto-watch settings of a listing
+app.put('/api/listings/:id', async (req, res) => {
+  const listing = findListing(req);
+  
+  if (!listing) {
+    return res.status(404).json({ error: 'Listing not found' });
+  }
+  
+  const { filters, error: filtersError } = parseListingFilters({ ...listing.filters, ...req.body });
+  if (filtersError) {
+    return res.status(400).json({ error: filtersError });
+  }
+  
+  if (req.body.channels !== undefined) {
+    const { channels, error } = parseChannels(req.body.channels, listing.userId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    listing.channels = channels;
+  }
+  
+  if (req.body.autoWatchSizes !== undefined) {
+    if (!Array.isArray(req.body.autoWatchSizes)) {
+      return res.status(400).json({ error: 'autoWatchSizes must be an array' });
+    }
+    listing.autoWatchSizes = req.body.autoWatchSizes;
+  }
+  
+  listing.filters = filters;
+  if (req.body.name) listing.name = req.body.name;
+  if (req.body.autoWatch !== undefined) listing.autoWatch = !!req.body.autoWatch;
+  await saveListing(listing);
+  
+  res.json({ success: true, listing: serializeListing(listing) });
+});
+
+// Stop watching a listing
+app.delete('/api/listings/:id', async (req, res) => {
+  const listing = findListing(req);
+  
+  if (!listing) {
+    return res.status(404).json({ error: 'Listing not found' });
+  }
+  
+  await removeListing(listing);
+  
+  res.json({ success: true, message: 'Listing removed' });
+});
+
+// Force check a listing
+app.post('/api/listings/:id/check', async (req, res) => {
+  const { id } = req.params;
+  
+  if (!findListing(req)) {
+    return res.status(404).json({ error: 'Listing not found' });
+  }
+  
+  const result = await scheduler.runNow(listingKey(id));
+  
+  res.json({ success: true, ...result });
+});
+
+// Start/Stop monitoring (admins only: it affects every user)
+app.post('/api/monitoring/start', auth.requireAdmin, (req, res) => {
+  startMonitoring();
+  res.json({ success: true, message: 'Monitoring started' });
+});
+
+app.post('/api/monitoring/stop', auth.requireAdmin, (req, res) => {
+  stopMonitoring();
+  res.json({ success: true, message: 'Monitoring stopped' });
+});
+
+// Notification deliveries, newest first: the caller's, or everyone's for admins
+// Query: status (pending, sending, held, sent, dead, digested), productId, limit
+app.get('/api/notifications', async (req, res) => {
+  const { status, productId } = req.query;
+  const userId = req.auth.user.isAdmin ? undefined : req.auth.user.id;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+  
+  if (status && !NOTIFICATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status - must be one of: ${NOTIFICATION_STATUSES.join(', ')}` });
+  }
+  
+  try {
+    const [notifications, counts] = await Promise.all([
+      outbox.list({ status, productId, userId, limit }),
+      outbox.stats({ userId })
+    ]);
+    res.json({ notifications, counts });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Notifications error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send the caller what is in stock on their watchlist now, like the daily summary
+app.post('/api/notifications/daily-summary', async (req, res) => {
+  try {
+    const products = await sendDailySummary(req.auth.user.id);
+    res.json({ success: true, products, message: products > 0 ? 'Summary sent' : 'Nothing in stock on your watchlist' });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Daily summary error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-send a notification (typically a dead one)
+app.post('/api/notifications/:id/retry', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  
+  try {
+    const existing = await outbox.get(id);
+    if (!existing || (existing.userId !== req.auth.user.id && !req.auth.user.isAdmin)) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    
+    const entry = await outbox.resend(id);
+    res.json({ success: entry.status === 'sent', notification: entry });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Retry notification error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============== AUTH ==============
+
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body;
+  
+  if (!auth.enabled) {
+    return res.status(400).json({ error: 'Authentication is disabled (AUTH_DISABLED)' });
+  }
+  
+  if (auth.isLoginBlocked(req.ip)) {
+    return res.status(429).json({ error: 'Too many failed logins - try again later' });
+  }
+  
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+  
+  try {
+    const session = await auth.login(username, password);
+    if (!session) {
+      auth.recordLoginFailure(req.ip);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    auth.setSessionCookie(req, res, session.token, session.expiresAt);
+    res.json({ success: true, user: session.user });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Login error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await auth.logout(auth.getSessionToken(req));
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Logout error:`, error.message);
+  }
+  auth.clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+// Who is calling (used by the dashboard to decide whether to show the login form)
+app.get('/api/auth/me', (req, res) => {
+  if (!req.auth) {
+    return res.status(401).json({ error: 'Authentication required', authEnabled: true });
+  }
+  res.json({
+    authEnabled: auth.enabled,
+    user: req.auth.user,
+    scopes: req.auth.scopes,
+    via: req.auth.via
+  });
+});
+
+// Link the caller to a Discord account, for the slash commands. Body: { discordId } (null unlinks)
+app.put('/api/auth/me/discord', auth.requireScope('manage'), async (req, res) => {
+  const discordId = req.body.discordId ? String(req.body.discordId).trim() : null;
+  
+  // Discord IDs are snowflakes: 17 to 20 digits
+  if (discordId && !/^\d{17,20}$/.test(discordId)) {
+    return res.status(400).json({ error: 'Invalid Discord user ID' });
+  }
+  
+  try {
+    if (!await auth.setDiscordId(req.auth.user.id, discordId)) {
+      return res.status(409).json({ error: 'This Discord account is linked to another user' });
+    }
+    res.json({ success: true, discordId });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Link Discord error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API tokens of the logged-in user
+app.get('/api/tokens', auth.requireScope('manage'), async (req, res) => {
+  if (!auth.enabled) {
+    return res.status(400).json({ error: 'Authentication is disabled (AUTH_DISABLED)' });
+  }
+  
+  try {
+    res.json({ tokens: await auth.listApiTokens(req.auth.user.id), scopes: SCOPES });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] List tokens error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create an API token - the plain token is only returned here
+// Body: { name, scopes: ['read'] | ['read', 'manage'] }
+app.post('/api/tokens', async (req, res) => {
+  const { name, scopes = ['read'] } = req.body;
+  
+  if (!auth.enabled) {
+    return res.status(400).json({ error: 'Authentication is disabled (AUTH_DISABLED)' });
+  }
+  
+  if (!name) {
+    return res.status(400).json({ error: 'Token name is required' });
+  }
+  
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+    return res.status(400).json({ error: `Invalid scopes - available: ${SCOPES.join(', ')}` });
+  }
+  
+  // A token can't grant more than its creator has
+  if (scopes.some(scope => !req.auth.scopes.includes(scope))) {
+    return res.status(403).json({ error: 'Cannot grant a scope you do not have' });
+  }
+  
+  try {
+    const token = await auth.createApiToken(req.auth.user.id, name, scopes);
+    res.json({ success: true, token });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Create token error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/tokens/:id', async (req, res) => {
+  if (!auth.enabled) {
+    return res.status(400).json({ error: 'Authentication is disabled (AUTH_DISABLED)' });
+  }
+  
+  try {
+    const revoked = await auth.revokeApiToken(req.auth.user.id, parseInt(req.params.id, 10));
+    if (!revoked) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.json({ success: true, message: 'Token revoked' });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Revoke token error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============== USERS ==============
+
+// Every account, with the size of its watchlist (admin only)
+app.get('/api/users', auth.requireAdmin, async (req, res) => {
+  try {
+    const users = await auth.listUsers();
+    res.json({
+      users: users.map(user => ({
+        ...user,
+        products: Array.from(monitoredProducts.values()).filter(product => product.subscriptions.has(user.id)).length,
+        listings: Array.from(monitoredListings.values()).filter(listing => listing.userId === user.id).length
+      }))
+    });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] List users error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create an account (admin only)
+// Body: { username, password, isAdmin }
+app.post('/api/users', auth.requireAdmin, async (req, res) => {
+  const { username, password, isAdmin = false } = req.body;
+  
+  if (!auth.enabled) {
+    return res.status(400).json({ error: 'Authentication is disabled (AUTH_DISABLED)' });
+  }
+  
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+  
+  if (String(password).length < 8) {
+    return res.status(400).json({ error: 'Password must be at least 8 characters' });
+  }
+  
+  try {
+    const user = await auth.createUser(String(username).trim(), String(password), !!isAdmin);
+    if (!user) {
+      return res.status(400).json({ error: 'Username already taken' });
+    }
+    console.log(`[${getTimestamp()}] 👤 User "${user.username}" created by ${req.auth.user.username}`);
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Create user error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete an account with its watchlist, listings, targets and tokens (admin only)
+app.delete('/api/users/:id', auth.requireAdmin, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  
+  if (id === auth.getAdminUser().id) {
+    return res.status(400).json({ error: 'The admin account cannot be deleted' });
+  }
+  
   try {
-    await pool.query('DELETE FROM monitored_products WHERE id = $1', [id]);
+    if (!await auth.getUser(id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    for (const product of Array.from(monitoredProducts.values())) {
+      if (product.subscriptions.has(id)) await unsubscribe(product, id);
+    }
+    for (const listing of Array.from(monitoredListings.values())) {
+      if (listing.userId === id) await removeListing(listing);
+    }
+    targets.removeUser(id);
+    await auth.deleteUser(id);
+    
+    res.json({ success: true, message: 'User deleted' });
   } catch (error) {
-    console.error(`[${getTimestamp()}] ❌ Error deleting product from DB:`, error.message);
+    console.error(`[${getTimestamp()}] Delete user error:`, error.message);
+    res.status(500).json({ error: error.message });
   }
+});
+
+// ============== NOTIFICATION TARGETS ==============
+
+// Secrets are write-only
+function serializeTarget(target) {
+  const { secret, ...config } = target.config;
+  return {
+    id: target.id,
+    key: targetKey(target.id),
+    channel: target.channel,
+    name: target.name,
+    config,
+    quietHours: target.quietHours,
+    language: target.language || null,
+    hasSecret: !!secret,
+    createdAt: target.createdAt
+  };
 }
 
-// ============== PRODUCT FETCHING ==============
+// The caller's own notification destinations
+app.get('/api/targets', (req, res) => {
+  res.json({ targets: targets.list(req.auth.user.id).map(serializeTarget), channels: CHANNELS });
+});
 
-async function fetchProductInfo(url) {
-  console.log(`[${getTimestamp()}] 🔍 Fetching product: ${url}`);
+// Add a destination, usable as a channel ("target:<id>") on products and listings.
+// Products without selected channels notify the user's targets.
+// Body: { channel, name, config, quietHours, language } - config depends on the channel:
+//   discord/slack: { webhookUrl }, telegram: { chatId }, email: { to }, webhook: { url, secret }
+//   (URLs on localhost or a private network are for admins only)
+// quietHours: "HH:MM-HH:MM" (Europe/Paris), notifications in between are sent as a digest at the end
+// language: 'fr' or 'en' for the templated notifications (default NOTIFICATION_LANGUAGE)
+app.post('/api/targets', async (req, res) => {
+  const { channel, name } = req.body;
   
-  const response = await makeRequest(url);
-  
-  if (response.statusCode !== 200) {
-    throw new Error(`HTTP ${response.statusCode}`);
+  const { config, error } = parseTargetConfig(channel, req.body.config, { allowPrivateHosts: req.auth.user.isAdmin });
+  if (error) {
+    return res.status(400).json({ error });
   }
   
-  const html = response.body;
-  
-  // Extract product info from JSON-LD
-  const jsonLdMatch = html.match(/<script[^>]*type="application\/ld\+json"[^>]*>\s*(\[[\s\S]*?\])\s*<\/script>/);
-  let productData = {};
-  
-  if (jsonLdMatch) {
-    try {
-      const jsonLd = JSON.parse(jsonLdMatch[1]);
-      const product = jsonLd.find(item => item['@type'] === 'Product') || jsonLd[0];
-      if (product) {
-        productData = {
-          title: product.name || '',
-          brand: product.brand?.name || '',
-          description: product.description || '',
-          sku: product.sku || '',
-          image: product.image?.[0] || '',
-          price: product.offers?.price || '',
-          availability: product.offers?.availability || ''
-        };
-      }
-    } catch (e) {
-      console.log('Could not parse JSON-LD:', e.message);
-    }
+  const { quietHours, error: quietHoursError } = parseQuietHoursInput(req.body.quietHours);
+  if (quietHoursError) {
+    return res.status(400).json({ error: quietHoursError });
   }
   
-  // Extract title from meta or HTML
-  if (!productData.title) {
-    const titleMatch = html.match(/<title>([^<]+)<\/title>/);
-    productData.title = titleMatch ? titleMatch[1].replace(' | Espace des marques', '').trim() : 'Unknown Product';
+  const { language, error: languageError } = parseLanguageInput(req.body.language);
+  if (languageError) {
+    return res.status(400).json({ error: languageError });
   }
   
-  // Extract variants/sizes from data-variants attribute
-  const variantsMatch = html.match(/data-variants="([^"]+)"/);
-  const sizes = {};
-  
-  if (variantsMatch) {
-    try {
-      // Decode HTML entities
-      const variantsJson = variantsMatch[1]
-        .replace(/&quot;/g, '"')
-        .replace(/&amp;/g, '&')
-        .replace(/&#039;/g, "'");
-      
-      const variants = JSON.parse(variantsJson);
-      
-      for (const variant of variants) {
-        const sizeName = variant.labelAddCart || 'Unknown';
-        sizes[sizeName] = {
-          size: sizeName,
-          inStock: variant.hasStock === true,
-          stockLabel: variant.labelStock || '',
-          variantCode: variant.codeAlerting || variant.actionAddCart || ''
-        };
-      }
-    } catch (e) {
-      console.log('Could not parse variants:', e.message);
-    }
+  if (!targets.isChannelSupported(channel, config)) {
+    return res.status(400).json({ error: `${channel} targets are not available on this server (${channel === 'telegram' ? 'TELEGRAM_BOT_TOKEN' : 'SMTP_HOST'} not configured)` });
   }
   
-  // Extract image from og:image or product image
-  if (!productData.image) {
-    const ogImageMatch = html.match(/<meta[^>]*property="og:image"[^>]*content="([^"]+)"/);
-    productData.image = ogImageMatch ? ogImageMatch[1] : '';
+  try {
+    const target = await targets.create(req.auth.user.id, { channel, name: name || channel, config, quietHours, language });
+    res.json({ success: true, target: serializeTarget(target) });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Create target error:`, error.message);
+    res.status(500).json({ error: error.message });
   }
+});
+
+// Change a destination's quiet hours and/or language. Body: { quietHours, language }
+// (null or "" for none / the server's default; a field left out is unchanged)
+app.patch('/api/targets/:id', async (req, res) => {
+  const changes = {};
   
-  // Extract price from page if not found in JSON-LD
-  if (!productData.price) {
-    const priceMatch = html.match(/class="[^"]*product-price[^"]*"[^>]*>([^<]+)</);
-    productData.price = priceMatch ? priceMatch[1].trim() : '';
+  if (req.body.quietHours !== undefined) {
+    const { quietHours, error } = parseQuietHoursInput(req.body.quietHours);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    changes.quietHours = quietHours;
   }
   
-  // Extract original price
-  const originalPriceMatch = html.match(/class="[^"]*original-price[^"]*"[^>]*>([^<]+)</);
-  productData.originalPrice = originalPriceMatch ? originalPriceMatch[1].trim() : '';
+  if (req.body.language !== undefined) {
+    const { language, error } = parseLanguageInput(req.body.language);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    changes.language = language;
+  }
   
-  return {
-    title: productData.title,
-    brand: productData.brand,
-    price: productData.price,
-    originalPrice: productData.originalPrice,
-    imageUrl: productData.image,
-    availability: productData.availability,
-    sizes: sizes
-  };
-}
-
-// ============== DISCORD NOTIFICATIONS ==============
-
-function sendDiscordWebhook(payload) {
-  if (!CONFIG.discordWebhook) {
-    console.log('[Discord] No webhook configured');
-    return Promise.resolve();
+  try {
+    const target = await targets.update(req.auth.user.id, parseInt(req.params.id, 10), changes);
+    if (!target) {
+      return res.status(404).json({ error: 'Target not found' });
+    }
+    res.json({ success: true, target: serializeTarget(target) });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Update target error:`, error.message);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  return new Promise((resolve, reject) => {
-    const url = new URL(CONFIG.discordWebhook);
-    const postData = JSON.stringify(payload);
-    
-    const options = {
-      hostname: url.hostname,
-      port: 443,
-      path: url.pathname + url.search,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', chunk => { data += chunk; });
-      res.on('end', () => resolve(data));
-    });
-
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
-  });
-}
-
-async function sendRestockNotification(product, size, stockInfo) {
-  const embed = {
-    title: "🚨 RESTOCK DÉTECTÉ - Espace des Marques",
-    color: 0x00ff00,
-    thumbnail: product.imageUrl ? { url: product.imageUrl } : undefined,
-    fields: [
-      { name: "📦 Produit", value: product.title || 'Unknown', inline: false },
-      { name: "🏷️ Marque", value: product.brand || 'N/A', inline: true },
-      { name: "📏 Taille", value: size, inline: true },
-      { name: "💰 Prix", value: product.price || 'N/A', inline: true },
-      { name: "📊 Stock", value: stockInfo.stockLabel || 'En stock', inline: true }
-    ],
-    footer: { text: "Espace des Marques Monitor" },
-    timestamp: new Date().toISOString()
-  };
-
-  // Add URL button
-  const components = [{
-    type: 1,
-    components: [{
-      type: 2,
-      style: 5,
-      label: "🛒 Voir le produit",
-      url: product.url
-    }]
-  }];
-
-  return sendDiscordWebhook({ embeds: [embed], components });
-}
-
-// ============== MONITORING LOGIC ==============
-
-async function checkProductStock(product) {
+app.delete('/api/targets/:id', async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const userId = req.auth.user.id;
+  
   try {
-    const productInfo = await fetchProductInfo(product.url);
-    const currentStock = productInfo.sizes;
-    const previousStock = product.previousStock || {};
-    
-    // Update product info
-    product.title = productInfo.title || product.title;
-    product.brand = productInfo.brand || product.brand;
-    product.price = productInfo.price || product.price;
-    product.originalPrice = productInfo.originalPrice || product.originalPrice;
-    product.imageUrl = productInfo.imageUrl || product.imageUrl;
-    
-    // Check for restocks
-    for (const [sizeName, stockInfo] of Object.entries(currentStock)) {
-      const wasInStock = previousStock[sizeName]?.inStock || false;
-      const isNowInStock = stockInfo.inStock;
-      
-      // Check if this size is being watched (empty watchedSizes = watch all)
-      const isWatched = product.watchedSizes.size === 0 || product.watchedSizes.has(sizeName);
-      
-      if (isWatched && !wasInStock && isNowInStock) {
-        // RESTOCK DETECTED!
-        console.log(`[${getTimestamp()}] 🚨 RESTOCK: ${product.title} - Taille ${sizeName}`);
-        
-        // Check if already notified for this size
-        if (!product.notifiedSizes.has(sizeName)) {
-          await sendRestockNotification(product, sizeName, stockInfo);
-          product.notifiedSizes.add(sizeName);
-        }
-      } else if (isWatched && wasInStock && !isNowInStock) {
-        // Size went out of stock - reset notification flag
-        product.notifiedSizes.delete(sizeName);
-      }
+    if (!await targets.remove(userId, id)) {
+      return res.status(404).json({ error: 'Target not found' });
     }
     
-    // Update previous stock
-    product.previousStock = currentStock;
+    // Stop selecting it on the user's products and listings
+    const key = targetKey(id);
+    for (const product of monitoredProducts.values()) {
+      const subscription = product.subscriptions.get(userId);
+      if (subscription) subscription.channels = subscription.channels.filter(channel => channel !== key);
+    }
+    for (const listing of monitoredListings.values()) {
+      if (listing.userId !== userId || !listing.channels.includes(key)) continue;
+      listing.channels = listing.channels.filter(channel => channel !== key);
+      await saveListing(listing);
+    }
+    await saveMonitoredProducts();
     
-    return { success: true, sizes: currentStock };
+    res.json({ success: true, message: 'Target removed' });
   } catch (error) {
-    console.error(`[${getTimestamp()}] ❌ Error checking ${product.url}:`, error.message);
-    return { success: false, error: error.message };
+    console.error(`[${getTimestamp()}] Remove target error:`, error.message);
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
-async function monitorAllProducts() {
-  if (monitoredProducts.size === 0) {
-    return;
-  }
-  
-  console.log(`[${getTimestamp()}] 🔄 Checking ${monitoredProducts.size} products...`);
-  
-  for (const [id, product] of monitoredProducts) {
-    await checkProductStock(product);
-    // Small delay between products to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 1000));
-  }
-  
-  // Save updated data
-  await saveMonitoredProducts();
-  
-  console.log(`[${getTimestamp()}] ✅ Check complete`);
-}
+// ============== NOTIFICATION TEMPLATES ==============
 
-function startMonitoring() {
-  if (monitoringInterval) {
-    console.log('Monitoring already running');
-    return;
-  }
-  
-  console.log(`⏰ Monitoring started (every ${CONFIG.checkIntervalMs / 1000}s)`);
-  
-  // Run immediately
-  monitorAllProducts();
-  
-  // Then run periodically
-  monitoringInterval = setInterval(monitorAllProducts, CONFIG.checkIntervalMs);
+// Stands in for a product when testing a template without one
+const SAMPLE_PRODUCT = {
+  id: '116527',
+  title: "Pantalon de ski noir femme O'Neill Gore-Tex Madness",
+  brand: "O'Neill",
+  price: 89.99,
+  originalPrice: 199.99,
+  discount: 55,
+  imageUrl: null
+};
+
+// Test notifications per user and minute
+const MAX_TEST_NOTIFICATIONS = 5;
+const TEST_NOTIFICATION_WINDOW_MS = 60 * 1000;
+// User ID -> times of their recent test notifications
+const testNotificationTimes = new Map();
+
+// Counts the test notification when it is allowed
+function allowTestNotification(userId) {
+  const since = Date.now() - TEST_NOTIFICATION_WINDOW_MS;
+  const times = (testNotificationTimes.get(userId) || []).filter(time => time > since);
+  testNotificationTimes.set(userId, times);
+  if (times.length >= MAX_TEST_NOTIFICATIONS) return false;
+  times.push(Date.now());
+  return true;
 }
 
-function stopMonitoring() {
-  if (monitoringInterval) {
-    clearInterval(monitoringInterval);
-    monitoringInterval = null;
-    console.log('⏹️ Monitoring stopped');
+// Event of a template type for a test notification: from one of the caller's
+// products when given (with its mentions), else from SAMPLE_PRODUCT
+function createTestEvent(type, product, subscription) {
+  const eventProduct = product
+    ? toEventProduct(product)
+    : { ...SAMPLE_PRODUCT, url: `${CONFIG.siteUrl}/fr/${SAMPLE_PRODUCT.id}/pantalon-de-ski-noir-femme-o-neill-gore-tex-madness` };
+  const event = {
+    type,
+    timestamp: new Date().toISOString(),
+    test: true,
+    product: eventProduct,
+    mentions: subscription ? subscription.mentions : []
+  };
+  
+  if (type === 'price_alert') {
+    const previousPrice = typeof eventProduct.price === 'number' ? Math.round(eventProduct.price * 120) / 100 : null;
+    return { ...event, rule: 'anyDrop', threshold: null, previousPrice };
   }
+  
+  const stock = product ? product.previousStock || {} : { M: { inStock: true, stockLabel: 'Plus que 2 en stock' } };
+  const size = (subscription && Array.from(subscription.watchedSizes)[0]) || Object.keys(stock)[0] || 'M';
+  const sizes = [{ size, stockLabel: type === 'restock' && stock[size]?.inStock ? stock[size].stockLabel || '' : '' }];
+  return { ...event, sizes, size, stockLabel: sizes[0].stockLabel };
 }
 
-// ============== API ENDPOINTS ==============
-
-// Health check
-app.get('/health', (req, res) => {
+// Templates in use, in every language, and what they can contain
+app.get('/api/templates', (req, res) => {
   res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    monitoredProducts: monitoredProducts.size,
-    isMonitoring: !!monitoringInterval,
-    hasDatabase: !!pool,
-    hasDiscordWebhook: !!CONFIG.discordWebhook
+    templates: templates.list(),
+    types: TEMPLATE_TYPES,
+    languages: LANGUAGES,
+    placeholders: PLACEHOLDERS,
+    defaultLanguage: CONFIG.notificationLanguage
   });
 });
 
-// Get all monitored products
-app.get('/api/products', (req, res) => {
-  const products = [];
-  for (const [id, product] of monitoredProducts) {
-    products.push({
-      id,
-      url: product.url,
-      title: product.title,
-      brand: product.brand,
-      price: product.price,
-      originalPrice: product.originalPrice,
-      imageUrl: product.imageUrl,
-      watchedSizes: Array.from(product.watchedSizes),
-      previousStock: product.previousStock,
-      notifiedSizes: Array.from(product.notifiedSizes)
-    });
+// Replace a template. Body: { title, description, color: "#rrggbb", footer }
+app.put('/api/templates/:type/:language', auth.requireAdmin, async (req, res) => {
+  const { type, language } = req.params;
+  if (!TEMPLATE_TYPES.includes(type) || !LANGUAGES.includes(language)) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  
+  const { template, error } = parseTemplateInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const saved = await templates.save(type, language, template);
+    console.log(`[${getTimestamp()}] 📝 ${type} template (${language}) changed by ${req.auth.user.username}`);
+    res.json({ success: true, template: { ...saved, custom: true } });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Save template error:`, error.message);
+    res.status(500).json({ error: error.message });
   }
-  res.json({ products, isMonitoring: !!monitoringInterval });
 });
 
-// Fetch product info (preview before adding)
-app.post('/api/products/fetch', async (req, res) => {
-  const { url } = req.body;
-  
-  if (!url || !url.includes('espace-des-marques.com')) {
-    return res.status(400).json({ error: 'Invalid URL - must be an Espace des Marques product URL' });
+// Go back to the default template
+app.delete('/api/templates/:type/:language', auth.requireAdmin, async (req, res) => {
+  const { type, language } = req.params;
+  if (!TEMPLATE_TYPES.includes(type) || !LANGUAGES.includes(language)) {
+    return res.status(404).json({ error: 'Template not found' });
   }
   
   try {
-    const productInfo = await fetchProductInfo(url);
-    const productId = extractProductId(url);
-    
-    res.json({
-      id: productId,
-      url,
-      ...productInfo
-    });
+    const template = await templates.reset(type, language);
+    res.json({ success: true, template: { ...template, custom: false } });
   } catch (error) {
-    console.error(`[${getTimestamp()}] Fetch error:`, error.message);
+    console.error(`[${getTimestamp()}] Reset template error:`, error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Add product to monitoring
-app.post('/api/products', async (req, res) => {
-  const { url, watchedSizes = [] } = req.body;
+// Send a test notification to see how a template renders. It goes through the
+// outbox like any other (quiet hours included). Body (all optional): { channel, language, template, productId }
+//   channel: one key ("discord", "target:<id>"); default the product's or the caller's channels.
+//     Server channels are shared: only admins can test them, other users test their own targets
+//   language: default the channel's (see getNotificationLanguage)
+//   template: an unsaved draft { title, description, color, footer } to try instead of the saved one
+//   productId: render with one of the caller's products and its mentions instead of a sample
+// At most MAX_TEST_NOTIFICATIONS per user and minute.
+// Returns the rendered notification and the outcome per channel.
+app.post('/api/templates/:type/test', async (req, res) => {
+  const { type } = req.params;
+  const { id: userId, isAdmin } = req.auth.user;
+  if (!TEMPLATE_TYPES.includes(type)) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  
+  const { language, error: languageError } = parseLanguageInput(req.body.language);
+  if (languageError) {
+    return res.status(400).json({ error: languageError });
+  }
   
-  if (!url || !url.includes('espace-des-marques.com')) {
-    return res.status(400).json({ error: 'Invalid URL' });
+  let draft = null;
+  if (req.body.template !== undefined && req.body.template !== null) {
+    const { template, error } = parseTemplateInput(req.body.template);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    draft = template;
+  }
+  
+  let product = null;
+  let subscription = null;
+  if (req.body.productId) {
+    product = monitoredProducts.get(String(req.body.productId)) || null;
+    subscription = product ? product.subscriptions.get(userId) || null : null;
+    if (!subscription) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
   }
   
-  const productId = extractProductId(url);
-  if (!productId) {
-    return res.status(400).json({ error: 'Could not extract product ID from URL' });
+  let channels;
+  if (req.body.channel) {
+    const { channels: selected, error } = parseChannels([req.body.channel], userId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!isAdmin && !targets.fromKey(selected[0])) {
+      return res.status(403).json({ error: 'Only admins can send test notifications to server channels' });
+    }
+    channels = selected;
+  } else {
+    channels = resolveChannels(userId, subscription ? subscription.channels : [])
+      .filter(key => isAdmin || targets.fromKey(key));
+  }
+  if (channels.length === 0) {
+    return res.status(400).json({ error: isAdmin ? 'No notification channel configured' : 'No notification target of your own - add one to send a test' });
   }
   
-  if (monitoredProducts.has(productId)) {
-    return res.status(400).json({ error: 'Product already being monitored' });
+  if (!allowTestNotification(userId)) {
+    return res.status(429).json({ error: `Too many test notifications - at most ${MAX_TEST_NOTIFICATIONS} per minute` });
   }
   
+  const event = {
+    ...createTestEvent(type, product, subscription),
+    ...(draft ? { template: draft } : {}),
+    ...(language ? { language } : {})
+  };
+  
   try {
-    const productInfo = await fetchProductInfo(url);
-    
-    const product = {
-      id: productId,
-      url,
-      title: productInfo.title,
-      brand: productInfo.brand,
-      price: productInfo.price,
-      originalPrice: productInfo.originalPrice,
-      imageUrl: productInfo.imageUrl,
-      watchedSizes: new Set(watchedSizes),
-      previousStock: productInfo.sizes,
-      notifiedSizes: new Set()
-    };
-    
-    monitoredProducts.set(productId, product);
-    await saveMonitoredProducts();
-    
-    // Start monitoring if not already running
-    startMonitoring();
+    const entries = await notify({ productId: product ? product.id : null, userId, channels }, event);
+    const results = entries.map(entry => ({
+      channel: entry.channel,
+      status: entry.status,
+      success: entry.status === 'sent',
+      ...(entry.lastError ? { error: entry.lastError } : {})
+    }));
+    console.log(`[${getTimestamp()}] 🧪 Test ${type} notification by ${req.auth.user.username}: ${results.map(result => `${result.channel} ${result.status}`).join(', ') || 'no channel'}`);
     
     res.json({
-      success: true,
-      message: `Now monitoring: ${productInfo.title}`,
-      product: {
-        ...product,
-        watchedSizes: Array.from(product.watchedSizes),
-        notifiedSizes: Array.from(product.notifiedSizes)
-      }
+      success: results.some(result => result.success),
+      preview: describeEvent(event, { language: language || getNotificationLanguage(channels[0]), templates }),
+      results
     });
   } catch (error) {
-    console.error(`[${getTimestamp()}] Add product error:`, error.message);
+    console.error(`[${getTimestamp()}] Test notification error:`, error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Remove product from monitoring
-app.delete('/api/products/:id', async (req, res) => {
-  const { id } = req.params;
-  
-  if (monitoredProducts.has(id)) {
-    monitoredProducts.delete(id);
-    await deleteProductFromDB(id);
-    
-    if (monitoredProducts.size === 0) {
-      stopMonitoring();
-    }
-    
-    res.json({ success: true, message: 'Product removed' });
-  } else {
-    res.status(404).json({ error: 'Product not found' });
+// ============== SIZE PROFILES ==============
+
+// The caller's size profiles, applied to products added without sizes
+app.get('/api/size-profiles', async (req, res) => {
+  try {
+    res.json({ profiles: await store.sizeProfiles.list(req.auth.user.id) });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Size profiles error:`, error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Update watched sizes for a product
-app.put('/api/products/:id/sizes', async (req, res) => {
-  const { id } = req.params;
-  const { watchedSizes } = req.body;
+// Replace the caller's size profiles.
+// Body: { profiles: [{ name, sizes: [] }] } or { profiles: "Tops: M, L; Shoes: 42, 42.5; Jeans: W32" }
+app.put('/api/size-profiles', async (req, res) => {
+  const { profiles, error } = parseSizeProfiles(req.body.profiles);
+  if (error) {
+    return res.status(400).json({ error });
+  }
   
-  if (!monitoredProducts.has(id)) {
-    return res.status(404).json({ error: 'Product not found' });
+  try {
+    res.json({ success: true, profiles: await store.sizeProfiles.replace(req.auth.user.id, profiles) });
+  } catch (error) {
+    console.error(`[${getTimestamp()}] Save size profiles error:`, error.message);
+    res.status(500).json({ error: error.message });
   }
+});
+
+// ============== DISCORD INTERACTIONS ==============
+//
+// Slash commands (/watch, /unwatch, /list, /check) and the "stop watching this
+// size" button of restock messages. Discord users act on the watchlist of the
+// account they linked (PUT /api/auth/me/discord), or on the admin's when auth is off.
+
+const DISCORD_LIST_LIMIT = 25;
+
+const DISCORD_NOT_LINKED = {
+  content: "🔗 Ton compte Discord n'est lié à aucun utilisateur. Renseigne ton ID Discord dans le dashboard (carte « Commandes Discord »)."
+};
+
+// Changes and checks are the leader's (see requireLeader)
+const DISCORD_NOT_LEADER = {
+  content: '⏳ Le monitoring redémarre, réessaie dans un instant.'
+};
+
+async function resolveDiscordUser(interaction) {
+  if (!auth.enabled) return auth.getAdminUser();
+  const discordUser = getDiscordUser(interaction);
+  return discordUser ? auth.findUserByDiscordId(discordUser.id) : null;
+}
+
+// A product given as URL or ID, with the user's subscription
+function findDiscordWatch(user, input) {
+  const productId = parseProductUrl(input, CONFIG.siteUrl)?.id || String(input || '').trim();
+  const product = monitoredProducts.get(productId);
+  if (!product) return null;
   
-  const product = monitoredProducts.get(id);
-  product.watchedSizes = new Set(watchedSizes || []);
-  await saveMonitoredProducts();
+  const subscription = product.subscriptions.get(user.id) || null;
+  if (!subscription && !user.isAdmin) return null;
   
-  res.json({ success: true, watchedSizes: Array.from(product.watchedSizes) });
-});
+  return { product, subscription };
+}
 
-// Reset notifications for a product
-app.post('/api/products/:id/reset', async (req, res) => {
-  const { id } = req.params;
+function formatDiscordSizes(sizes) {
+  return sizes.length > 0 ? sizes.join(', ') : 'toutes';
+}
+
+function inStockSizes(product) {
+  return Object.entries(product.previousStock || {})
+    .filter(([, stockInfo]) => stockInfo.inStock)
+    .map(([size]) => size);
+}
+
+async function handleDiscordCommand(interaction) {
+  const user = await resolveDiscordUser(interaction);
+  if (!user) return DISCORD_NOT_LINKED;
   
-  if (!monitoredProducts.has(id)) {
-    return res.status(404).json({ error: 'Product not found' });
+  const options = getOptions(interaction);
+  if (interaction.data.name !== 'list' && !leadership.isLeader()) return DISCORD_NOT_LEADER;
+  
+  switch (interaction.data.name) {
+    case 'watch': {
+      const watchedSizes = String(options.sizes || '').split(/[\s,]+/).filter(Boolean);
+      try {
+        const { product, subscription } = await addMonitoredProduct({
+          userId: user.id,
+          url: options.url,
+          watchedSizes: watchedSizes.length > 0 ? watchedSizes : undefined
+        });
+        return {
+          content: `✅ Produit surveillé : **${product.title}** (${formatPrice(product.price)})\n` +
+            `📏 Tailles : ${formatDiscordSizes(Array.from(subscription.watchedSizes))}\n${product.url}`
+        };
+      } catch (error) {
+        if (error.statusCode) return { content: `❌ Impossible de surveiller ce produit : ${error.message}` };
+        throw error;
+      }
+    }
+    
+    case 'unwatch': {
+      const watch = findDiscordWatch(user, options.product);
+      if (!watch || !watch.subscription) return { content: "❌ Ce produit n'est pas dans ta liste." };
+      
+      await unsubscribe(watch.product, user.id);
+      return { content: `🗑️ Produit retiré : **${watch.product.title}**` };
+    }
+    
+    case 'list': {
+      const watches = Array.from(monitoredProducts.values()).filter(product => product.subscriptions.has(user.id));
+      if (watches.length === 0) return { content: '📭 Aucun produit surveillé. Ajoutes-en un avec `/watch`.' };
+      
+      const lines = watches.slice(0, DISCORD_LIST_LIMIT).map(product => {
+        const subscription = product.subscriptions.get(user.id);
+        return `• [${product.title}](${product.url}) - ${formatPrice(product.price)} - ID ${product.id}\n` +
+          `  📏 ${formatDiscordSizes(Array.from(subscription.watchedSizes))} · en stock : ${inStockSizes(product).join(', ') || 'aucune'}`;
+      });
+      if (watches.length > DISCORD_LIST_LIMIT) {
+        lines.push(`… et ${watches.length - DISCORD_LIST_LIMIT} autres (voir le dashboard)`);
+      }
+      return {
+        embeds: [{
+          title: `👀 Produits surveillés (${watches.length})`,
+          description: lines.join('\n').slice(0, 4096),
+          color: 0x3498db
+        }]
+      };
+    }
+    
+    case 'check': {
+      const watch = findDiscordWatch(user, options.product);
+      if (!watch) return { content: "❌ Ce produit n'est pas dans ta liste." };
+      
+      const result = await scheduler.runNow(watch.product.id);
+      if (!result || !result.success) {
+        return { content: `⚠️ Vérification échouée pour **${watch.product.title}** : ${result ? result.error : 'erreur inconnue'}` };
+      }
+      return {
+        content: `🔍 **${watch.product.title}** vérifié (${formatPrice(watch.product.price)})\n` +
+          `✅ En stock : ${inStockSizes(watch.product).join(', ') || 'aucune taille'}`
+      };
+    }
+    
+    default:
+      return { content: `❌ Commande inconnue : ${interaction.data.name}` };
   }
+}
+
+// Buttons: custom_id "unwatch_size:<productId>:<size>" (restock messages)
+async function handleDiscordComponent(interaction) {
+  const [action, productId, ...sizeParts] = String(interaction.data.custom_id || '').split(':');
+  const size = sizeParts.join(':');
+  if (action !== 'unwatch_size') return { content: '❌ Action inconnue.' };
+  if (!leadership.isLeader()) return DISCORD_NOT_LEADER;
   
-  const product = monitoredProducts.get(id);
-  product.notifiedSizes.clear();
-  await saveMonitoredProducts();
+  const user = await resolveDiscordUser(interaction);
+  if (!user) return DISCORD_NOT_LINKED;
   
-  res.json({ success: true, message: 'Notifications reset' });
-});
-
-// Force check a product
-app.post('/api/products/:id/check', async (req, res) => {
-  const { id } = req.params;
+  const product = monitoredProducts.get(productId);
+  const subscription = product ? product.subscriptions.get(user.id) : null;
+  if (!subscription) return { content: "❌ Ce produit n'est pas dans ta liste." };
   
-  if (!monitoredProducts.has(id)) {
-    return res.status(404).json({ error: 'Product not found' });
+  // No watched sizes means every size: keep all the others
+  const currentSizes = subscription.watchedSizes.size > 0
+    ? Array.from(subscription.watchedSizes)
+    : Object.keys(product.previousStock || {});
+  const remainingSizes = currentSizes.filter(watchedSize => watchedSize !== size);
+  
+  if (remainingSizes.length === 0) {
+    await unsubscribe(product, user.id);
+    return { content: `🔕 Plus aucune taille surveillée : **${product.title}** a été retiré de ta liste.` };
   }
   
-  const product = monitoredProducts.get(id);
-  const result = await checkProductStock(product);
-  await saveMonitoredProducts();
+  subscription.watchedSizes = new Set(remainingSizes);
+  subscription.notifiedSizes.delete(size);
+  await saveProduct(product);
   
-  res.json({ success: true, ...result });
-});
+  return { content: `🔕 Taille ${size} retirée pour **${product.title}**. Tailles surveillées : ${formatDiscordSizes(remainingSizes)}` };
+}
 
-// Start/Stop monitoring
-app.post('/api/monitoring/start', (req, res) => {
-  startMonitoring();
-  res.json({ success: true, message: 'Monitoring started' });
-});
+// Registered only when the application's public key is configured
+if (process.env.DISCORD_PUBLIC_KEY) {
+  app.post('/interactions', createInteractionsHandler({
+    publicKey: process.env.DISCORD_PUBLIC_KEY,
+    applicationId: process.env.DISCORD_APPLICATION_ID,
+    onCommand: handleDiscordCommand,
+    onComponent: handleDiscordComponent
+  }));
+}
 
-app.post('/api/monitoring/stop', (req, res) => {
-  stopMonitoring();
-  res.json({ success: true, message: 'Monitoring stopped' });
+// ============== LIVE EVENTS ==============
+
+// Server-Sent Events stream for the dashboard. Events: hello, product_checked,
+// stock_change, product_removed, listing_checked, notification, monitoring
+app.get('/api/events', liveEvents.stream);
+
+// Prometheus scrape endpoint. Public like /health unless METRICS_TOKEN is set.
+app.get('/metrics', (req, res) => {
+  if (CONFIG.metricsToken && req.headers.authorization !== `Bearer ${CONFIG.metricsToken}`) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
 });
 
 // Keep-alive ping
@@ -645,8 +3238,9 @@ const serverStartTime = new Date();
 
 // Start server with async initialization
 async function startServer() {
-  // Initialize database first
-  await initDatabase();
+  // Storage first: migrations run here, and a failure stops the server
+  await store.init();
+  await auth.bootstrap();
   
   app.listen(PORT, '0.0.0.0', async () => {
     console.log(`
@@ -655,22 +3249,67 @@ async function startServer() {
 ║  Server running on port ${String(PORT).padEnd(37)} ║
 ║  Started at: ${serverStartTime.toISOString().padEnd(48)} ║
 ║  Health check: /health or /ping                              ║
-║  Database: ${pool ? 'PostgreSQL ✅' : 'In-memory only ⚠️'}${pool ? '' : '                          '}             ║
+║  Storage: ${(store.description + (store.kind === 'memory' ? ' ⚠️' : ' ✅')).padEnd(50)} ║
 ╚══════════════════════════════════════════════════════════════╝
     `);
     
-    // Load persisted data from database
-    const loadedProducts = await loadMonitoredProducts();
+    // Load persisted data
+    try {
+      const loadedTargets = await targets.load();
+      console.log(`[${getTimestamp()}] 📂 Loaded ${loadedTargets} notification targets (${store.kind})`);
+    } catch (error) {
+      console.error(`[${getTimestamp()}] ❌ Error loading notification targets:`, error.message);
+    }
+    try {
+      const loadedTemplates = await templates.load();
+      if (loadedTemplates > 0) {
+        console.log(`[${getTimestamp()}] 📂 Loaded ${loadedTemplates} custom notification templates`);
+      }
+    } catch (error) {
+      console.error(`[${getTimestamp()}] ❌ Error loading notification templates:`, error.message);
+    }
+    await loadMonitoredProducts();
+    await loadMonitoredListings();
+    
+    startDailySummary();
+    startWatchStates();
     
-    // Start monitoring if products were loaded
-    if (loadedProducts > 0) {
-      console.log(`🚀 Starting monitoring for ${loadedProducts} restored products`);
-      startMonitoring();
+    // Checks and notifications (pending ones included) run on the leader only
+    await leadership.start();
+    if (!leadership.isLeader()) {
+      console.log(`[${getTimestamp()}] 🪑 Another instance is the leader: serving the API only until it stops`);
     }
     
     // Log config status
-    console.log(`🔔 Discord webhook: ${CONFIG.discordWebhook ? 'Configured ✅' : 'Not configured'}`);
-    console.log(`🗄️ Database: ${pool ? 'PostgreSQL connected' : 'No database (data will not persist)'}`);
+    console.log(`🛍️ Shop: ${CONFIG.siteUrl}${CONFIG.siteUrl !== DEFAULT_SITE_URL ? ' (SITE_URL)' : ''}`);
+    console.log(`🔐 Authentication: ${auth.enabled ? 'On ✅' : 'OFF ⚠️ (AUTH_DISABLED) - the dashboard and API are open to anyone'}`);
+    console.log(`🔔 Notification channels: ${notifiers.size > 0 ? Array.from(notifiers.keys()).join(', ') + ' ✅' : 'None configured'}`);
+    console.log(`🗄️ Storage: ${store.kind === 'memory' ? 'In-memory only (data will not persist)' : store.description}`);
+    console.log(`🤖 Discord commands: ${process.env.DISCORD_PUBLIC_KEY ? 'POST /interactions ✅' : 'Disabled (DISCORD_PUBLIC_KEY not set)'}`);
+    console.log(`🗣️ Notification language: ${CONFIG.notificationLanguage}${CONFIG.soldOutAlerts ? ' (sold-out alerts on)' : ''}`);
+    console.log(`🌙 Quiet hours: ${CONFIG.quietHours.size > 0 ? Array.from(CONFIG.quietHours, ([channel, range]) => `${channel === '*' ? 'all channels' : channel} ${range.text}`).join(', ') : 'None for server channels'}`);
+    console.log(`☀️ Daily summary: ${CONFIG.dailySummaryTime !== null ? `every day at ${formatTime(CONFIG.dailySummaryTime)}` : 'Disabled (DAILY_SUMMARY_TIME not set)'}`);
+    console.log(`⌛ New watches expire: ${[
+      CONFIG.watchExpiryDays ? `after ${CONFIG.watchExpiryDays} days` : null,
+      CONFIG.watchExpireAfterRestock ? 'after their first restock alert' : null
+    ].filter(Boolean).join(' or ') || 'Never'}`);
+  });
+}
+
+// Hand over before exiting: the leader finishes its checks in progress and
+// releases the leadership (see stepDown), then pending changes are written
+// (products whose save failed, and the JSON file store saves a moment after each change)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    console.log(`[${getTimestamp()}] 👋 ${signal} received, saving data...`);
+    try {
+      await leadership.stop();
+      await saveMonitoredProducts();
+      await store.close();
+    } catch (error) {
+      console.error(`[${getTimestamp()}] ❌ Error closing storage:`, error.message);
+    }
+    process.exit(0);
   });
 }
 
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createAuth, hashPassword, verifyPassword } = require('../lib/auth');
+const { createFileStore } = require('../lib/storage/file');
+
+async function createTestAuth(options = {}) {
+  const store = createFileStore();
+  await store.init();
+  const auth = createAuth({ store, adminPassword: 'secret', ...options });
+  await auth.bootstrap();
+  return auth;
+}
+
+// Just enough of Express' req/res for the middlewares
+function fakeResponse() {
+  const res = { statusCode: 200, payload: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (payload) => { res.payload = payload; return res; };
+  return res;
+}
+
+// Runs the middlewares in order like Express: stops at the first one that answers
+async function run(middlewares, req) {
+  const res = fakeResponse();
+  for (const middleware of middlewares) {
+    let called = false;
+    await middleware(req, res, () => { called = true; });
+    if (!called) break;
+  }
+  return res;
+}
+
+test('verifyPassword accepts the hashed password and nothing else', async () => {
+  const stored = await hashPassword('correct horse');
+  assert.ok(stored.startsWith('scrypt:'));
+  assert.strictEqual(await verifyPassword('correct horse', stored), true);
+  assert.strictEqual(await verifyPassword('wrong horse', stored), false);
+  assert.strictEqual(await verifyPassword('correct horse', ''), false);
+  assert.strictEqual(await verifyPassword('correct horse', 'plain:text'), false);
+});
+
+test('a read-only API token can read but not change anything', async () => {
+  const auth = await createTestAuth();
+  const { token } = await auth.createApiToken(auth.getAdminUser().id, 'ci', ['read']);
+  // Same scope check as the /api middleware in server.js
+  const checkScope = (req, res, next) => auth.requireScope(req.method === 'GET' ? 'read' : 'manage')(req, res, next);
+  const request = (method) => ({ method, headers: { authorization: `Bearer ${token}` } });
+
+  assert.strictEqual((await run([auth.authenticate, checkScope], request('GET'))).statusCode, 200);
+  const res = await run([auth.authenticate, checkScope], request('POST'));
+  assert.strictEqual(res.statusCode, 403);
+  assert.deepStrictEqual(res.payload, { error: 'Missing scope: manage' });
+
+  const invalid = await run([auth.authenticate, checkScope], { method: 'GET', headers: { authorization: 'Bearer edm_nope' } });
+  assert.strictEqual(invalid.statusCode, 401);
+});
+
+test('a malformed cookie does not stop the session cookie from being read', async () => {
+  const auth = await createTestAuth();
+  const { token } = await auth.login('admin', 'secret');
+  const req = { method: 'GET', headers: { cookie: `broken=%E0%A4%A; edm_session=${token}` } };
+
+  const res = await run([auth.authenticate], req);
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(req.auth.user.username, 'admin');
+});
+
+test('logins from an IP are blocked after too many failures', async () => {
+  const auth = await createTestAuth();
+  for (let i = 0; i < 9; i++) auth.recordLoginFailure('10.0.0.1');
+  assert.strictEqual(auth.isLoginBlocked('10.0.0.1'), false);
+
+  auth.recordLoginFailure('10.0.0.1');
+  assert.strictEqual(auth.isLoginBlocked('10.0.0.1'), true);
+  assert.strictEqual(auth.isLoginBlocked('10.0.0.2'), false);
+});
+
+test('bootstrap refuses to run without ADMIN_PASSWORD unless auth is turned off', async () => {
+  await assert.rejects(createTestAuth({ adminPassword: '' }), /ADMIN_PASSWORD is not set/);
+
+  const auth = await createTestAuth({ adminPassword: '', disabled: true });
+  assert.strictEqual(auth.enabled, false);
+  assert.strictEqual(auth.getAdminUser().isAdmin, true);
+  // The admin account exists but can't be logged into
+  assert.strictEqual(await auth.login('admin', ''), null);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createApiClient, createDirectClient } = require('../lib/cli');
+const { createFileStore } = require('../lib/storage/file');
+
+const PRODUCT_URL = 'https://www.espace-des-marques.com/fr/116527/pantalon';
+
+function createPage(inStock) {
+  return {
+    url: PRODUCT_URL,
+    title: 'Pantalon',
+    brand: "O'Neill",
+    price: 89.99,
+    originalPrice: 199.99,
+    imageUrl: null,
+    sizes: {
+      '42 EU': { size: '42 EU', inStock, stockLabel: inStock ? 'En stock' : 'Épuisé', quantity: null, level: inStock ? 'in_stock' : 'out' },
+      '44 EU': { size: '44 EU', inStock: true, stockLabel: 'En stock', quantity: null, level: 'in_stock' }
+    }
+  };
+}
+
+test('the direct client manages the watchlist in the storage', async () => {
+  const store = createFileStore();
+  await store.init();
+  await store.users.save({ username: 'alice', passwordHash: 'x', isAdmin: false });
+  let page = createPage(false);
+  const client = createDirectClient({ store, username: 'alice', fetchProductInfo: async () => page, env: {} });
+
+  const watch = await client.add({ url: PRODUCT_URL, sizes: ['42'] });
+  assert.strictEqual(watch.id, '116527');
+  assert.deepStrictEqual(watch.watchedSizes, ['42 EU']);
+  await assert.rejects(client.add({ url: PRODUCT_URL }), /already in your watchlist/);
+  assert.deepStrictEqual((await client.list()).map(item => item.id), ['116527']);
+
+  // Compared with the stored stock, which stays as it was
+  page = createPage(true);
+  const { sizes, previousStock } = await client.check('116527');
+  assert.strictEqual(sizes['42 EU'].inStock, true);
+  assert.strictEqual(previousStock['42 EU'].inStock, false);
+
+  await client.remove('116527');
+  assert.deepStrictEqual(await client.list(), []);
+  assert.deepStrictEqual(await store.products.list(), []);
+  await assert.rejects(client.monitor('start'), /running server/);
+});
+
+test('the API client sends the token and surfaces API errors', async () => {
+  const requests = [];
+  const client = createApiClient({
+    serverUrl: 'http://localhost:3000',
+    token: 'edm_test',
+    fetch: async (url, options) => {
+      requests.push({ url: String(url), ...options });
+      return url.pathname.endsWith('/check')
+        ? { ok: false, status: 503, json: async () => ({ error: 'This instance is not the monitoring leader' }) }
+        : { ok: true, status: 200, json: async () => ({ success: true, product: { id: '116527' } }) };
+    }
+  });
+
+  assert.deepStrictEqual(await client.add({ url: PRODUCT_URL, sizes: ['M'] }), { id: '116527' });
+  assert.strictEqual(requests[0].url, 'http://localhost:3000/api/products');
+  assert.strictEqual(requests[0].headers.Authorization, 'Bearer edm_test');
+  assert.deepStrictEqual(JSON.parse(requests[0].body), { url: PRODUCT_URL, watchedSizes: ['M'] });
+
+  await assert.rejects(client.check('116527'), /not the monitoring leader/);
+});
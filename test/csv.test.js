@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { toCsv, parseCsv, parseCsvRows } = require('../lib/csv');
+
+test('toCsv quotes fields with commas, quotes and line breaks', () => {
+  const csv = toCsv(['url', 'title'], [
+    { url: 'https://example.com/1', title: 'Veste "Gore-Tex", noir' },
+    { url: 'https://example.com/2', title: 'Deux\nlignes' },
+    { url: 'https://example.com/3' }
+  ]);
+
+  assert.strictEqual(csv, [
+    'url,title',
+    'https://example.com/1,"Veste ""Gore-Tex"", noir"',
+    'https://example.com/2,"Deux\nlignes"',
+    'https://example.com/3,',
+    ''
+  ].join('\r\n'));
+});
+
+test('parseCsv reads back what toCsv writes', () => {
+  const rows = [
+    { url: 'https://example.com/1', sizes: '42,5|M', note: 'Dit "top"' },
+    { url: 'https://example.com/2', sizes: '', note: '' }
+  ];
+  assert.deepStrictEqual(parseCsv(toCsv(['url', 'sizes', 'note'], rows)), rows);
+});
+
+test('parseCsvRows skips blank lines and the byte order mark', () => {
+  assert.deepStrictEqual(parseCsvRows('\uFEFFa,b\n\n1,2\r\n  \n'), [['a', 'b'], ['1', '2']]);
+  assert.deepStrictEqual(parseCsvRows(''), []);
+});
@@ -0,0 +1,154 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const {
+  EPHEMERAL,
+  ResponseType,
+  verifySignature,
+  getOptions,
+  getDiscordUser,
+  createInteractionsHandler
+} = require('../lib/discord-interactions');
+
+// Signed like Discord does, with a key pair made for the test
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const publicKeyHex = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url').toString('hex');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+function sign(timestamp, body) {
+  return crypto.sign(null, Buffer.from(timestamp + body), privateKey).toString('hex');
+}
+
+// Just enough of Express' req/res for the handler
+function signedRequest(body, { signature, timestamp = String(Math.floor(Date.now() / 1000)) } = {}) {
+  const headers = {
+    'x-signature-ed25519': signature || sign(timestamp, body),
+    'x-signature-timestamp': timestamp
+  };
+  return {
+    rawBody: Buffer.from(body),
+    body: JSON.parse(body),
+    get: (name) => headers[name.toLowerCase()]
+  };
+}
+
+function fakeResponse() {
+  const res = { statusCode: 200, payload: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (payload) => { res.payload = payload; return res; };
+  return res;
+}
+
+function createHandler(options = {}) {
+  return createInteractionsHandler({
+    publicKey: publicKeyHex,
+    applicationId: '1280000000000000000',
+    onCommand: async (interaction) => ({ content: `command ${interaction.data.name}` }),
+    onComponent: async (interaction) => ({ content: `button ${interaction.data.custom_id}` }),
+    ...options
+  });
+}
+
+test('verifySignature accepts Discord-style signatures and rejects tampering', () => {
+  const body = fixture('discord-ping.json');
+  const timestamp = '1700000000';
+  const signature = sign(timestamp, body);
+
+  assert.strictEqual(verifySignature(publicKeyHex, signature, timestamp, Buffer.from(body)), true);
+  assert.strictEqual(verifySignature(publicKeyHex, signature, '1700000001', Buffer.from(body)), false);
+  assert.strictEqual(verifySignature(publicKeyHex, signature, timestamp, Buffer.from(body + ' ')), false);
+  assert.strictEqual(verifySignature(publicKeyHex, 'not-hex', timestamp, Buffer.from(body)), false);
+  assert.strictEqual(verifySignature(publicKeyHex, signature, timestamp, undefined), false);
+});
+
+test('interactions handler answers PING and rejects bad signatures', async () => {
+  const handler = createHandler();
+  const body = fixture('discord-ping.json');
+
+  const res = fakeResponse();
+  await handler(signedRequest(body), res);
+  assert.deepStrictEqual(res.payload, { type: ResponseType.PONG });
+
+  const rejected = fakeResponse();
+  await handler(signedRequest(body, { signature: sign('0', body) }), rejected);
+  assert.strictEqual(rejected.statusCode, 401);
+});
+
+test('interactions signed more than a few minutes ago are rejected', async () => {
+  const handler = createHandler();
+  const body = fixture('discord-watch.json');
+  const now = Math.floor(Date.now() / 1000);
+
+  const replayed = fakeResponse();
+  await handler(signedRequest(body, { timestamp: String(now - 10 * 60) }), replayed);
+  assert.strictEqual(replayed.statusCode, 401);
+  assert.strictEqual(replayed.payload.error, 'Request timestamp too old');
+
+  const recent = fakeResponse();
+  await handler(signedRequest(body, { timestamp: String(now - 30) }), recent);
+  assert.strictEqual(recent.payload.data.content, 'command watch');
+});
+
+test('commands and buttons are dispatched and answered privately', async () => {
+  const handler = createHandler();
+
+  const command = fakeResponse();
+  await handler(signedRequest(fixture('discord-watch.json')), command);
+  assert.deepStrictEqual(command.payload, {
+    type: ResponseType.CHANNEL_MESSAGE,
+    data: { content: 'command watch', flags: EPHEMERAL }
+  });
+
+  const button = fakeResponse();
+  await handler(signedRequest(fixture('discord-unwatch-size.json')), button);
+  assert.strictEqual(button.payload.data.content, 'button unwatch_size:116527:M');
+});
+
+test('getOptions and getDiscordUser read guild and DM interactions', () => {
+  const watch = JSON.parse(fixture('discord-watch.json'));
+  assert.deepStrictEqual(getOptions(watch), {
+    url: 'https://www.espace-des-marques.com/fr/116527/pantalon-de-ski',
+    sizes: 'S M'
+  });
+  assert.strictEqual(getDiscordUser(watch).id, '1260000000000000000');
+  assert.strictEqual(getDiscordUser(JSON.parse(fixture('discord-unwatch-size.json'))).id, '1260000000000000000');
+});
+
+test('slow handlers get a deferred response and the reply is edited in afterwards', async () => {
+  const edits = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      edits.push({ method: req.method, url: req.url, body: JSON.parse(data) });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const handler = createHandler({
+      deferAfterMs: 10,
+      apiBase: `http://127.0.0.1:${server.address().port}`,
+      onCommand: () => new Promise(resolve => setTimeout(() => resolve({ content: 'done' }), 50))
+    });
+
+    const res = fakeResponse();
+    await handler(signedRequest(fixture('discord-watch.json')), res);
+
+    assert.deepStrictEqual(res.payload, { type: ResponseType.DEFERRED_CHANNEL_MESSAGE, data: { flags: EPHEMERAL } });
+    assert.deepStrictEqual(edits, [{
+      method: 'PATCH',
+      url: '/webhooks/1280000000000000000/watch-token/messages/@original',
+      body: { content: 'done' }
+    }]);
+  } finally {
+    server.close();
+  }
+});
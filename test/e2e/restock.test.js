@@ -0,0 +1,212 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createMockShop } = require('../../scripts/mock-shop');
+const { createWebhookReceiver } = require('../../scripts/webhook-receiver');
+
+// The real server, run against the mock shop (SITE_URL) with its Discord and
+// webhook channels pointing at the fake receiver. Checks are forced through the
+// API; the schedule itself is too slow to get in the way.
+
+const PRODUCT_ID = '116527';
+const ADMIN_PASSWORD = 'e2e-password';
+
+const shop = createMockShop();
+const receiver = createWebhookReceiver();
+let server = null;
+let baseUrl = null;
+let cookie = null;
+let output = '';
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForServer(timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      if ((await fetch(`${baseUrl}/ping`)).ok) return;
+    } catch (e) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Server did not start:\n${output}`);
+}
+
+async function api(method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const setCookie = response.headers.get('set-cookie');
+  if (setCookie) cookie = setCookie.split(';')[0];
+  const data = await response.json();
+  assert.ok(response.ok, `${method} ${route}: HTTP ${response.status} ${JSON.stringify(data)}`);
+  return data;
+}
+
+const restockRequests = () => receiver.received.filter(request =>
+  (request.path === '/webhook' && request.body.type === 'restock') ||
+  (request.path === '/discord' && request.body.embeds?.[0]?.title?.includes('RESTOCK')));
+
+before(async () => {
+  const siteUrl = await shop.listen();
+  const receiverUrl = await receiver.listen();
+  const port = await getFreePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  server = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+    cwd: path.join(__dirname, '..', '..'),
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      SITE_URL: siteUrl,
+      DATA_FILE: 'none',
+      ADMIN_PASSWORD,
+      DISCORD_WEBHOOK: `${receiverUrl}/discord`,
+      WEBHOOK_URL: `${receiverUrl}/webhook`,
+      CHECK_INTERVAL_SECONDS: '3600',
+      HTTP_RETRIES: '0'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  server.stdout.on('data', chunk => { output += chunk; });
+  server.stderr.on('data', chunk => { output += chunk; });
+
+  await waitForServer();
+  await api('POST', '/api/auth/login', { username: 'admin', password: ADMIN_PASSWORD });
+});
+
+after(async () => {
+  if (server) {
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill('SIGTERM');
+    await exited;
+  }
+  await Promise.all([shop.close(), receiver.close()]);
+});
+
+test('a restock of a watched size is notified exactly once, and again after a reset', async () => {
+  shop.setProduct(PRODUCT_ID, { title: 'Pantalon de ski', sizes: { S: false, M: true } });
+
+  const { product } = await api('POST', '/api/products', { url: shop.productUrl(PRODUCT_ID), watchedSizes: ['S'] });
+  assert.strictEqual(product.id, PRODUCT_ID);
+  assert.strictEqual(product.previousStock.S.inStock, false);
+
+  // Still out of stock: nothing to say
+  await api('POST', `/api/products/${PRODUCT_ID}/check`);
+  assert.strictEqual(restockRequests().length, 0);
+
+  // Back in stock: one notification per channel
+  shop.setStock(PRODUCT_ID, { S: 'Plus que 2 en stock' });
+  const result = await api('POST', `/api/products/${PRODUCT_ID}/check`);
+  assert.strictEqual(result.sizes.S.inStock, true);
+  const [webhook] = await receiver.waitFor(1, { filter: request => request.path === '/webhook' && request.body.type === 'restock' });
+  assert.strictEqual(webhook.body.product.id, PRODUCT_ID);
+  assert.deepStrictEqual(webhook.body.sizes.map(({ size }) => size), ['S']);
+  await receiver.waitFor(2, { filter: request => restockRequests().includes(request) });
+
+  // Still in stock on the next checks: no repeat
+  await api('POST', `/api/products/${PRODUCT_ID}/check`);
+  await api('POST', `/api/products/${PRODUCT_ID}/check`);
+  assert.strictEqual(restockRequests().length, 2);
+
+  let { products } = await api('GET', '/api/products');
+  assert.deepStrictEqual(products[0].notifiedSizes, ['S']);
+
+  // Reset: the size can be notified again on its next restock
+  await api('POST', `/api/products/${PRODUCT_ID}/reset`);
+  ({ products } = await api('GET', '/api/products'));
+  assert.deepStrictEqual(products[0].notifiedSizes, []);
+
+  shop.setStock(PRODUCT_ID, { S: false });
+  await api('POST', `/api/products/${PRODUCT_ID}/check`);
+  shop.setStock(PRODUCT_ID, { S: true });
+  await api('POST', `/api/products/${PRODUCT_ID}/check`);
+  await receiver.waitFor(4, { filter: request => restockRequests().includes(request) });
+  assert.strictEqual(restockRequests().length, 4);
+});
+
+test('a notified size selling out again is notified, with the product mentions', async () => {
+  await api('PUT', `/api/products/${PRODUCT_ID}/mentions`, { mentions: 'role:123456789012345678' });
+
+  // S was notified by the last restock of the previous test
+  shop.setStock(PRODUCT_ID, { S: false });
+  await api('POST', `/api/products/${PRODUCT_ID}/check`);
+  const [discord] = await receiver.waitFor(1, { filter: request => request.path === '/discord' && request.body.embeds?.[0]?.title?.includes('ÉPUISÉ') });
+  assert.strictEqual(discord.body.content, '<@&123456789012345678>');
+  assert.match(discord.body.embeds[0].description, /Taille : S/);
+});
+
+test('a test notification renders a draft template without saving it', async () => {
+  const result = await api('POST', '/api/templates/restock/test', {
+    channel: 'discord',
+    language: 'en',
+    productId: PRODUCT_ID,
+    template: { title: '{title} is back', description: 'Size {size}', color: '#3498db', footer: '' }
+  });
+  assert.deepStrictEqual(result.results, [{ channel: 'discord', status: 'sent', success: true }]);
+  assert.strictEqual(result.preview.title, '🧪 TEST · Pantalon de ski is back');
+
+  const [discord] = await receiver.waitFor(1, { filter: request => request.path === '/discord' && request.body.embeds?.[0]?.title?.startsWith('🧪') });
+  assert.strictEqual(discord.body.embeds[0].color, 0x3498db);
+  assert.strictEqual(discord.body.content, '<@&123456789012345678>');
+
+  const { templates } = await api('GET', '/api/templates');
+  assert.ok(templates.every(template => !template.custom));
+});
+
+test('other users can only send test notifications to their own targets', async () => {
+  await api('POST', '/api/users', { username: 'tester', password: 'tester-password' });
+  const login = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'tester', password: 'tester-password' })
+  });
+  const testerCookie = login.headers.get('set-cookie').split(';')[0];
+  const sendTest = (body) => fetch(`${baseUrl}/api/templates/restock/test`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: testerCookie },
+    body: JSON.stringify(body)
+  });
+
+  assert.strictEqual((await sendTest({ channel: 'discord' })).status, 403);
+  const noTarget = await sendTest({});
+  assert.strictEqual(noTarget.status, 400);
+  assert.match((await noTarget.json()).error, /target of your own/);
+});
+
+test('another URL of a watched product is the same watch', async () => {
+  const response = await fetch(`${baseUrl}/api/products`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: cookie },
+    body: JSON.stringify({ url: `${shop.productUrl(PRODUCT_ID).replace('/fr/', '/en/')}?utm_source=newsletter` })
+  });
+  assert.strictEqual(response.status, 400);
+  assert.match((await response.json()).error, /already in your watchlist/);
+
+  const { products } = await api('GET', '/api/products');
+  assert.strictEqual(products.length, 1);
+  assert.strictEqual(products[0].url, shop.productUrl(PRODUCT_ID));
+});
+
+test('URLs outside of SITE_URL are refused', async () => {
+  const response = await fetch(`${baseUrl}/api/products`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: cookie },
+    body: JSON.stringify({ url: 'https://example.com/fr/123456/produit' })
+  });
+  assert.strictEqual(response.status, 400);
+});
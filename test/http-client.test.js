@@ -0,0 +1,127 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const zlib = require('zlib');
+const { BotChallengeError, isBotChallenge, createCookieJar, createHttpClient } = require('../lib/http-client');
+
+// Small fake shop: each path exercises one feature
+let server;
+let baseUrl;
+let flakyHits = 0;
+let lastCookieHeader = null;
+let lastUserAgent = null;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    lastCookieHeader = req.headers.cookie || null;
+    lastUserAgent = req.headers['user-agent'];
+
+    switch (req.url) {
+      case '/old':
+        res.writeHead(301, { Location: '/fr/116527/new' });
+        return res.end();
+      case '/fr/116527/new':
+        return res.end('<html>product</html>');
+      case '/gzip':
+        res.writeHead(200, { 'Content-Encoding': 'gzip' });
+        return res.end(zlib.gzipSync('compressed page'));
+      case '/brotli':
+        res.writeHead(200, { 'Content-Encoding': 'br' });
+        return res.end(zlib.brotliCompressSync('brotli page'));
+      case '/set-cookie':
+        res.writeHead(200, { 'Set-Cookie': ['session=abc; Path=/; HttpOnly', 'consent=yes'] });
+        return res.end('ok');
+      case '/flaky':
+        flakyHits++;
+        res.writeHead(flakyHits < 3 ? 503 : 200);
+        return res.end(flakyHits < 3 ? 'busy' : 'finally');
+      case '/challenge':
+        res.writeHead(403);
+        return res.end('<html><head><title>Just a moment...</title></head><body>cf-chl-widget</body></html>');
+      case '/etag':
+        if (req.headers['if-none-match'] === '"v1"') {
+          res.writeHead(304);
+          return res.end();
+        }
+        res.writeHead(200, { ETag: '"v1"' });
+        return res.end('cached page');
+      default:
+        res.writeHead(404);
+        return res.end('not found');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function createClient(options = {}) {
+  return createHttpClient({ retryDelayMs: 1, ...options });
+}
+
+test('follows redirects and reports the final URL', async () => {
+  const response = await createClient().get(`${baseUrl}/old`);
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.body, '<html>product</html>');
+  assert.strictEqual(response.url, `${baseUrl}/fr/116527/new`);
+  assert.strictEqual(response.redirected, true);
+});
+
+test('decompresses gzip and brotli responses', async () => {
+  const client = createClient();
+  assert.strictEqual((await client.get(`${baseUrl}/gzip`)).body, 'compressed page');
+  assert.strictEqual((await client.get(`${baseUrl}/brotli`)).body, 'brotli page');
+});
+
+test('sends back the cookies the site set and rotates the User-Agent', async () => {
+  const client = createClient({ userAgents: ['agent-a', 'agent-b'] });
+  await client.get(`${baseUrl}/set-cookie`);
+  assert.strictEqual(lastUserAgent, 'agent-a');
+
+  await client.get(`${baseUrl}/fr/116527/new`);
+  assert.strictEqual(lastCookieHeader, 'session=abc; consent=yes');
+  assert.strictEqual(lastUserAgent, 'agent-b');
+});
+
+test('retries 5xx responses', async () => {
+  flakyHits = 0;
+  const response = await createClient({ retries: 2 }).get(`${baseUrl}/flaky`);
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.body, 'finally');
+  assert.strictEqual(flakyHits, 3);
+
+  flakyHits = 0;
+  const gaveUp = await createClient({ retries: 1 }).get(`${baseUrl}/flaky`);
+  assert.strictEqual(gaveUp.statusCode, 503);
+});
+
+test('throws a BotChallengeError for anti-bot pages', async () => {
+  await assert.rejects(createClient().get(`${baseUrl}/challenge`), BotChallengeError);
+  assert.strictEqual(isBotChallenge(200, '<html><title>Pantalon de ski</title></html>'), false);
+});
+
+test('revalidates with ETag and reuses the cached body on 304', async () => {
+  const client = createClient();
+  const first = await client.get(`${baseUrl}/etag`);
+  const second = await client.get(`${baseUrl}/etag`);
+  assert.strictEqual(first.notModified, false);
+  assert.strictEqual(second.notModified, true);
+  assert.strictEqual(second.statusCode, 200);
+  assert.strictEqual(second.body, 'cached page');
+});
+
+test('cookie jar honours domains, paths and expiry', () => {
+  const jar = createCookieJar();
+  const shop = new URL('https://www.espace-des-marques.com/fr/');
+  jar.store(shop, [
+    'wide=1; Domain=.espace-des-marques.com',
+    'account=2; Path=/compte',
+    'other=3; Domain=example.com',
+    'gone=4; Max-Age=0'
+  ]);
+
+  assert.strictEqual(jar.header(new URL('https://media.espace-des-marques.com/x.jpg')), 'wide=1');
+  assert.strictEqual(jar.header(new URL('https://www.espace-des-marques.com/compte/commandes')), 'wide=1; account=2');
+  assert.strictEqual(jar.header(new URL('https://example.com/')), null);
+});
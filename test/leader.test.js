@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createLeaderElection } = require('../lib/leader');
+
+// The lock of a shared database, as seen by two instances
+function createSharedLock() {
+  let holder = null;
+  return (instance) => ({
+    async acquire() {
+      if (holder === null) holder = instance;
+      return holder === instance;
+    },
+    async release() {
+      if (holder === instance) holder = null;
+    }
+  });
+}
+
+test('one instance leads; the other takes over once it stepped down', async () => {
+  const locksFor = createSharedLock();
+  const calls = [];
+  const createInstance = (name) => createLeaderElection({
+    locks: locksFor(name),
+    checkMs: 10,
+    onElected: ({ initial }) => calls.push(`${name} elected${initial ? ' at start' : ''}`),
+    onDemoted: async () => {
+      // Work in progress finishes before the lock is released
+      await new Promise(resolve => setTimeout(resolve, 20));
+      calls.push(`${name} demoted`);
+    }
+  });
+
+  const first = createInstance('a');
+  const second = createInstance('b');
+  await first.start();
+  await second.start();
+  assert.strictEqual(first.isLeader(), true);
+  assert.strictEqual(second.isLeader(), false);
+
+  await first.stop();
+  assert.strictEqual(first.isLeader(), false);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await second.stop();
+
+  assert.deepStrictEqual(calls, ['a elected at start', 'a demoted', 'b elected', 'b demoted']);
+});
+
+test('a leader that can no longer check its lock steps down', async () => {
+  let reachable = true;
+  let demoted = 0;
+  const election = createLeaderElection({
+    locks: {
+      async acquire() {
+        if (!reachable) throw new Error('connection lost');
+        return true;
+      },
+      async release() {}
+    },
+    checkMs: 10,
+    onDemoted: () => demoted++
+  });
+
+  await election.start();
+  assert.strictEqual(election.isLeader(), true);
+
+  reachable = false;
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await election.stop();
+
+  assert.strictEqual(election.isLeader(), false);
+  assert.strictEqual(demoted, 1);
+});
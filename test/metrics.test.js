@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createMetrics } = require('../lib/metrics');
+
+test('counters and gauges render in the Prometheus text format', () => {
+  const metrics = createMetrics();
+  const responses = metrics.counter('http_responses_total', 'Responses', ['status']);
+  metrics.gauge('products', 'Products', () => 3);
+  metrics.gauge('errors', 'Errors per product', () => [{ labels: { product_id: '1"2' }, value: 4 }]);
+
+  responses.inc({ status: 200 });
+  responses.inc({ status: 200 });
+  responses.inc({ status: 404 });
+
+  assert.strictEqual(metrics.render(), [
+    '# HELP http_responses_total Responses',
+    '# TYPE http_responses_total counter',
+    'http_responses_total{status="200"} 2',
+    'http_responses_total{status="404"} 1',
+    '# HELP products Products',
+    '# TYPE products gauge',
+    'products 3',
+    '# HELP errors Errors per product',
+    '# TYPE errors gauge',
+    'errors{product_id="1\\"2"} 4',
+    ''
+  ].join('\n'));
+});
+
+test('histograms count observations per bucket', () => {
+  const metrics = createMetrics();
+  const duration = metrics.histogram('check_duration_seconds', 'Check duration', ['result'], [1, 5]);
+
+  duration.observe({ result: 'success' }, 0.5);
+  duration.observe({ result: 'success' }, 3);
+  duration.observe({ result: 'success' }, 8);
+
+  const lines = metrics.render().split('\n');
+  assert.ok(lines.includes('check_duration_seconds_bucket{result="success",le="1"} 1'));
+  assert.ok(lines.includes('check_duration_seconds_bucket{result="success",le="5"} 2'));
+  assert.ok(lines.includes('check_duration_seconds_bucket{result="success",le="+Inf"} 3'));
+  assert.ok(lines.includes('check_duration_seconds_sum{result="success"} 11.5'));
+  assert.ok(lines.includes('check_duration_seconds_count{result="success"} 3'));
+});
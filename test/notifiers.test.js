@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseTargetConfig } = require('../lib/notifiers');
+
+test('user targets cannot point at local or private network addresses', () => {
+  const blocked = [
+    'http://127.0.0.1:3000/api/products',
+    'http://2130706433/',
+    'http://localhost/hook',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://10.0.0.5/',
+    'http://172.16.3.4/',
+    'http://192.168.1.10/',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[fe80::1]/',
+    'http://[fd12::1]/'
+  ];
+  for (const url of blocked) {
+    assert.match(parseTargetConfig('webhook', { url }).error, /private network/, url);
+  }
+  assert.match(parseTargetConfig('discord', { webhookUrl: 'http://127.0.0.1/' }).error, /private network/);
+
+  assert.deepStrictEqual(parseTargetConfig('webhook', { url: 'https://hooks.example.com/edm' }), { config: { url: 'https://hooks.example.com/edm' } });
+  assert.deepStrictEqual(parseTargetConfig('webhook', { url: 'http://172.32.0.1/' }), { config: { url: 'http://172.32.0.1/' } });
+  // Admins can use a receiver on their own network
+  assert.deepStrictEqual(parseTargetConfig('webhook', { url: 'http://192.168.1.10/' }, { allowPrivateHosts: true }), { config: { url: 'http://192.168.1.10/' } });
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createOutbox } = require('../lib/outbox');
+const { createFileStore } = require('../lib/storage/file');
+
+test('an entry read by two deliveries is sent once', async () => {
+  const store = createFileStore();
+  await store.init();
+  const sent = [];
+  const notifier = { send: async (event) => sent.push(event) };
+
+  const entry = await store.outbox.insert({ productId: '1', userId: 1, channel: 'discord', event: { type: 'restock' } });
+  // Both instances read the entry while it was still pending
+  const stale = await store.outbox.findDue(50);
+  const sharedStore = {
+    ...store,
+    outbox: { ...store.outbox, findDue: async (limit, status = 'pending') => (status === 'pending' ? stale : store.outbox.findDue(limit, status)) }
+  };
+  const first = createOutbox({ store: sharedStore, resolveNotifier: () => notifier });
+  const second = createOutbox({ store: sharedStore, resolveNotifier: () => notifier });
+
+  await Promise.all([first.processDue(), second.processDue()]);
+  await first.processDue();
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual((await store.outbox.get(entry.id)).status, 'sent');
+});
+
+test('an entry whose delivery never finished is sent once its claim expires', async () => {
+  const store = createFileStore();
+  await store.init();
+  const sent = [];
+  const outbox = createOutbox({ store, resolveNotifier: () => ({ send: async (event) => sent.push(event) }) });
+
+  const entry = await store.outbox.insert({ productId: '1', userId: 1, channel: 'discord', event: { type: 'restock' } });
+  await store.outbox.claim(entry.id, new Date(Date.now() + 60000));
+  await outbox.processDue();
+  assert.strictEqual(sent.length, 0);
+  assert.strictEqual((await outbox.resend(entry.id)).status, 'sending');
+
+  await store.outbox.update({ ...await store.outbox.get(entry.id), nextAttemptAt: new Date(Date.now() - 1000) });
+  await outbox.processDue();
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual((await store.outbox.get(entry.id)).status, 'sent');
+});
@@ -0,0 +1,136 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  extractProductId,
+  parseProductUrl,
+  parsePrice,
+  parseStockLabel,
+  parseProductHtml,
+  getParseIssues,
+  parseListingHtml
+} = require('../lib/parser');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+test('parsePrice reads French and English formats', () => {
+  assert.strictEqual(parsePrice('89,99 €'), 89.99);
+  assert.strictEqual(parsePrice('1 299,00 €'), 1299);
+  assert.strictEqual(parsePrice('1.299,00'), 1299);
+  assert.strictEqual(parsePrice('1,299.50'), 1299.5);
+  assert.strictEqual(parsePrice('89.90'), 89.9);
+  assert.strictEqual(parsePrice(42), 42);
+  assert.strictEqual(parsePrice(''), null);
+  assert.strictEqual(parsePrice('Prix indisponible'), null);
+});
+
+test('extractProductId reads the ID of a product URL', () => {
+  assert.strictEqual(extractProductId('https://www.espace-des-marques.com/fr/116527/pantalon-de-ski'), '116527');
+  assert.strictEqual(extractProductId('https://www.espace-des-marques.com/fr/marques/nike'), null);
+});
+
+test('parseProductUrl accepts every URL shape of a product and canonicalizes it', () => {
+  const canonical = { id: '116527', url: 'https://www.espace-des-marques.com/fr/116527/pantalon-de-ski' };
+  for (const url of [
+    'https://www.espace-des-marques.com/fr/116527/pantalon-de-ski',
+    'https://www.espace-des-marques.com/en/116527/Pantalon-De-Ski?utm_source=newsletter#sizes',
+    'https://espace-des-marques.com/de-de/116527/pantalon-de-ski',
+    'https://m.espace-des-marques.com/fr/116527/pantalon-de-ski/',
+    ' www.espace-des-marques.com/fr/116527/pantalon-de-ski '
+  ]) {
+    assert.deepStrictEqual(parseProductUrl(url), canonical, url);
+  }
+  assert.deepStrictEqual(parseProductUrl('https://www.espace-des-marques.com/p/116527'),
+    { id: '116527', url: 'https://www.espace-des-marques.com/fr/116527/' });
+  assert.strictEqual(extractProductId('https://m.espace-des-marques.com/it/116527/x'), '116527');
+});
+
+test('parseProductUrl only accepts the shop host', () => {
+  for (const url of [
+    'https://evil.com/?espace-des-marques.com',
+    'https://evil.com/fr/116527/espace-des-marques.com',
+    'https://espace-des-marques.com.evil.com/fr/116527/pantalon',
+    'ftp://www.espace-des-marques.com/fr/116527/pantalon',
+    'https://www.espace-des-marques.com/fr/marques/nike',
+    'not a url',
+    undefined
+  ]) {
+    assert.strictEqual(parseProductUrl(url), null, url);
+  }
+
+  // Mock shop: same host and port only
+  assert.deepStrictEqual(parseProductUrl('http://127.0.0.1:4010/en/1/x', 'http://127.0.0.1:4010'),
+    { id: '1', url: 'http://127.0.0.1:4010/fr/1/x' });
+  assert.strictEqual(parseProductUrl('http://127.0.0.1:4011/fr/1/x', 'http://127.0.0.1:4010'), null);
+});
+
+test('parseProductHtml reads product info, prices and sizes', () => {
+  const info = parseProductHtml(fixture('product.html'));
+
+  assert.strictEqual(info.title, "Pantalon de ski noir femme O'Neill Gore-Tex Madness");
+  assert.strictEqual(info.brand, "O'Neill");
+  assert.strictEqual(info.price, 89.99);
+  assert.strictEqual(info.originalPrice, 199.99);
+  assert.strictEqual(info.imageUrl, 'https://media.espace-des-marques.com/116527/1.jpg');
+  assert.deepStrictEqual(Object.keys(info.sizes), ['S', 'M', 'L', 'XL']);
+  assert.deepStrictEqual(info.sizes.M, {
+    size: 'M',
+    inStock: true,
+    stockLabel: 'Plus que 2 en stock',
+    quantity: 2,
+    level: 'low',
+    variantCode: '116527-M'
+  });
+  assert.strictEqual(info.sizes.S.inStock, false);
+  assert.strictEqual(info.sizes.S.level, 'out');
+  assert.strictEqual(info.sizes.S.variantCode, '116527-S');
+});
+
+test('parseStockLabel reads quantities and low-stock wording', () => {
+  assert.deepStrictEqual(parseStockLabel('Plus que 2 en stock'), { quantity: 2, level: 'low' });
+  assert.deepStrictEqual(parseStockLabel('12 en stock'), { quantity: 12, level: 'in_stock' });
+  assert.deepStrictEqual(parseStockLabel('Dernière pièce !'), { quantity: 1, level: 'low' });
+  assert.deepStrictEqual(parseStockLabel('Derniers articles'), { quantity: null, level: 'low' });
+  assert.deepStrictEqual(parseStockLabel('En stock'), { quantity: null, level: 'in_stock' });
+  assert.deepStrictEqual(parseStockLabel(''), { quantity: null, level: 'in_stock' });
+  assert.deepStrictEqual(parseStockLabel('Épuisé', false), { quantity: 0, level: 'out' });
+});
+
+test('getParseIssues reports nothing for a complete page', () => {
+  const issues = getParseIssues(parseProductHtml(fixture('product.html')));
+
+  assert.deepStrictEqual(issues, { missing: [], critical: false });
+});
+
+test('getParseIssues flags a changed layout instead of an empty stock', () => {
+  const info = parseProductHtml(fixture('product-layout-changed.html'));
+  const issues = getParseIssues(info);
+
+  assert.deepStrictEqual(info.sizes, {});
+  assert.strictEqual(issues.critical, true);
+  assert.ok(issues.missing.includes('variants'));
+  assert.ok(issues.missing.includes('jsonLd'));
+  assert.ok(issues.missing.includes('price'));
+});
+
+test('parseListingHtml reads each product tile once', () => {
+  const { title, items } = parseListingHtml(fixture('listing.html'), 'https://www.espace-des-marques.com/fr/marques/nike');
+
+  assert.strictEqual(title, 'Nike');
+  assert.strictEqual(items.length, 2);
+  assert.deepStrictEqual(items[0], {
+    id: '111111',
+    url: 'https://www.espace-des-marques.com/fr/111111/sneakers-blanches-homme-nike-air-max',
+    title: 'Sneakers blanches homme Nike Air Max',
+    brand: 'Nike',
+    price: 59.99,
+    originalPrice: 120,
+    imageUrl: 'https://media.espace-des-marques.com/111111/1.jpg'
+  });
+  assert.strictEqual(items[1].id, '222222');
+  assert.strictEqual(items[1].title, 'Sweat à capuche gris homme Nike');
+  assert.strictEqual(items[1].price, 1049.5);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseTimeRange, isQuiet, getQuietEnd, parseQuietHoursSetting } = require('../lib/quiet-hours');
+const { createOutbox } = require('../lib/outbox');
+const { createFileStore } = require('../lib/storage/file');
+
+test('parses time ranges', () => {
+  assert.deepStrictEqual(parseTimeRange('23:00-8:00'), { start: 1380, end: 480, text: '23:00-08:00' });
+  assert.strictEqual(parseTimeRange('25:00-08:00'), null);
+  assert.strictEqual(parseTimeRange('08:00'), null);
+  assert.strictEqual(parseTimeRange('08:00-08:00'), null);
+  assert.strictEqual(parseTimeRange(''), null);
+});
+
+test('quiet hours crossing midnight use Paris time', () => {
+  const range = parseTimeRange('23:00-08:00');
+  // 21:30 UTC is 23:30 in Paris in summer (UTC+2)
+  const night = new Date('2026-07-01T21:30:15Z');
+  assert.strictEqual(isQuiet(range, night), true);
+  assert.strictEqual(isQuiet(range, new Date('2026-07-01T10:00:00Z')), false);
+  // 08:00 in Paris
+  assert.strictEqual(getQuietEnd(range, night).toISOString(), '2026-07-02T06:00:00.000Z');
+});
+
+test('QUIET_HOURS applies to every channel or per channel', () => {
+  assert.strictEqual(parseQuietHoursSetting('23:00-08:00').get('*').text, '23:00-08:00');
+
+  const perChannel = parseQuietHoursSetting('discord=22:00-07:00, email=bad');
+  assert.strictEqual(perChannel.get('discord').text, '22:00-07:00');
+  assert.strictEqual(perChannel.has('email'), false);
+});
+
+test('notifications held during quiet hours go out as one digest', async () => {
+  const store = createFileStore();
+  await store.init();
+  const sent = [];
+  let holdUntil = new Date(Date.now() + 60000);
+  const outbox = createOutbox({
+    store,
+    resolveNotifier: () => ({ send: async (event) => sent.push(event) }),
+    getHoldUntil: () => holdUntil
+  });
+
+  const restock = { type: 'restock', product: { id: '1' }, sizes: [{ size: 'S' }, { size: 'M' }] };
+  await outbox.enqueue('1', ['discord'], restock, { userId: 1 });
+  await outbox.enqueue('2', ['discord'], { type: 'price_alert', product: { id: '2' } }, { userId: 1 });
+  await outbox.processDue();
+  assert.strictEqual(sent.length, 0);
+  assert.strictEqual((await outbox.stats()).held, 2);
+
+  // Quiet hours are over
+  holdUntil = null;
+  for (const entry of await store.outbox.list({ status: 'held', limit: 10 })) {
+    await store.outbox.update({ ...entry, nextAttemptAt: new Date(Date.now() - 1000) });
+  }
+  await outbox.processDue();
+
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].type, 'digest');
+  assert.deepStrictEqual(sent[0].events.map(event => event.type), ['restock', 'price_alert']);
+  const counts = await outbox.stats();
+  assert.strictEqual(counts.digested, 2);
+  assert.strictEqual(counts.sent, 1);
+});
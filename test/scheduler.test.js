@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createScheduler } = require('../lib/scheduler');
+
+test('paused items stay scheduled but are not checked', async () => {
+  const paused = new Set(['b']);
+  const checked = [];
+  const scheduler = createScheduler({
+    runTask: async (id) => {
+      checked.push(id);
+      return { success: true };
+    },
+    getIntervalMs: () => 60000,
+    tickMs: 10,
+    isPaused: (id) => paused.has(id)
+  });
+
+  scheduler.add('a', { delayMs: 0 });
+  scheduler.add('b', { delayMs: 0 });
+  scheduler.start();
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.deepStrictEqual(checked, ['a']);
+  assert.strictEqual(scheduler.getItemState('b').paused, true);
+  assert.strictEqual(scheduler.getState().paused, 1);
+
+  // Resumed: overdue, so checked right away
+  paused.delete('b');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  scheduler.stop();
+
+  assert.deepStrictEqual(checked, ['a', 'b']);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeSize, matchSizes, parseSizeProfiles } = require('../lib/sizes');
+const { createFileStore } = require('../lib/storage/file');
+
+test('normalizeSize reads the same size written differently', () => {
+  assert.strictEqual(normalizeSize('42 EU'), '42');
+  assert.strictEqual(normalizeSize('42,5'), '42.5');
+  assert.strictEqual(normalizeSize('42 1/2'), '42.5');
+  assert.strictEqual(normalizeSize('42½'), '42.5');
+  assert.strictEqual(normalizeSize('Medium'), 'M');
+  assert.strictEqual(normalizeSize('2XL'), 'XXL');
+  assert.strictEqual(normalizeSize('X-Large'), 'XL');
+  assert.strictEqual(normalizeSize('W32 L34'), 'W32L34');
+  assert.strictEqual(normalizeSize('Taille unique'), 'TU');
+});
+
+test('matchSizes finds the page labels of profile sizes', () => {
+  const labels = ['W30 L32', 'W32 L32', 'W32 L34', 'S/M', 'M/L', '42 1/2 EU', '43'];
+
+  assert.deepStrictEqual(matchSizes(['W32', 'Medium', '42.5'], labels), ['W32 L32', 'W32 L34', 'S/M', 'M/L', '42 1/2 EU']);
+  assert.deepStrictEqual(matchSizes(['W32 L34'], labels), ['W32 L34']);
+  assert.deepStrictEqual(matchSizes(['44'], labels), []);
+});
+
+test('size profiles can be written as text', () => {
+  const { profiles } = parseSizeProfiles('Tops: M, L; Shoes: 42, 42.5\nJeans: W32');
+
+  assert.deepStrictEqual(profiles, [
+    { name: 'Tops', sizes: ['M', 'L'] },
+    { name: 'Shoes', sizes: ['42', '42.5'] },
+    { name: 'Jeans', sizes: ['W32'] }
+  ]);
+  assert.ok(parseSizeProfiles('Tops:').error);
+});
+
+test('size profiles are replaced per user', async () => {
+  const store = createFileStore();
+  await store.init();
+
+  await store.sizeProfiles.replace(1, [{ name: 'Tops', sizes: ['M'] }]);
+  await store.sizeProfiles.replace(2, [{ name: 'Shoes', sizes: ['42'] }]);
+  await store.sizeProfiles.replace(1, [{ name: 'Jeans', sizes: ['W32'] }]);
+
+  assert.deepStrictEqual((await store.sizeProfiles.list(1)).map(profile => profile.name), ['Jeans']);
+  assert.deepStrictEqual((await store.sizeProfiles.list(2)).map(profile => profile.name), ['Shoes']);
+});
@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../lib/storage/file');
+const { migrateFile } = require('../lib/storage/migrations');
+const { insertRows, upsertRows } = require('../lib/storage/postgres');
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'edm-store-'));
+  return path.join(dir, 'nested', 'monitor.json');
+}
+
+test('the file store keeps its data across restarts', async () => {
+  const file = tempFile();
+  const store = createFileStore({ file });
+  await store.init();
+
+  const user = await store.users.save({ username: 'bob', passwordHash: 'hash', isAdmin: false });
+  await store.sessions.create({ tokenHash: 'abc', userId: user.id, expiresAt: new Date(Date.now() + 60000) });
+  await store.products.save({
+    id: '116527',
+    url: 'https://www.espace-des-marques.com/fr/116527/pantalon',
+    previousStock: { S: { inStock: true } },
+    subscriptions: [{ userId: user.id, watchedSizes: ['S'], notifiedSizes: [], notifiedPriceAlerts: [], channels: ['discord'] }]
+  });
+  await store.history.record('116527', [{ type: 'in_stock', size: 'S' }]);
+  const entry = await store.outbox.insert({ productId: '116527', userId: user.id, channel: 'discord', event: { type: 'restock' } });
+  await store.outbox.update({ ...entry, status: 'sent', attempts: 1, sentAt: new Date() });
+  await store.close();
+
+  const reopened = createFileStore({ file });
+  await reopened.init();
+  assert.strictEqual((await reopened.sessions.findUser('abc')).username, 'bob');
+  const [product] = await reopened.products.list();
+  assert.deepStrictEqual(product.subscriptions[0].watchedSizes, ['S']);
+  assert.strictEqual((await reopened.history.list('116527', { size: 'S' })).length, 1);
+  assert.deepStrictEqual(await reopened.outbox.countByStatus(), { sent: 1 });
+  assert.ok((await reopened.outbox.get(entry.id)).sentAt instanceof Date);
+  // New IDs continue after the saved ones
+  assert.strictEqual((await reopened.users.save({ username: 'alice', passwordHash: 'x', isAdmin: false })).id, user.id + 1);
+});
+
+test('deleting a user removes their sessions, tokens, targets and subscriptions', async () => {
+  const store = createFileStore();
+  await store.init();
+
+  const user = await store.users.save({ username: 'bob', passwordHash: 'hash', isAdmin: false });
+  await store.sessions.create({ tokenHash: 'abc', userId: user.id, expiresAt: new Date(Date.now() + 60000) });
+  await store.apiTokens.create({ userId: user.id, name: 'script', tokenHash: 'def', tokenPrefix: 'edm_', scopes: ['read'] });
+  await store.targets.create({ userId: user.id, channel: 'discord', name: 'Bob', config: {} });
+  await store.products.save({ id: '1', url: 'u', subscriptions: [{ userId: user.id, watchedSizes: ['M'] }] });
+
+  assert.strictEqual(await store.users.delete(user.id), true);
+  assert.strictEqual(await store.sessions.findUser('abc'), null);
+  assert.strictEqual(await store.apiTokens.use('def'), null);
+  assert.deepStrictEqual(await store.targets.list(), []);
+  assert.deepStrictEqual((await store.products.list())[0].subscriptions, []);
+});
+
+test('a corrupt data file stops the store instead of being overwritten', async () => {
+  const file = tempFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '{ not json');
+
+  await assert.rejects(createFileStore({ file }).init(), /Cannot read/);
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), '{ not json');
+});
+
+test('closing a file store that was never initialized leaves the file alone', async () => {
+  const file = tempFile();
+  const store = createFileStore({ file });
+  await store.init();
+  await store.users.save({ username: 'alice', passwordHash: 'x', isAdmin: true });
+  await store.close();
+
+  await createFileStore({ file }).close();
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).users.length, 1);
+});
+
+test('file migrations run once, in order', () => {
+  const applied = [];
+  const migrations = [
+    { version: 1, name: 'one', up: () => applied.push(1) },
+    { version: 2, name: 'two', up: () => applied.push(2) }
+  ];
+
+  const data = { version: 1 };
+  assert.strictEqual(migrateFile(data, migrations), true);
+  assert.strictEqual(migrateFile(data, migrations), false);
+  assert.deepStrictEqual(applied, [2]);
+  assert.strictEqual(data.version, 2);
+});
+
+test('saveMany upserts subscriptions and keeps the ones left out', async () => {
+  const store = createFileStore();
+  await store.init();
+
+  await store.products.saveMany([
+    { id: '1', subscriptions: [{ userId: 1, channels: [] }, { userId: 2, channels: [] }] },
+    { id: '2', subscriptions: [{ userId: 1, channels: [] }] }
+  ]);
+  await store.products.saveMany([{ id: '1', title: 'Changed', subscriptions: [{ userId: 2, channels: ['discord'] }] }]);
+
+  const [first, second] = await store.products.list();
+  assert.strictEqual(first.title, 'Changed');
+  assert.deepStrictEqual(first.subscriptions.map(subscription => [subscription.userId, subscription.channels]), [[1, []], [2, ['discord']]]);
+  assert.strictEqual(second.subscriptions.length, 1);
+});
+
+test('upsertRows writes many rows per statement', async () => {
+  const queries = [];
+  const db = { query: async (text, values) => queries.push({ text, values }) };
+  const rows = Array.from({ length: 501 }, (_, index) => [String(index), `title ${index}`, new Date()]);
+
+  await upsertRows(db, 'monitored_products', ['id', 'title', 'created_at'], ['id'], rows);
+
+  assert.strictEqual(queries.length, 2);
+  assert.strictEqual(queries[0].values.length, 1500);
+  assert.match(queries[0].text, /VALUES \(\$1, \$2, \$3\), \(\$4, \$5, \$6\)/);
+  assert.match(queries[0].text, /ON CONFLICT \(id\) DO UPDATE SET title = EXCLUDED\.title\s*$/);
+  assert.deepStrictEqual(queries[1].values.slice(0, 2), ['500', 'title 500']);
+});
+
+test('insertRows adds every row in one statement', async () => {
+  const queries = [];
+  const db = { query: async (text, values) => queries.push({ text, values }) };
+
+  await insertRows(db, 'product_history', ['product_id', 'event_type', 'size'], [['1', 'in_stock', 'S'], ['1', 'out_of_stock', 'M']]);
+
+  assert.strictEqual(queries.length, 1);
+  assert.match(queries[0].text, /INSERT INTO product_history \(product_id, event_type, size\)\s+VALUES \(\$1, \$2, \$3\), \(\$4, \$5, \$6\)\s*$/);
+  assert.deepStrictEqual(queries[0].values, ['1', 'in_stock', 'S', '1', 'out_of_stock', 'M']);
+});
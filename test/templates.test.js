@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createFileStore } = require('../lib/storage/file');
+const { renderTemplate, getDefaultTemplate, parseTemplateInput, createTemplates } = require('../lib/templates');
+const { describeEvent, parseMentions, createDiscordNotifier } = require('../lib/notifiers');
+
+const restock = {
+  type: 'restock',
+  timestamp: '2026-01-15T10:00:00.000Z',
+  product: { id: '116527', url: 'https://www.espace-des-marques.com/fr/116527/pantalon', title: 'Pantalon de ski', brand: "O'Neill", price: 89.99, originalPrice: 199.99, discount: 55 },
+  mentions: ['<@&123456789012345678>'],
+  sizes: [{ size: 'S', stockLabel: 'Plus que 2 en stock' }, { size: 'M', stockLabel: '' }],
+  size: 'S',
+  stockLabel: 'Plus que 2 en stock'
+};
+
+test('default templates render in French and English, without the lines left empty', () => {
+  const fr = describeEvent(restock);
+  assert.strictEqual(fr.title, '🚨 RESTOCK DÉTECTÉ - Espace des Marques');
+  assert.match(fr.description, /📏 Taille : S \(Plus que 2 en stock\), M/);
+  assert.match(fr.description, /🔻 Réduction : -55%/);
+
+  const en = describeEvent({ ...restock, product: { ...restock.product, brand: null, discount: 0 } }, { language: 'en' });
+  assert.strictEqual(en.title, '🚨 BACK IN STOCK - Espace des Marques');
+  assert.strictEqual(en.description, '📦 Product: Pantalon de ski\n📏 Size: S (Plus que 2 en stock), M\n💰 Price: 89,99 €');
+
+  const priceAlert = describeEvent({ type: 'price_alert', product: restock.product, rule: 'maxPrice', threshold: 90, previousPrice: 99.99 }, { language: 'en' });
+  assert.match(priceAlert.description, /^Price below 90,00 €\n\n/);
+  assert.match(priceAlert.description, /📉 Previous price: 99,99 €/);
+});
+
+test('events without a template are described in the language asked', () => {
+  const digest = { type: 'digest', events: [restock, { type: 'sold_out', product: restock.product, sizes: [{ size: 'S' }] }] };
+  const en = describeEvent(digest, { language: 'en' });
+  assert.strictEqual(en.title, '🌅 QUIET HOURS DIGEST - Espace des Marques');
+  assert.strictEqual(en.description, '2 alerts during quiet hours');
+  assert.strictEqual(en.fields[0].value, 'Sizes S (Plus que 2 en stock), M · 89,99 €');
+  assert.strictEqual(en.fields[1].value, 'Sold out again: S');
+  assert.strictEqual(describeEvent(digest).fields[1].value, 'De nouveau épuisé : S');
+
+  const lowStock = describeEvent({ type: 'low_stock', product: restock.product, sizes: [{ size: 'S', stockLabel: '1 left' }], threshold: 1 }, { language: 'en' });
+  assert.strictEqual(lowStock.description, 'Almost gone: 1 item or fewer');
+  assert.deepStrictEqual(lowStock.fields.map(field => field.name), ['📦 Product', '🏷️ Brand', '📏 Size', '💰 Price']);
+});
+
+test('a test event renders with its own template', () => {
+  const rendered = describeEvent({ ...restock, test: true, template: { title: '{brand} {size}', description: '', color: 0, footer: '' } }, { language: 'en' });
+  assert.strictEqual(rendered.title, "🧪 TEST · O'Neill S, M");
+});
+
+test('saved templates replace the default of their language until reset', async () => {
+  const store = createFileStore();
+  await store.init();
+  const templates = createTemplates({ store });
+  await templates.load();
+
+  const { template } = parseTemplateInput({ title: '{brand} : {size} dispo !', description: '{stock}\n{unknown}\nRemise {discount}', color: '#FF0000', footer: '' });
+  await templates.save('restock', 'fr', template);
+
+  const reloaded = createTemplates({ store });
+  assert.strictEqual(await reloaded.load(), 1);
+  const rendered = describeEvent({ ...restock, product: { ...restock.product, discount: 0 }, test: true }, { templates: reloaded });
+  assert.deepStrictEqual(rendered, {
+    title: "🧪 TEST · O'Neill : S, M dispo !",
+    description: 'Plus que 2 en stock\n{unknown}',
+    color: 0xff0000,
+    footer: '',
+    fields: []
+  });
+  // Other languages keep their default
+  assert.strictEqual(describeEvent(restock, { language: 'en', templates: reloaded }).title, '🚨 BACK IN STOCK - Espace des Marques');
+
+  await reloaded.reset('restock', 'fr');
+  assert.deepStrictEqual(reloaded.get('restock', 'fr'), getDefaultTemplate('restock', 'fr'));
+  assert.strictEqual(reloaded.list().filter(item => item.custom).length, 0);
+});
+
+test('template and mention input is validated', () => {
+  assert.match(parseTemplateInput({ title: ' ', color: '#000000' }).error, /title is required/);
+  assert.match(parseTemplateInput({ title: 'x', color: 'red' }).error, /Invalid color/);
+  assert.strictEqual(parseTemplateInput({ title: 'x', color: 0x3498db }).template.color, 0x3498db);
+  assert.strictEqual(renderTemplate({ title: '{title}', color: 0 }, { type: 'sold_out', product: {} }).title, 'Produit');
+
+  assert.deepStrictEqual(parseMentions('role:123456789012345678, <@!234567890123456789> <@&123456789012345678>'), {
+    mentions: ['<@&123456789012345678>', '<@234567890123456789>']
+  });
+  assert.deepStrictEqual(parseMentions([]), { mentions: [] });
+  assert.match(parseMentions(['@everyone']).error, /Invalid mention "@everyone"/);
+});
+
+test('Discord notifications ping the product mentions only', async () => {
+  let payload = null;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      payload = JSON.parse(body);
+      res.writeHead(204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const notifier = createDiscordNotifier({ webhookUrl: `http://127.0.0.1:${server.address().port}/webhook` });
+    await notifier.send(restock, { language: 'en' });
+
+    assert.strictEqual(payload.content, '<@&123456789012345678>');
+    assert.deepStrictEqual(payload.allowed_mentions, { parse: [], roles: ['123456789012345678'], users: [] });
+    assert.strictEqual(payload.embeds[0].footer.text, 'Espace des Marques Monitor');
+    assert.strictEqual(payload.components[0].components[0].label, '🛒 View product');
+  } finally {
+    server.close();
+  }
+});